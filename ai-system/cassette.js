@@ -0,0 +1,98 @@
+/**
+ * 카세트 (녹화/재생) - 모든 모델 호출을 프롬프트 해시로 기록하고 재생
+ *
+ * record: 실제 프로바이더를 호출하고 프롬프트와 원본 응답을 카세트 파일에 저장
+ * replay: 카세트 파일에서만 응답을 꺼내고, 모르는 프롬프트는 실패
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, isAbsolute, join } from 'path';
+
+export const CASSETTE_MODES = ['off', 'record', 'replay'];
+const DEFAULT_CASSETTE_FILE = 'ai-system/cassettes/default.json';
+
+export function hashPrompt(prompt) {
+  return createHash('sha256').update(prompt).digest('hex');
+}
+
+// config.cassette + 환경변수(AI_CASSETTE, AI_CASSETTE_FILE) 병합
+export function resolveCassetteOptions(config = {}, env = process.env) {
+  const options = {
+    mode: 'off',
+    file: DEFAULT_CASSETTE_FILE,
+    ...(config.cassette || {})
+  };
+
+  if (env.AI_CASSETTE) options.mode = env.AI_CASSETTE;
+  if (env.AI_CASSETTE_FILE) options.file = env.AI_CASSETTE_FILE;
+
+  if (!CASSETTE_MODES.includes(options.mode)) {
+    throw new Error(`알 수 없는 카세트 모드: ${options.mode}`);
+  }
+
+  return options;
+}
+
+export class CassetteProvider {
+  constructor(inner, options = {}) {
+    this.inner = inner;
+    this.mode = options.mode || 'replay';
+    this.name = inner ? inner.name : 'cassette';
+    this.model = inner ? inner.model : 'cassette';
+
+    const file = options.file || DEFAULT_CASSETTE_FILE;
+    this.filePath = isAbsolute(file) ? file : join(options.rootDir || process.cwd(), file);
+    this.cassette = this.load();
+
+    if (this.mode === 'record' && !inner) {
+      throw new Error('녹화 모드에는 실제 프로바이더가 필요함');
+    }
+  }
+
+  load() {
+    if (!existsSync(this.filePath)) {
+      if (this.mode === 'replay') {
+        throw new Error(`카세트 파일을 찾을 수 없음: ${this.filePath}`);
+      }
+      return { version: 1, entries: {} };
+    }
+
+    return JSON.parse(readFileSync(this.filePath, 'utf-8'));
+  }
+
+  save() {
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    writeFileSync(this.filePath, JSON.stringify(this.cassette, null, 2));
+  }
+
+  async generateContent(prompt) {
+    const key = hashPrompt(prompt);
+
+    if (this.mode === 'replay') {
+      const entry = this.cassette.entries[key];
+      if (!entry) {
+        throw new Error(`카세트에 없는 프롬프트: ${key.slice(0, 12)} (${prompt.slice(0, 40)}...)`);
+      }
+      return {
+        response: {
+          text: () => entry.response,
+          usageMetadata: entry.usageMetadata || null
+        }
+      };
+    }
+
+    const result = await this.inner.generateContent(prompt);
+    this.cassette.entries[key] = {
+      prompt,
+      response: result.response.text(),
+      usageMetadata: result.response.usageMetadata || null,
+      provider: this.name,
+      model: this.model,
+      recordedAt: new Date().toISOString()
+    };
+    this.save();
+
+    return result;
+  }
+}
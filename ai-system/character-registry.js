@@ -0,0 +1,109 @@
+/**
+ * 📇 캐릭터 레지스트리
+ *
+ * 소설별 캐릭터(이름, 별칭, 호칭, 역할)와 금지 이름을
+ * src/content/character-registry.json에 영구 저장
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { writeFile } from './transaction.js';
+
+// 매 챕터에 반드시 등장해야 하는 역할
+export const REQUIRED_ROLES = ['주인공', '상대역'];
+
+export class CharacterRegistry {
+  constructor(rootDir = process.cwd()) {
+    this.filePath = join(rootDir, 'src', 'content', 'character-registry.json');
+    this.data = this.load();
+  }
+
+  load() {
+    if (!existsSync(this.filePath)) {
+      return { version: 1, novels: {} };
+    }
+    return JSON.parse(readFileSync(this.filePath, 'utf-8'));
+  }
+
+  save(transaction = null) {
+    writeFile(this.filePath, JSON.stringify(this.data, null, 2) + '\n', transaction);
+  }
+
+  /**
+   * 소설 등록 정보 조회 (없으면 null)
+   */
+  get(novelSlug) {
+    return this.data.novels[novelSlug] || null;
+  }
+
+  has(novelSlug) {
+    return Boolean(this.data.novels[novelSlug]);
+  }
+
+  getCharacters(novelSlug) {
+    return this.get(novelSlug)?.characters || [];
+  }
+
+  /**
+   * 대표 이름 목록
+   */
+  getNames(novelSlug) {
+    return this.getCharacters(novelSlug).map(character => character.name);
+  }
+
+  /**
+   * 이름 + 별칭 전체 (본문 검증용)
+   */
+  getKnownNames(novelSlug) {
+    return this.getCharacters(novelSlug).flatMap(character => [character.name, ...(character.aliases || [])]);
+  }
+
+  getRequiredCharacters(novelSlug) {
+    return this.getCharacters(novelSlug).filter(character => REQUIRED_ROLES.includes(character.role));
+  }
+
+  getBlacklist(novelSlug) {
+    return this.get(novelSlug)?.blacklist || [];
+  }
+
+  /**
+   * { 이름: 역할 } 형태 (생성 결과의 characters 필드와 같은 모양)
+   */
+  getRoleMap(novelSlug) {
+    return Object.fromEntries(this.getCharacters(novelSlug).map(character => [character.name, character.role]));
+  }
+
+  /**
+   * 소설 등록 (이미 있으면 덮어씀) 후 저장 (트랜잭션이 있으면 스테이징)
+   */
+  register(novelSlug, characters, blacklist = [], transaction = null) {
+    this.data.novels[novelSlug] = {
+      characters: characters.map(normalizeCharacter),
+      blacklist: [...new Set(blacklist)]
+    };
+    this.save(transaction);
+    return this.data.novels[novelSlug];
+  }
+
+  /**
+   * 생성 결과의 { 이름: 역할 } 맵으로 등록
+   */
+  registerFromRoleMap(novelSlug, roleMap, blacklist = [], transaction = null) {
+    const characters = Object.entries(roleMap).map(([name, role]) => ({ name, role }));
+    return this.register(novelSlug, characters, blacklist, transaction);
+  }
+}
+
+function normalizeCharacter(character) {
+  if (typeof character === 'string') {
+    character = { name: character };
+  }
+
+  return {
+    name: character.name,
+    role: character.role || '조연',
+    aliases: character.aliases || [],
+    honorifics: character.honorifics || [],
+    description: character.description || ''
+  };
+}
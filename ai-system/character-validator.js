@@ -0,0 +1,86 @@
+/**
+ * 🛡️ 캐릭터 일관성 검증 시스템
+ * 
+ * 소설별 캐릭터 이름을 엄격하게 관리하여
+ * 이세아/카일런 같은 잘못된 이름 생성을 방지
+ */
+
+import { CharacterRegistry } from './character-registry.js';
+
+export class CharacterValidator {
+  constructor(registry = new CharacterRegistry()) {
+    // 소설별 캐릭터 정보는 파일 기반 레지스트리에서 관리
+    this.registry = registry;
+  }
+
+  /**
+   * 캐릭터 일관성 검증
+   */
+  validate(novelSlug, content) {
+    if (!this.registry.has(novelSlug)) {
+      return { valid: true, reason: '등록되지 않은 소설' };
+    }
+
+    // 1. 필수 캐릭터 확인 (이름 또는 별칭 중 하나라도 등장하면 인정)
+    const missingRequired = this.registry.getRequiredCharacters(novelSlug)
+      .filter(character => ![character.name, ...character.aliases].some(name => content.includes(name)))
+      .map(character => character.name);
+    if (missingRequired.length > 0) {
+      return {
+        valid: false,
+        reason: `필수 캐릭터 누락: ${missingRequired.join(', ')}`
+      };
+    }
+
+    // 2. 금지된 이름 확인
+    const foundBlacklisted = this.registry.getBlacklist(novelSlug).filter(name => content.includes(name));
+    if (foundBlacklisted.length > 0) {
+      return {
+        valid: false,
+        reason: `잘못된 캐릭터 이름 발견: ${foundBlacklisted.join(', ')}`
+      };
+    }
+
+    // 3. 분량 확인
+    const wordCount = content.length;
+
+    if (wordCount < 2000) {
+      return {
+        valid: false,
+        reason: `분량 부족: ${wordCount}자 (최소 2000자 필요)`
+      };
+    }
+
+    return { valid: true, reason: '검증 통과' };
+  }
+
+  /**
+   * 허용된 캐릭터 목록 반환
+   */
+  getCharacters(novelSlug) {
+    return this.registry.getNames(novelSlug);
+  }
+
+  /**
+   * 새 소설 캐릭터 등록 (레지스트리 파일에 저장)
+   */
+  registerNovel(novelSlug, characters, blacklist = []) {
+    return this.registry.register(novelSlug, characters, blacklist);
+  }
+
+  /**
+   * 캐릭터 설정 업데이트
+   */
+  updateCharacters(novelSlug, characters) {
+    if (this.registry.has(novelSlug)) {
+      const existing = Object.fromEntries(
+        this.registry.getCharacters(novelSlug).map(character => [character.name, character])
+      );
+      this.registry.register(
+        novelSlug,
+        characters.map(character => (typeof character === 'string' && existing[character]) || character),
+        this.registry.getBlacklist(novelSlug)
+      );
+    }
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * 설정 스키마 - 모든 자동 연재 구성 요소가 공유하는 단일 config.json
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+export const DEFAULT_CONFIG = {
+  maxActiveNovels: 3,
+  maxActionsPerRun: 3, // 한 번 실행에서 처리할 최대 작업 수
+  minUpdateIntervalHours: 24, // 연재 주기를 정하지 않은 소설을 다시 연재하기까지의 최소 간격
+  chapterLength: { min: 3000, target: 4000, max: 5000 },
+  completionChapter: 15, // 연재 계획이 없는 소설의 완결 화수
+  tropes: [
+    "시간조작능력", "예지능력자", "운명적만남", "현대판타지",
+    "회귀", "빙의", "계약결혼", "적에서연인으로",
+    "마법학원", "드래곤라이더", "엘프왕자", "뱀파이어백작"
+  ],
+  schedule: {
+    utcOffsetHours: 9, // 연재 요일/시각과 휴재 기간을 해석할 시간대 (KST)
+    default: null, // 기본 연재 주기 ({ days, time } | { perWeek } | { intervalHours }), 없으면 minUpdateIntervalHours 간격
+    buffer: 0, // 소설마다 미리 써 둘 예약 공개 챕터 수 (소설별은 novels.<slug>.buffer), 완결편은 미리 쓰지 않음
+    retryBackoffHours: 6, // 반려되거나 오류가 난 소설(신작 포함)은 이 시간이 지나야 다시 시도 (매시 실행마다 재생성하지 않도록)
+    novels: {} // 소설별 주기 (예: { "ice-heart-touch": { "days": ["mon", "wed", "fri"], "time": "11:00", "hiatus": [{ "from": "2025-09-01", "to": "2025-09-14" }] } })
+  },
+  revision: {
+    maxAttempts: 3, // 검증 실패 시 수정 요청을 포함한 최대 시도 횟수
+    novels: {} // 소설별 시도 횟수 (예: { "ice-heart-touch": 2 })
+  },
+  summaries: {
+    enabled: true,
+    chapterSummaryLength: 200, // 챕터 요약 목표 글자 수
+    arcSize: 5, // 아크 요약 단위 (챕터 수)
+    promptTokenBudget: 1500, // 프롬프트에 넣을 요약의 최대 토큰
+    backfillPerRun: 3 // 한 번 실행에서 채워 넣을 기존 챕터 요약 수
+  },
+  outline: {
+    enabled: true, // 신작은 1화 전에 연재 계획부터 세우고, 계획이 없는 연재 중 소설은 다음 연재 때 계획을 세움
+    minChapters: 12, // 계획할 전체 화수 범위
+    maxChapters: 24
+  },
+  similarity: {
+    paragraphThreshold: 0.6, // 문단 표본이 이 비율 이상 겹치면 재활용 문단으로 봄
+    chapterThreshold: 0.2 // 한 챕터에서 재활용한 분량이 이 비율 이상이면 검증 실패
+  },
+  contentRating: {
+    ceiling: '15+', // 등급 상한 (전체, 12+, 15+, 19+), 넘는 챕터는 검증 실패
+    novels: {} // 소설별 상한 (예: { "the-monsters-only-antidote": "19+" })
+  },
+  usage: {
+    pricing: { // 1M 토큰당 USD (가격이 없는 모델은 비용 없이 토큰만 기록)
+      'gemini-1.5-pro': { input: 1.25, output: 5 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 }
+    },
+    dailyBudget: null, // 하루 예산 (USD, 설정 시간대 기준), null이면 제한 없음
+    monthlyBudget: null, // 한 달 예산 (USD)
+    softLimit: 0.8 // 예산의 이 비율을 넘으면 신작과 예약 회차를 건너뛰고 수정 요청 없이 한 번만 시도
+  },
+  prompts: {
+    genre: 'romance-fantasy', // ai-system/prompts/<genre>/ 템플릿 사용
+    versions: {} // 템플릿 버전 고정 (예: { "continue": 1 }), 없으면 최신
+  },
+  provider: { type: 'gemini' }, // model이 없으면 프로바이더별 기본 모델 (providers.js DEFAULT_MODELS)
+  cassette: { mode: 'off' },
+  logging: {
+    level: 'info', // debug, info, warn, error, silent (환경 변수 LOG_LEVEL이 우선)
+    format: 'pretty' // pretty(이모지 한 줄) 또는 json(한 줄짜리 JSON, LOG_FORMAT이 우선)
+  }
+};
+
+export function getConfigPath(rootDir = process.cwd()) {
+  return join(rootDir, 'ai-system', 'config.json');
+}
+
+// 기본값 위에 사용자 설정을 덮어씀 (한 단계 깊이의 객체는 병합)
+export function mergeConfig(defaults, overrides = {}) {
+  const merged = { ...defaults };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    const base = defaults[key];
+    const isPlainObject = v => v && typeof v === 'object' && !Array.isArray(v);
+    merged[key] = isPlainObject(base) && isPlainObject(value) ? { ...base, ...value } : value;
+  }
+
+  return merged;
+}
+
+// config.json 로드 (없으면 기본값으로 생성)
+export function loadConfig(rootDir = process.cwd()) {
+  const configPath = getConfigPath(rootDir);
+
+  if (!existsSync(configPath)) {
+    writeFileSync(configPath, JSON.stringify(DEFAULT_CONFIG, null, 2));
+    return mergeConfig(DEFAULT_CONFIG);
+  }
+
+  return mergeConfig(DEFAULT_CONFIG, JSON.parse(readFileSync(configPath, 'utf-8')));
+}
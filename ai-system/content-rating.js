@@ -0,0 +1,98 @@
+/**
+ * 연령 등급 분류 - 챕터 본문의 폭력, 성적 표현, 자해, 욕설 어휘로 contentRating 산정
+ *
+ * 어휘마다 최소 등급을 두고 (repeat가 있으면 그만큼 반복될 때만) 가장 높은 등급을 챕터 등급으로 삼는다.
+ * 로컬 규칙 기반이라 생성 비용이 들지 않고, 같은 본문이면 항상 같은 등급이 나온다.
+ */
+
+export const RATINGS = ['전체', '12+', '15+', '19+'];
+export const DEFAULT_RATING = RATINGS[0];
+
+// '숨을 죽였다', '코끝을 찔렀다' 같은 관용 표현은 제외
+const KILLING = '(?<!(숨|기척|소리|목소리)을 )죽였|(?<!(코|코끝|폐부|정곡|귀)[을를] )찔렀|베었|살해|시체';
+
+// '정사각형', '역사서의 정사', '책에 삽입된 삽화'는 제외 (정사, 삽입은 앞뒤 문맥이 있을 때만)
+const INTERCOURSE = '정사를 (나누|나눴|치르|치렀|벌이|벌였)|(?<=(뜨거운|격렬한|은밀한) )정사|(?<=(몸|속|안)(으로|에|을) |깊숙이 )삽입';
+
+const CATEGORIES = {
+  violence: {
+    label: '폭력',
+    terms: [
+      { pattern: /몸싸움|결투|난투|주먹으로 (쳤|때|갈)|주먹을 (날|휘둘)|때렸|칼날(?! ?같|처럼)|검을 뽑/g, rating: '12+' },
+      { pattern: new RegExp(`피를 흘|피투성이|피범벅|${KILLING}|목을 졸`, 'g'), rating: '15+' },
+      { pattern: new RegExp(KILLING, 'g'), rating: '19+', repeat: 6 },
+      { pattern: /내장|토막|참수|고문|난도질|살점|뼈가 부서/g, rating: '19+' }
+    ]
+  },
+  sexual: {
+    label: '성적 표현',
+    terms: [
+      { pattern: /입맞춤|키스|입을 맞추|입술이 닿/g, rating: '12+' },
+      { pattern: /애무|옷을 벗기|맨살|몸을 섞|침대로 이끌/g, rating: '15+' },
+      { pattern: new RegExp(`성관계|${INTERCOURSE}|나체|알몸|절정에 달`, 'g'), rating: '19+' }
+    ]
+  },
+  selfHarm: {
+    label: '자해',
+    terms: [
+      { pattern: /자해|손목을 긋|손목을 그었|목을 매|스스로 목숨|자살/g, rating: '15+' },
+      { pattern: /자해|손목을 긋|손목을 그었|목을 매|스스로 목숨|자살/g, rating: '19+', repeat: 3 }
+    ]
+  },
+  language: {
+    label: '욕설',
+    terms: [
+      { pattern: /젠장|빌어먹을|제기랄|망할/g, rating: '12+' },
+      { pattern: /개새끼|이 새끼|저 새끼|씨발|시발|병신|지랄|염병|좆/g, rating: '15+' },
+      { pattern: /개새끼|이 새끼|저 새끼|씨발|시발|병신|지랄|염병|좆/g, rating: '19+', repeat: 5 }
+    ]
+  }
+};
+
+export function compareRatings(a, b) {
+  return RATINGS.indexOf(a) - RATINGS.indexOf(b);
+}
+
+export function isValidRating(rating) {
+  return RATINGS.includes(rating);
+}
+
+/**
+ * 본문 등급 분류
+ * 반환: { rating, reasons: [{ category, label, rating, count, terms, evidence: [{ start, end, text }] }] }
+ * reasons는 전체 등급을 넘는 분류만, 등급이 높은 순
+ */
+export function classifyContent(content) {
+  const reasons = [];
+
+  for (const [category, { label, terms }] of Object.entries(CATEGORIES)) {
+    let found = null;
+
+    for (const term of terms) {
+      const matches = [...content.matchAll(term.pattern)];
+      if (matches.length === 0 || matches.length < (term.repeat || 1)) continue;
+      if (found && compareRatings(term.rating, found.rating) <= 0) continue;
+      found = { rating: term.rating, matches };
+    }
+
+    if (!found) continue;
+
+    reasons.push({
+      category,
+      label,
+      rating: found.rating,
+      count: found.matches.length,
+      terms: [...new Set(found.matches.map(match => match[0]))],
+      evidence: found.matches.slice(0, 3).map(match => ({ start: match.index, end: match.index + match[0].length, text: match[0] }))
+    });
+  }
+
+  reasons.sort((a, b) => compareRatings(b.rating, a.rating));
+  return { rating: reasons[0]?.rating || DEFAULT_RATING, reasons };
+}
+
+// 소설별 등급 상한 (config.contentRating.novels > 기본 상한)
+export function getRatingCeiling(config, slug) {
+  const options = config.contentRating || {};
+  return options.novels?.[slug] || options.ceiling || RATINGS[RATINGS.length - 1];
+}
@@ -0,0 +1,240 @@
+/**
+ * 챕터 간 연속성 검사 - 이전 챕터의 마지막 장면과 새 챕터의 첫 장면 비교
+ *
+ * 이전 챕터 마지막 장면에서 장소, 시간대, 등장인물, 인물 상태(의식 없음/사망/부상)를 뽑고
+ * (스토리 상태 장부가 그 챕터 기준이면 장부의 인물 상태/위치를 우선),
+ * 새 챕터 첫 장면이 그와 모순되는지 본다. 예: 4화 끝에서 혼수상태인 인물이 5화 시작에서 걸어 다님.
+ */
+
+const SEVERITY = { ERROR: 'error', WARN: 'warn' };
+
+const SCENE_BREAK = /^\s*((\*\s*){3,}|-{3,}|⁂)\s*$/m;
+const SCENE_LIMIT = 2000;
+
+const CONDITIONS = [
+  { type: 'dead', label: '사망', pattern: /숨을 거두|숨이 멎|죽었다|사망/ },
+  { type: 'unconscious', label: '의식 없음', pattern: /혼수|의식을 잃|의식이 없|의식 ?없음|정신을 잃|기절|실신/ },
+  { type: 'injured', label: '부상', pattern: /다쳤|부상|피를 흘|상처를 입|부러졌|찔렸|화상/ }
+];
+const INCAPACITATED = ['dead', 'unconscious'];
+
+const RECOVERY = /깨어나|깨어났|눈을 떴|눈을 뜨|의식을 되찾|의식이 돌아|정신을 차리|정신이 들|회복|되살아/;
+const ACTIVE = /말했|물었|대답했|외쳤|웃었|걸었|걸어|달려|뛰어|다가왔|다가갔|일어섰|일어났|움직였|손을 뻗|끄덕/;
+const STRENUOUS = /달려|뛰어|뛰었|싸웠|싸우|검을 휘둘|날아올|뛰어내/;
+const INJURY_MENTION = /상처|부상|통증|아픈|아프|붕대|다친|절뚝/;
+
+// 이어지는 장면인지 (시간이 흐르거나 장소를 옮겼으면 시간대/장소가 달라도 모순 아님)
+const CONTINUATION = /그 순간|그때|잠시 후|곧바로|직후|바로 그|여전히/;
+const TIME_SKIP = /다음 날|이튿날|사흘|나흘|닷새|열흘|보름|며칠|몇 시간|몇 주|몇 달|일주일|한 달|\d+일 (뒤|후)|한참|이후|그날 밤|지난 밤|어젯밤|어제/;
+const MOVEMENT = /도착|향했|이동|들어섰|나섰|돌아왔|옮겨/;
+
+// 시간대 (하루 순서대로, 이웃한 시간대끼리는 자연스러운 흐름으로 봄)
+const TIMES_OF_DAY = [
+  { label: '새벽', pattern: /새벽|동틀/ },
+  { label: '아침', pattern: /아침|오전|해가 뜨/ },
+  { label: '정오', pattern: /정오|한낮|점심/ },
+  { label: '오후', pattern: /오후/ },
+  { label: '저녁', pattern: /저녁|노을|해질녘|황혼|해가 지/ },
+  { label: '밤', pattern: /밤|자정|한밤중|달빛/ }
+];
+
+// 장소 (같은 묶음이면 같은 장소로 봄)
+const PLACES = [
+  { group: '병원', words: ['중환자실', '응급실', '병실', '병원'] },
+  { group: '시계탑', words: ['시계탑 광장', '시계탑'] },
+  { group: '광장', words: ['광장'] },
+  { group: '성', words: ['황궁', '궁전', '왕궁', '대공성', '성채', '성'] },
+  { group: '저택', words: ['저택', '별장', '영지'] },
+  { group: '정원', words: ['온실', '정원'] },
+  { group: '서재', words: ['도서관', '서재', '서고'] },
+  { group: '침실', words: ['침실', '침대', '방 안'] },
+  { group: '연회장', words: ['연회장', '무도회장'] },
+  { group: '숲', words: ['숲', '숲속'] },
+  { group: '마차', words: ['마차'] },
+  { group: '신전', words: ['신전', '성당'] },
+  { group: '카페', words: ['카페'] },
+  { group: '거리', words: ['거리', '골목', '시장'] },
+  { group: '지하', words: ['지하실', '지하 감옥', '감옥'] },
+  { group: '아카데미', words: ['아카데미', '학원', '교실'] }
+];
+
+function splitSentences(text) {
+  return text.split(/(?<=[.!?…])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+// 마지막 장면 (장면 전환 뒤, 최대 SCENE_LIMIT자)
+export function closingScene(content) {
+  const scenes = content.split(SCENE_BREAK).filter(scene => scene && scene.trim() && !SCENE_BREAK.test(scene));
+  const last = scenes.length > 0 ? scenes[scenes.length - 1] : content;
+  return last.trim().slice(-SCENE_LIMIT);
+}
+
+// 첫 장면 (첫 장면 전환 전, 최대 SCENE_LIMIT자)
+export function openingScene(content) {
+  return content.trim().split(SCENE_BREAK)[0].trim().slice(0, SCENE_LIMIT);
+}
+
+function findPlaces(text) {
+  const found = [];
+  for (const place of PLACES) {
+    for (const word of place.words) {
+      let index = text.indexOf(word);
+      while (index >= 0) {
+        // 다른 단어의 일부는 제외 ('중얼거리'의 '거리', '성격'의 '성')
+        const before = text[index - 1];
+        const after = text[index + word.length];
+        const standalone = (!before || !/[가-힣]/.test(before)) &&
+          (word.length > 1 || !after || /[\s에의은이을으로]/.test(after));
+        if (standalone) found.push({ index, word, group: place.group });
+        index = text.indexOf(word, index + word.length);
+      }
+    }
+  }
+  return found.sort((a, b) => a.index - b.index || b.word.length - a.word.length);
+}
+
+function findTimes(text) {
+  return TIMES_OF_DAY
+    .flatMap((time, order) => [...text.matchAll(new RegExp(time.pattern, 'g'))].map(match => ({ index: match.index, label: time.label, order })))
+    .sort((a, b) => a.index - b.index);
+}
+
+function namesOf(character) {
+  return [character.name, ...(character.aliases || [])];
+}
+
+function mentions(sentence, character) {
+  return namesOf(character).some(name => sentence.includes(name));
+}
+
+function isSubject(sentence, character) {
+  return namesOf(character).some(name => ['이 ', '가 ', '은 ', '는 ', '께서 '].some(particle => sentence.includes(`${name}${particle}`)));
+}
+
+function detectCondition(text) {
+  return CONDITIONS.find(condition => condition.pattern.test(text)) || null;
+}
+
+/**
+ * 이전 챕터 마지막 장면 정보
+ * 반환: { location, timeOfDay, present: [이름], conditions: { 이름: { type, label, location, evidence } } }
+ */
+export function extractClosingScene(content, characters, storyState = null) {
+  const scene = closingScene(content);
+  const sentences = splitSentences(scene);
+  const places = findPlaces(scene);
+  const times = findTimes(scene);
+  const stateSituation = storyState?.currentSituation || {};
+
+  const closing = {
+    location: places[places.length - 1]?.word || findPlaces(stateSituation.location || '')[0]?.word || null,
+    timeOfDay: times[times.length - 1]?.label || findTimes(stateSituation.time || '')[0]?.label || null,
+    present: characters.filter(character => mentions(scene, character)).map(character => character.name),
+    conditions: {}
+  };
+
+  for (const character of characters) {
+    // 장부의 인물 상태가 있으면 그대로 사용
+    const recorded = storyState?.characterStates?.[character.name];
+    const recordedCondition = recorded && detectCondition(`${recorded.condition || ''} ${recorded.emotion || ''}`);
+    if (recordedCondition) {
+      closing.conditions[character.name] = {
+        type: recordedCondition.type,
+        label: recordedCondition.label,
+        location: findPlaces(recorded.location || '')[0]?.word || closing.location,
+        evidence: `스토리 상태: ${recorded.condition}`
+      };
+      continue;
+    }
+
+    // 본문: 인물이 주어인 마지막 문장들 중 상태 단서가 있는 문장 (회복 문장이 뒤에 오면 무효)
+    // '카엘은 레오나의 품에서 숨을 거두었다'의 레오나처럼 이름만 나온 인물에게는 상태를 붙이지 않음
+    const related = sentences.filter(sentence => mentions(sentence, character));
+    const lastCondition = related.filter(sentence => isSubject(sentence, character))
+      .map(sentence => ({ sentence, condition: detectCondition(sentence) }))
+      .filter(({ condition }) => condition)
+      .pop();
+    const recovered = lastCondition && related.slice(related.indexOf(lastCondition.sentence) + 1).some(sentence => RECOVERY.test(sentence));
+
+    if (lastCondition && !recovered) {
+      closing.conditions[character.name] = {
+        type: lastCondition.condition.type,
+        label: lastCondition.condition.label,
+        location: closing.location,
+        evidence: lastCondition.sentence
+      };
+    }
+  }
+
+  return closing;
+}
+
+function issue(severity, message, evidence) {
+  return { severity, message, evidence };
+}
+
+/**
+ * 새 챕터 첫 장면이 이전 챕터 마지막 장면과 모순되는지 검사
+ * previous: { number, content }, storyState: 장부 (previous.number 기준일 때만 사용)
+ * 반환: { closing, issues: [{ severity, message, evidence }] }
+ */
+export function checkContinuity(previous, content, characters, storyState = null) {
+  const state = storyState?.currentChapter === previous.number ? storyState : null;
+  const closing = extractClosingScene(previous.content, characters, state);
+  const opening = openingScene(content);
+  const sentences = splitSentences(opening);
+  const issues = [];
+  const chapterLabel = `${previous.number}화`;
+
+  const continues = CONTINUATION.test(sentences.slice(0, 2).join(' ')) && !TIME_SKIP.test(opening);
+  const moved = MOVEMENT.test(opening) || TIME_SKIP.test(opening);
+  const openingPlace = findPlaces(sentences.slice(0, 3).join(' '))[0];
+
+  // 1. 의식이 없거나 죽은 인물이 회복 설명 없이 말하거나 움직이거나 다른 장소에 나타남
+  for (const character of characters) {
+    const condition = closing.conditions[character.name];
+    if (!condition) continue;
+
+    const related = sentences.filter(sentence => mentions(sentence, character));
+    if (related.length === 0 || RECOVERY.test(opening)) continue;
+
+    if (INCAPACITATED.includes(condition.type)) {
+      const acting = related.find(sentence => isSubject(sentence, character) && ACTIVE.test(sentence));
+      const closingGroup = findPlaces(condition.location || '')[0]?.group;
+      // 시간이 흘렀거나 장소를 옮긴 장면(사흘 뒤 장례식 등)은 다른 장소여도 모순 아님
+      const elsewhere = !moved && openingPlace && closingGroup && openingPlace.group !== closingGroup;
+
+      if (acting || elsewhere) {
+        const what = acting ? '말하거나 움직임' : `${openingPlace.word}에 등장`;
+        issues.push(issue(
+          SEVERITY.ERROR,
+          `${character.name}: ${chapterLabel} 끝에서 ${condition.label}${condition.location ? `(${condition.location})` : ''}인데 첫 장면에서 회복 설명 없이 ${what}`,
+          acting || related[0] || ''
+        ));
+      }
+    } else if (condition.type === 'injured') {
+      const strenuous = related.find(sentence => isSubject(sentence, character) && STRENUOUS.test(sentence));
+      if (strenuous && !INJURY_MENTION.test(opening)) {
+        issues.push(issue(SEVERITY.WARN, `${character.name}: ${chapterLabel} 끝에서 부상 상태인데 첫 장면에서 부상 언급 없이 격하게 움직임`, strenuous));
+      }
+    }
+  }
+
+  // 2. 바로 이어지는 장면인데 시간대가 크게 다름 (이웃한 시간대는 허용)
+  const openingTime = findTimes(sentences.slice(0, 3).join(' '))[0];
+  const closingTime = TIMES_OF_DAY.findIndex(time => time.label === closing.timeOfDay);
+  if (continues && openingTime && closingTime >= 0) {
+    const distance = Math.abs(openingTime.order - closingTime);
+    if (Math.min(distance, TIMES_OF_DAY.length - distance) > 1) {
+      issues.push(issue(SEVERITY.WARN, `시간대 불일치: ${chapterLabel} 끝은 ${closing.timeOfDay}인데 바로 이어지는 첫 장면은 ${openingTime.label}`, sentences[0]));
+    }
+  }
+
+  // 3. 바로 이어지는 장면인데 이동 설명 없이 장소가 바뀜
+  const closingPlace = findPlaces(closing.location || '')[0];
+  if (continues && !moved && openingPlace && closingPlace && openingPlace.group !== closingPlace.group) {
+    issues.push(issue(SEVERITY.WARN, `장소 불일치: ${chapterLabel} 끝은 ${closing.location}인데 바로 이어지는 첫 장면은 ${openingPlace.word}`, sentences[0]));
+  }
+
+  return { closing, issues };
+}
@@ -0,0 +1,330 @@
+/**
+ * 대사 분석 - 화자 추정과 관계별 말투(반말/존댓말)
+ *
+ * NOVEL_MARKDOWN_FORMAT.md 형식(> "대화", > *'독백'*, > [행동])과 기존 챕터의 “…” 따옴표를 모두 읽는다.
+ * 화자는 대사 앞뒤 서술의 주어(이름, 별칭, 대명사)로, 청자는 대사 속 호칭이나 같은 장면의 직전 화자로 추정한다.
+ * 대명사는 관례대로 1인칭 서술의 '나'와 3인칭 서술의 '그녀'는 주인공, '그'는 상대역으로 본다.
+ */
+
+export const REGISTER = { BANMAL: '반말', JONDAETMAL: '존댓말', MIXED: '혼용' };
+
+const SCENE_BREAK = /^\s*((\*\s*){3,}|-{3,}|#{1,6}\s.*)\s*$/;
+const BLOCK_QUOTE = /^>\s?(.*)$/;
+const MARKDOWN_DIALOGUE = /^["“](.+)["”]$/;
+const MARKDOWN_MONOLOGUE = /^[*_]['‘](.+)['’][*_]$/;
+const MARKDOWN_ACTION = /^\[(.+)\]$/;
+const PLAIN_MONOLOGUE = /^‘(.+)’$/;
+const QUOTES = /“([^”]+)”|"([^"]+)"/g;
+
+const SUBJECT_PARTICLES = ['께서는', '께서', '이', '가', '은', '는', '의'];
+const JONDAETMAL_ENDING = /(요|십시오|시오|죠)$/;
+const FORMAL_ENDING = /(.)(니다|니까)$/;
+const BANMAL_ENDING = /(다|야|아|어|여|해|워|줘|봐|와|라|자|지|냐|니|래|게|군|네|나|걸|까|거든|잖아|마|렴)$/;
+
+// 대사를 이끄는 서술 ('카엘이 입을 열었다.' 다음 줄의 대사는 카엘의 것)
+const SPEECH_LEAD = /(말했다|물었다|입을 열었다|외쳤다|속삭였다|말을 건넸다|대답했다|소리쳤다|중얼거렸다)[.:]?$/;
+
+// 합니다/습니까체: '니다/니까' 앞 글자에 ㅂ 받침이 있어야 함 ('아니다', '그러니까'는 반말)
+function isJondaetmal(sentence) {
+  const formal = sentence.match(FORMAL_ENDING);
+  if (formal) return (formal[1].charCodeAt(0) - 0xAC00) % 28 === 17;
+  return JONDAETMAL_ENDING.test(sentence);
+}
+
+// 1인칭 서술 여부 ('나는/내가'가 자주 나오면)
+function isFirstPerson(content) {
+  return (content.match(/(^|[\s“"])(나는|내가|나를|내게|나도)(?=[\s,.])/g) || []).length >= 3;
+}
+
+// 캐릭터별로 본문에서 찾을 이름 (별칭 포함, 긴 것부터)
+function buildNameIndex(characters) {
+  return characters
+    .flatMap(character => [character.name, ...(character.aliases || [])].map(name => ({ name, character: character.name })))
+    .sort((a, b) => b.name.length - a.name.length);
+}
+
+function findRole(characters, role) {
+  return characters.find(character => character.role === role)?.name || null;
+}
+
+/**
+ * 본문을 대사 단위로 분해
+ * 반환: [{ type: 'dialogue'|'monologue'|'action', text, line, start, end, narration }]
+ * narration은 같은 줄에서 대사를 뺀 나머지 서술
+ */
+export function parseDialogue(content) {
+  const entries = [];
+  let offset = 0;
+  let scene = 0;
+
+  content.split('\n').forEach((rawLine, line) => {
+    const lineStart = offset;
+    offset += rawLine.length + 1;
+
+    if (SCENE_BREAK.test(rawLine)) {
+      scene++;
+      return;
+    }
+
+    const quoted = rawLine.match(BLOCK_QUOTE);
+    if (quoted) {
+      const inner = quoted[1].trim();
+      const start = lineStart + rawLine.indexOf(inner);
+      const [type, match] = [
+        ['dialogue', inner.match(MARKDOWN_DIALOGUE)],
+        ['monologue', inner.match(MARKDOWN_MONOLOGUE)],
+        ['action', inner.match(MARKDOWN_ACTION)]
+      ].find(([, found]) => found) || [];
+
+      if (type) {
+        entries.push({ type, text: match[1].trim(), line, scene, start, end: start + inner.length, narration: '' });
+      }
+      return;
+    }
+
+    const monologue = rawLine.trim().match(PLAIN_MONOLOGUE);
+    if (monologue) {
+      const start = lineStart + rawLine.indexOf(monologue[0]);
+      entries.push({ type: 'monologue', text: monologue[1].trim(), line, scene, start, end: start + monologue[0].length, narration: '' });
+      return;
+    }
+
+    const quotes = [...rawLine.matchAll(QUOTES)];
+    const narration = rawLine.replace(QUOTES, ' ').trim();
+    for (const quote of quotes) {
+      const start = lineStart + quote.index;
+      entries.push({
+        type: 'dialogue',
+        text: (quote[1] ?? quote[2]).trim(),
+        line,
+        scene,
+        start,
+        end: start + quote[0].length,
+        narration
+      });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * 대사 한 줄의 말투 - 문장 어미 다수결 (판단할 수 없으면 null)
+ */
+export function detectRegister(text, names = []) {
+  const counts = { [REGISTER.BANMAL]: 0, [REGISTER.JONDAETMAL]: 0 };
+
+  // 부르는 이름('고마워요, 루시안')은 어미가 아니므로 지우고, 어미로 끝나지 않는 조각은 세지 않음
+  const stripped = names.reduce((result, name) => result.split(name).join(' '), text);
+  stripped.split(/[.,?!…~]+/)
+    .map(sentence => sentence.replace(/[^가-힣\s]/g, '').trim())
+    .filter(sentence => sentence.length >= 2)
+    .forEach(sentence => {
+      if (isJondaetmal(sentence)) counts[REGISTER.JONDAETMAL]++;
+      else if (BANMAL_ENDING.test(sentence)) counts[REGISTER.BANMAL]++;
+    });
+
+  if (counts[REGISTER.BANMAL] === counts[REGISTER.JONDAETMAL]) return null;
+  return counts[REGISTER.BANMAL] > counts[REGISTER.JONDAETMAL] ? REGISTER.BANMAL : REGISTER.JONDAETMAL;
+}
+
+// 서술에서 주어로 나오는 인물 (fromEnd면 마지막 문장부터 찾음)
+function findSubject(narration, nameIndex, pronouns, fromEnd = false) {
+  if (!narration) return null;
+
+  const sentences = narration.split(/(?<=[.!?])\s+/);
+  for (const sentence of fromEnd ? sentences.reverse() : sentences) {
+    const subject = findSentenceSubject(sentence, nameIndex, pronouns);
+    if (subject) return subject;
+  }
+  return null;
+}
+
+// 문장에서 가장 먼저 주어로 나오는 인물
+function findSentenceSubject(narration, nameIndex, pronouns) {
+  let best = null;
+  const consider = (index, character) => {
+    if (character && index >= 0 && (!best || index < best.index)) best = { index, character };
+  };
+
+  for (const { name, character } of nameIndex) {
+    for (const particle of SUBJECT_PARTICLES) {
+      consider(narration.indexOf(`${name}${particle}`), character);
+    }
+  }
+  for (const [pattern, character] of pronouns) {
+    const match = narration.match(pattern);
+    if (match) consider(match.index, character);
+  }
+
+  return best?.character || null;
+}
+
+// 대사 속에서 이름, 별칭, 호칭으로 불리는 인물
+function findAddressed(text, characters) {
+  return characters
+    .filter(character => [character.name, ...(character.aliases || []), ...(character.honorifics || [])].some(name => text.includes(name)))
+    .map(character => character.name);
+}
+
+/**
+ * 대사마다 화자, 청자, 말투를 추정
+ * characters: 레지스트리 형식 [{ name, role, aliases, honorifics }]
+ */
+export function attributeSpeakers(content, characters) {
+  const lines = content.split('\n');
+  const nameIndex = buildNameIndex(characters);
+  const protagonist = findRole(characters, '주인공');
+  const counterpart = findRole(characters, '상대역');
+  const pronouns = [
+    [isFirstPerson(content) ? /(^|\s)(나는|내가|나도|내\s)/ : /(^|\s)그녀(는|가|의|도)/, protagonist],
+    [/(^|\s)그(는|가|의|도)\s/, counterpart]
+  ];
+
+  // 빈 줄을 건너뛴 다음/이전 줄의 서술 (대사 줄이나 장면 전환이면 없음)
+  const narrationNear = (index, step) => {
+    let cursor = index + step;
+    while (lines[cursor] !== undefined && !lines[cursor].trim()) cursor += step;
+
+    const text = lines[cursor]?.trim();
+    if (!text || BLOCK_QUOTE.test(text) || SCENE_BREAK.test(text) || /[“"‘]/.test(text)) return null;
+    return { line: cursor, text: text.replace(/\*\*/g, '') };
+  };
+
+  const entries = parseDialogue(content).filter(entry => entry.type === 'dialogue');
+  let consumedLine = null;
+
+  entries.forEach((entry, index) => {
+    // 후보 서술 순서: 같은 줄 > 대사를 이끄는 앞줄 > 다음 줄 > 앞줄
+    // 앞 대사의 화자 설명으로 이미 쓴 줄은 다시 쓰지 않고, 대사 속에서 불리는 인물은 화자가 아님
+    const before = narrationNear(entry.line, -1);
+    const after = narrationNear(entry.line, 1);
+    const unused = before && before.line !== consumedLine ? before : null;
+    const sources = [
+      { line: entry.line, text: entry.narration.replace(/\*\*/g, ''), fromEnd: false },
+      unused && SPEECH_LEAD.test(unused.text) && { ...unused, fromEnd: true },
+      after && { ...after, fromEnd: false },
+      unused && { ...unused, fromEnd: true }
+    ].filter(Boolean);
+    const addressed = findAddressed(entry.text, characters);
+
+    entry.speaker = null;
+    for (const source of sources) {
+      const subject = findSubject(source.text, nameIndex, pronouns, source.fromEnd);
+      if (subject && !addressed.includes(subject)) {
+        entry.speaker = subject;
+        consumedLine = source.line;
+        break;
+      }
+    }
+
+    // 주고받는 대화: 같은 장면에서 두 줄 앞 화자가 다시 말한 것으로 봄
+    const [twoBack, oneBack] = [entries[index - 2], entries[index - 1]];
+    if (!entry.speaker && twoBack && oneBack && twoBack.scene === entry.scene && oneBack.scene === entry.scene &&
+      twoBack.speaker && oneBack.speaker && twoBack.speaker !== oneBack.speaker) {
+      entry.speaker = twoBack.speaker;
+    }
+  });
+
+  const allNames = characters.flatMap(character => [character.name, ...(character.aliases || []), ...(character.honorifics || [])]);
+
+  entries.forEach((entry, index) => {
+    entry.register = detectRegister(entry.text, allNames);
+    if (!entry.speaker) {
+      entry.listener = null;
+      return;
+    }
+
+    // 청자: 대사 속 호칭 > 같은 장면의 직전 다른 화자 > 직후 다른 화자
+    const sameScene = other => other.scene === entry.scene && other.speaker && other.speaker !== entry.speaker;
+    entry.listener = findAddressed(entry.text, characters).find(name => name !== entry.speaker) ||
+      entries.slice(0, index).reverse().find(sameScene)?.speaker ||
+      entries.slice(index + 1).find(sameScene)?.speaker ||
+      null;
+  });
+
+  return entries;
+}
+
+/**
+ * 챕터 하나의 관계별 말투
+ * 반환: { lines, relationships: [{ speaker, listener, register, counts, evidence }] }
+ */
+export function analyzeSpeech(content, characters) {
+  const lines = attributeSpeakers(content, characters);
+  const byPair = new Map();
+
+  for (const line of lines.filter(line => line.speaker && line.listener && line.register)) {
+    const key = `${line.speaker}→${line.listener}`;
+    if (!byPair.has(key)) {
+      byPair.set(key, {
+        speaker: line.speaker,
+        listener: line.listener,
+        counts: { [REGISTER.BANMAL]: 0, [REGISTER.JONDAETMAL]: 0 },
+        evidence: []
+      });
+    }
+    const pair = byPair.get(key);
+    pair.counts[line.register]++;
+    pair.evidence.push({ start: line.start, end: line.end, text: line.text, register: line.register });
+  }
+
+  const relationships = [...byPair.values()].map(pair => ({ ...pair, register: dominantRegister(pair.counts) }));
+  return { lines, relationships };
+}
+
+// 70% 이상이면 그 말투, 아니면 혼용
+function dominantRegister(counts) {
+  const total = counts[REGISTER.BANMAL] + counts[REGISTER.JONDAETMAL];
+  if (counts[REGISTER.BANMAL] / total >= 0.7) return REGISTER.BANMAL;
+  if (counts[REGISTER.JONDAETMAL] / total >= 0.7) return REGISTER.JONDAETMAL;
+  return REGISTER.MIXED;
+}
+
+/**
+ * 이전 챕터들에서 굳어진 관계별 말투 (혼용이 아닌 가장 최근 챕터 기준)
+ * chapters: [{ number, content }]
+ * 반환: { '화자→청자': { speaker, listener, register, chapter } }
+ */
+export function buildSpeechProfile(chapters, characters) {
+  const profile = {};
+
+  for (const chapter of [...chapters].sort((a, b) => a.number - b.number)) {
+    for (const relationship of analyzeSpeech(chapter.content, characters).relationships) {
+      if (relationship.register === REGISTER.MIXED) continue;
+      profile[`${relationship.speaker}→${relationship.listener}`] = {
+        speaker: relationship.speaker,
+        listener: relationship.listener,
+        register: relationship.register,
+        chapter: chapter.number
+      };
+    }
+  }
+
+  return profile;
+}
+
+/**
+ * 이전 챕터와 말투가 바뀐 관계
+ * 이번 챕터가 혼용이어도 바뀐 말투가 이전 말투만큼 많으면 바뀐 것으로 봄
+ * 반환: [{ speaker, listener, from, to, since, evidence }]
+ */
+export function findRegisterFlips(profile, analysis) {
+  return analysis.relationships
+    .map(relationship => ({ relationship, previous: profile[`${relationship.speaker}→${relationship.listener}`] }))
+    .filter(({ previous }) => previous)
+    .map(({ relationship, previous }) => ({
+      relationship,
+      previous,
+      to: previous.register === REGISTER.BANMAL ? REGISTER.JONDAETMAL : REGISTER.BANMAL
+    }))
+    .filter(({ relationship, previous, to }) => relationship.counts[to] > 0 && relationship.counts[to] >= relationship.counts[previous.register])
+    .map(({ relationship, previous, to }) => ({
+      speaker: relationship.speaker,
+      listener: relationship.listener,
+      from: previous.register,
+      to,
+      since: previous.chapter,
+      evidence: relationship.evidence.filter(span => span.register === to)
+    }));
+}
@@ -0,0 +1,37 @@
+/**
+ * 프론트매터 읽기/쓰기 - 템플릿 문자열 대신 gray-matter(YAML)로 직렬화
+ *
+ * 제목의 따옴표나 콜론, 여러 줄 요약도 YAML 규칙대로 이스케이프된다.
+ */
+
+import matter from 'gray-matter';
+
+// YAML 날짜(따옴표 없는 2025-08-01)는 Date로 읽히므로 다시 쓸 때 날짜 문자열로 되돌림
+function normalizeValue(value) {
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.split('T')[0] : iso;
+  }
+  return value;
+}
+
+export function parseFrontmatter(text) {
+  // 옵션 객체를 넘겨 gray-matter의 내용 기반 캐시(data 객체 공유)를 피함
+  const { data, content } = matter(text, {});
+  return { data, content };
+}
+
+export function stringifyFrontmatter(data, content = '') {
+  const normalized = Object.fromEntries(
+    Object.entries(data)
+      .filter(([_, value]) => value !== undefined)
+      .map(([key, value]) => [key, normalizeValue(value)])
+  );
+  return matter.stringify(content, normalized);
+}
+
+// 기존 문서의 프론트매터 일부만 바꾸고 본문은 유지
+export function updateFrontmatter(text, updates) {
+  const { data, content } = parseFrontmatter(text);
+  return stringifyFrontmatter({ ...data, ...updates }, content);
+}
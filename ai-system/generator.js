@@ -1,167 +1,375 @@
 /**
- * AI 생성 엔진 - Gemini API를 사용한 소설/챕터 생성
+ * AI 생성 엔진 - 설정된 LLM 프로바이더를 사용한 소설/챕터 생성
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createProvider } from './providers.js';
+import { formatStoryStateForPrompt } from './story-state.js';
+import { NOVEL_OUTPUT, CHAPTER_OUTPUT, PLAN_OUTPUT, OUTLINE_OUTPUT, OutputValidationError, parseOutput } from './schemas.js';
+import { formatOutlineForPrompt } from './outline.js';
+import { PromptTemplates } from './prompt-templates.js';
+import { Logger } from './logger.js';
+
+// 시드가 있으면 결정적 난수 (카세트 재생 시 프롬프트를 고정하기 위함)
+function createRandom(seed) {
+  if (seed === undefined || seed === null) return Math.random;
+
+  let state = Number(seed) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
 export class Generator {
-  constructor(config) {
+  constructor(config, provider = createProvider(config), logger = new Logger()) {
     this.config = config;
-    this.genAI = new GoogleGenerativeAI(config.geminiApiKey);
-    this.model = this.genAI.getGenerativeModel({ model: "gemini-1.5-pro" });
+    this.model = provider;
+    this.logger = logger;
+    this.random = createRandom(config.randomSeed);
+    this.prompts = new PromptTemplates(config.prompts);
   }
 
-  // 새로운 소설 생성
-  async createNewNovel() {
+  // 신작 기획 - 소설 정보, 캐릭터, 연재 계획 (1화 본문 없음)
+  async planNovel() {
+    const tropes = this.selectRandomTropes();
+    const prompt = this.buildPlanNovelPrompt(tropes);
+
+    this.logger.info(`🗺️ 신작 기획 중... (트로프: ${tropes.join(', ')})`);
+
+    const output = await this.generateStructured(prompt, PLAN_OUTPUT);
+    return { ...output, tropes };
+  }
+
+  // 연재 중인 소설의 연재 계획 (이미 연재된 화까지 포함)
+  async planOutline(slug, novel, context = {}) {
+    const prompt = this.buildPlanOutlinePrompt(novel, context);
+
+    this.logger.info(`🗺️ ${novel.title} 연재 계획 작성 중...`);
+
+    const { outline } = await this.generateStructured(prompt, OUTLINE_OUTPUT);
+    return outline;
+  }
+
+  // 새로운 소설 생성 (plan이 있으면 기획대로 1화만 작성)
+  async createNewNovel(plan = null) {
+    if (plan) return this.createPlannedNovel(plan);
+
     const selectedTropes = this.selectRandomTropes();
     const prompt = this.buildNewNovelPrompt(selectedTropes);
     
-    console.log(`📝 새 소설 생성 중... (트로프: ${selectedTropes.join(', ')})`);
-    
-    const response = await this.model.generateContent(prompt);
-    const content = response.response.text();
+    this.logger.info(`📝 새 소설 생성 중... (트로프: ${selectedTropes.join(', ')})`);
     
-    return this.parseNovelResponse(content, selectedTropes);
+    const output = await this.generateStructured(prompt, NOVEL_OUTPUT);
+
+    return this.withPromptVersion(this.parseNovelResponse(output, selectedTropes), 'new-novel');
   }
 
-  // 기존 소설 연재
-  async continueNovel(slug, novel) {
-    const prompt = this.buildContinuePrompt(slug, novel);
-    
-    console.log(`📖 ${novel.title} 연재 중... (${novel.chapterCount + 1}화)`);
+  async createPlannedNovel(plan) {
+    const prompt = this.buildFirstChapterPrompt(plan);
+
+    this.logger.info(`📝 ${plan.novel.title} 1화 작성 중...`);
+
+    const { chapter } = await this.generateStructured(prompt, CHAPTER_OUTPUT);
+    const result = this.parseNovelResponse({ ...plan, chapter }, plan.tropes);
+
+    return this.withPromptVersion({ ...result, outline: plan.outline }, 'first-chapter');
+  }
+
+  // 기존 소설 연재 (context: 스토리 상태 등 연속성 정보)
+  async continueNovel(slug, novel, context = {}) {
+    const prompt = this.buildContinuePrompt(slug, novel, context);
     
-    const response = await this.model.generateContent(prompt);
-    const content = response.response.text();
+    this.logger.info(`📖 ${novel.title} 연재 중... (${novel.chapterCount + 1}화)`);
     
-    return this.parseChapterResponse(content, slug, novel);
+    const output = await this.generateStructured(prompt, CHAPTER_OUTPUT);
+
+    return this.withPromptVersion(this.parseChapterResponse(output, slug, novel), 'continue');
   }
 
   // 소설 완결
-  async completeNovel(slug, novel) {
-    const prompt = this.buildCompletionPrompt(slug, novel);
+  async completeNovel(slug, novel, context = {}) {
+    const prompt = this.buildCompletionPrompt(slug, novel, context);
     
-    console.log(`🏁 ${novel.title} 완결 중...`);
+    this.logger.info(`🏁 ${novel.title} 완결 중...`);
     
+    const output = await this.generateStructured(prompt, CHAPTER_OUTPUT);
+
+    return this.withPromptVersion(this.parseChapterResponse(output, slug, novel, true), 'completion');
+  }
+
+  // 검증 오류를 알려주고 초안 수정 요청 (프롬프트 버전은 처음 생성한 템플릿 유지)
+  async reviseResult(result, errors) {
+    const isNewNovel = result.type === 'new_novel';
+    const contract = isNewNovel ? NOVEL_OUTPUT : CHAPTER_OUTPUT;
+    const prompt = this.buildRevisionPrompt(result, errors, contract);
+
+    this.logger.info(`✏️ ${result.title} ${result.chapter.number}화 수정 중... (${errors.length}개 문제)`);
+
+    const output = await this.generateStructured(prompt, contract);
+    const revised = isNewNovel
+      ? { ...this.parseNovelResponse(output, result.tropes), outline: result.outline }
+      : { ...result, chapter: { ...result.chapter, ...output.chapter, wordCount: output.chapter.content.length } };
+
+    revised.chapter.promptVersion = result.chapter.promptVersion;
+    return revised;
+  }
+
+  // 챕터를 만든 프롬프트 템플릿 버전 기록 (frontmatter promptVersion)
+  withPromptVersion(result, templateName) {
+    result.chapter.promptVersion = this.prompts.resolve(templateName).id;
+    return result;
+  }
+
+  // JSON 계약에 맞는 응답 생성 (검증 실패 시 한 번만 수정 요청)
+  async generateStructured(prompt, contract) {
     const response = await this.model.generateContent(prompt);
     const content = response.response.text();
-    
-    return this.parseChapterResponse(content, slug, novel, true);
+
+    try {
+      return parseOutput(content, contract);
+    } catch (error) {
+      if (!(error instanceof OutputValidationError)) throw error;
+
+      this.logger.warn(`⚠️  ${contract.name} 응답 형식 오류 (${error.field}), 수정 요청 중...`, { contract: contract.name, field: error.field });
+
+      const repaired = await this.model.generateContent(this.buildRepairPrompt(content, contract, error));
+      return parseOutput(repaired.response.text(), contract);
+    }
   }
 
-  selectRandomTropes() {
-    const shuffled = this.config.tropes.sort(() => 0.5 - Math.random());
-    return shuffled.slice(0, 3 + Math.floor(Math.random() * 2)); // 3-4개 선택
+  // 확정된 챕터에서 스토리 상태 장부 갱신본 추출
+  async extractStoryState(storyState, result) {
+    const prompt = this.buildStoryStatePrompt(storyState, result);
+
+    this.logger.info(`🗂️ ${result.title} ${result.chapter.number}화 스토리 상태 추출 중...`);
+
+    const response = await this.model.generateContent(prompt);
+    const content = response.response.text();
+
+    return this.parseStoryStateResponse(content, storyState, result);
   }
 
-  buildNewNovelPrompt(tropes) {
-    return `당신은 로맨스 판타지 웹소설 전문 작가입니다. 
+  // 챕터 요약 (summary frontmatter용)
+  async summarizeChapter(title, chapter) {
+    const prompt = this.buildChapterSummaryPrompt(title, chapter);
+
+    this.logger.info(`📝 ${title} ${chapter.number}화 요약 중...`);
+
+    const response = await this.model.generateContent(prompt);
+    return this.parseSummaryResponse(response.response.text());
+  }
 
-다음 트로프들을 활용해 새로운 로맨스 판타지 소설을 기획하고 1화를 작성해주세요:
-트로프: ${tropes.join(', ')}
+  // 여러 챕터 요약을 묶은 아크 요약
+  async summarizeArc(title, chapters) {
+    const prompt = this.buildArcSummaryPrompt(title, chapters);
+    const range = `${chapters[0].number}~${chapters[chapters.length - 1].number}화`;
 
-요구사항:
-1. 한국어로 작성
-2. 현대적이고 매력적인 설정
-3. 뚜렷한 캐릭터 2명 (주인공 + 상대역)
-4. 1화 길이: ${this.config.chapterLength.target}자 내외
-5. 감정적 몰입도가 높은 문체
+    this.logger.info(`📚 ${title} ${range} 아크 요약 중...`);
 
-다음 형식으로 응답해주세요:
+    const response = await this.model.generateContent(prompt);
+    return this.parseSummaryResponse(response.response.text());
+  }
 
-=== NOVEL_INFO ===
-제목: (매력적인 제목)
-슬러그: (영문 slug, 소문자-하이픈)
-요약: (100자 내외 요약)
-주인공: (이름, 성격, 능력)
-상대역: (이름, 성격, 능력)
+  selectRandomTropes() {
+    const shuffled = [...this.config.tropes].sort(() => 0.5 - this.random());
+    return shuffled.slice(0, 3 + Math.floor(this.random() * 2)); // 3-4개 선택
+  }
 
-=== CHAPTER_1 ===
-제목: (1화 제목)
-내용: (본문 내용 - ${this.config.chapterLength.target}자 내외)`;
+  buildNewNovelPrompt(tropes) {
+    return this.prompts.render('new-novel', {
+      tropes: tropes.join(', '),
+      chapterTarget: this.config.chapterLength.target,
+      outputFormat: NOVEL_OUTPUT.format
+    }).text;
   }
 
-  buildContinuePrompt(slug, novel) {
-    return `당신은 로맨스 판타지 웹소설 전문 작가입니다.
+  buildPlanNovelPrompt(tropes) {
+    return this.prompts.render('plan-novel', {
+      tropes: tropes.join(', '),
+      minChapters: this.config.outline.minChapters,
+      maxChapters: this.config.outline.maxChapters,
+      outputFormat: PLAN_OUTPUT.format
+    }).text;
+  }
 
-기존 소설 정보:
-- 제목: ${novel.title}
-- 현재 챕터: ${novel.chapterCount}화까지 완료
-- 주요 캐릭터: ${JSON.stringify(novel.characters)}
+  buildPlanOutlinePrompt(novel, context = {}) {
+    return this.prompts.render('plan-outline', {
+      ...this.buildNovelVariables(novel, { ...context, outline: null }),
+      minChapters: Math.max(this.config.outline.minChapters, novel.chapterCount + 3),
+      outputFormat: OUTLINE_OUTPUT.format
+    }).text;
+  }
 
-다음 화(${novel.chapterCount + 1}화)를 작성해주세요.
+  buildFirstChapterPrompt(plan) {
+    return this.prompts.render('first-chapter', {
+      title: plan.novel.title,
+      tropes: plan.tropes.join(', '),
+      summary: plan.novel.summary,
+      characters: JSON.stringify(plan.characters),
+      outline: formatOutlineForPrompt(plan.outline, 1),
+      chapterTarget: this.config.chapterLength.target,
+      outputFormat: CHAPTER_OUTPUT.format
+    }).text;
+  }
 
-요구사항:
-1. 캐릭터명과 설정을 정확히 유지
-2. 스토리 전개의 자연스러운 연결
-3. 길이: ${this.config.chapterLength.target}자 내외
-4. 로맨스 판타지다운 매력적인 전개
+  // 연속성 컨텍스트 (연재 계획, 이전 스토리 요약, 스토리 상태) 프롬프트 섹션
+  buildContextSection(context = {}, chapterNumber = null) {
+    const sections = [
+      context.outline && formatOutlineForPrompt(context.outline, chapterNumber),
+      context.summary,
+      formatStoryStateForPrompt(context.storyState)
+    ].filter(Boolean);
+    return sections.length > 0 ? `${sections.join('\n\n')}\n\n` : '';
+  }
 
-다음 형식으로 응답해주세요:
+  // 기존 소설 프롬프트 공통 변수 (소설 정보, 연속성 컨텍스트, 출력 형식)
+  buildNovelVariables(novel, context = {}) {
+    return {
+      title: novel.title,
+      chapterCount: novel.chapterCount,
+      nextChapter: novel.chapterCount + 1,
+      characters: JSON.stringify(novel.characters),
+      context: this.buildContextSection(context, novel.chapterCount + 1),
+      outputFormat: CHAPTER_OUTPUT.format
+    };
+  }
 
-=== CHAPTER_${novel.chapterCount + 1} ===
-제목: (챕터 제목)
-내용: (본문 내용)`;
+  buildContinuePrompt(slug, novel, context = {}) {
+    return this.prompts.render('continue', {
+      ...this.buildNovelVariables(novel, context),
+      chapterTarget: this.config.chapterLength.target
+    }).text;
   }
 
-  buildCompletionPrompt(slug, novel) {
-    return `당신은 로맨스 판타지 웹소설 전문 작가입니다.
+  buildCompletionPrompt(slug, novel, context = {}) {
+    return this.prompts.render('completion', {
+      ...this.buildNovelVariables(novel, context),
+      chapterTarget: Math.floor(this.config.chapterLength.target * 1.2)
+    }).text;
+  }
+
+  buildRevisionPrompt(result, errors, contract) {
+    const draft = result.type === 'new_novel'
+      ? {
+        novel: { title: result.title, slug: result.slug, summary: result.summary },
+        characters: result.characterProfiles || Object.entries(result.characters).map(([name, role]) => ({ name, role })),
+        chapter: { title: result.chapter.title, content: result.chapter.content }
+      }
+      : { chapter: { title: result.chapter.title, content: result.chapter.content } };
+
+    return this.prompts.render('revise', {
+      title: result.title,
+      chapterNumber: result.chapter.number,
+      errors: errors.map(error => `- ${error}`).join('\n'),
+      chapterMin: this.config.chapterLength.min,
+      chapterMax: this.config.chapterLength.max,
+      chapterTarget: this.config.chapterLength.target,
+      outputFormat: contract.format,
+      draft: JSON.stringify(draft, null, 2)
+    }).text;
+  }
+
+  buildRepairPrompt(content, contract, error) {
+    return this.prompts.render('repair-output', {
+      error: error.message,
+      outputFormat: contract.format,
+      content
+    }).text;
+  }
+
+  buildStoryStatePrompt(storyState, result) {
+    return this.prompts.render('story-state', {
+      title: result.title,
+      chapterNumber: result.chapter.number,
+      nextChapter: result.chapter.number + 1,
+      chapterTitle: result.chapter.title,
+      storyState: JSON.stringify(storyState, null, 2),
+      content: result.chapter.content
+    }).text;
+  }
 
-기존 소설 정보:
-- 제목: ${novel.title}
-- 현재까지: ${novel.chapterCount}화 완료
-- 주요 캐릭터: ${JSON.stringify(novel.characters)}
+  buildChapterSummaryPrompt(title, chapter) {
+    return this.prompts.render('chapter-summary', {
+      title,
+      chapterNumber: chapter.number,
+      chapterTitle: chapter.title || '',
+      length: this.config.summaries?.chapterSummaryLength || 200,
+      content: chapter.content
+    }).text;
+  }
 
-이제 이 소설을 완결지어주세요. 최종화를 작성해주세요.
+  buildArcSummaryPrompt(title, chapters) {
+    return this.prompts.render('arc-summary', {
+      title,
+      summaries: chapters.map(chapter => `${chapter.number}화 ${chapter.title}: ${chapter.summary}`).join('\n')
+    }).text;
+  }
 
-요구사항:
-1. 모든 갈등 해결
-2. 주인공들의 로맨스 성취
-3. 만족스러운 결말
-4. 길이: ${Math.floor(this.config.chapterLength.target * 1.2)}자 내외 (완결편은 조금 더 길게)
+  parseSummaryResponse(content) {
+    const summary = content
+      .replace(/```[a-z]*\n?/g, '')
+      .replace(/^(요약|줄거리)\s*:\s*/, '')
+      .replace(/\s*\n+\s*/g, ' ')
+      .trim();
 
-다음 형식으로 응답해주세요:
+    if (!summary) {
+      throw new Error('요약 파싱 실패');
+    }
 
-=== FINAL_CHAPTER ===
-제목: (최종화 제목)
-내용: (본문 내용)`;
+    return summary;
   }
 
-  parseNovelResponse(content, tropes) {
-    const novelMatch = content.match(/=== NOVEL_INFO ===\n([\s\S]*?)\n=== CHAPTER_1 ===/);
-    const chapterMatch = content.match(/=== CHAPTER_1 ===\n([\s\S]*)/);
+  parseStoryStateResponse(content, storyState, result) {
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
 
-    if (!novelMatch || !chapterMatch) {
-      throw new Error('소설 파싱 실패');
+    if (start < 0 || end <= start) {
+      throw new Error('스토리 상태 파싱 실패');
     }
 
-    const novelInfo = this.parseNovelInfo(novelMatch[1]);
-    const chapterInfo = this.parseChapterInfo(chapterMatch[1]);
+    let extracted;
+    try {
+      extracted = JSON.parse(content.slice(start, end + 1));
+    } catch {
+      throw new Error('스토리 상태 파싱 실패');
+    }
+
+    return {
+      ...storyState,
+      ...extracted,
+      novel: result.slug,
+      title: result.title,
+      currentChapter: result.chapter.number,
+      lastUpdated: new Date().toISOString().split('T')[0]
+    };
+  }
+
+  parseNovelResponse(output, tropes) {
+    const { novel, characters, chapter } = output;
 
     return {
       type: 'new_novel',
-      slug: novelInfo.slug,
-      title: novelInfo.title,
-      summary: novelInfo.summary,
-      characters: { [novelInfo.protagonist]: '주인공', [novelInfo.love_interest]: '상대역' },
+      slug: novel.slug,
+      title: novel.title,
+      summary: novel.summary,
+      characters: Object.fromEntries(characters.map(character => [character.name, character.role])),
+      characterProfiles: characters,
       tropes,
       chapter: {
         number: 1,
-        title: chapterInfo.title,
-        content: chapterInfo.content,
-        wordCount: chapterInfo.content.length
+        title: chapter.title,
+        content: chapter.content,
+        wordCount: chapter.content.length
       }
     };
   }
 
-  parseChapterResponse(content, slug, novel, isCompletion = false) {
-    const chapterMatch = content.match(/=== (?:CHAPTER_\d+|FINAL_CHAPTER) ===\n([\s\S]*)/);
-    
-    if (!chapterMatch) {
-      throw new Error('챕터 파싱 실패');
-    }
-
-    const chapterInfo = this.parseChapterInfo(chapterMatch[1]);
-    const chapterNumber = isCompletion ? novel.chapterCount + 1 : novel.chapterCount + 1;
+  parseChapterResponse(output, slug, novel, isCompletion = false) {
+    const { chapter } = output;
+    const chapterNumber = novel.chapterCount + 1;
 
     return {
       type: isCompletion ? 'completion' : 'chapter',
@@ -171,44 +379,11 @@ export class Generator {
       status: isCompletion ? '완결' : '연재 중',
       chapter: {
         number: chapterNumber,
-        title: chapterInfo.title,
-        content: chapterInfo.content,
-        wordCount: chapterInfo.content.length
+        title: chapter.title,
+        content: chapter.content,
+        wordCount: chapter.content.length
       },
       chapterNumber
     };
   }
-
-  parseNovelInfo(infoText) {
-    const lines = infoText.trim().split('\n');
-    const info = {};
-    
-    lines.forEach(line => {
-      const [key, ...values] = line.split(':');
-      const value = values.join(':').trim();
-      
-      switch(key.trim()) {
-        case '제목': info.title = value; break;
-        case '슬러그': info.slug = value; break;
-        case '요약': info.summary = value; break;
-        case '주인공': info.protagonist = value.split(',')[0].trim(); break;
-        case '상대역': info.love_interest = value.split(',')[0].trim(); break;
-      }
-    });
-
-    return info;
-  }
-
-  parseChapterInfo(chapterText) {
-    const lines = chapterText.trim().split('\n');
-    const titleLine = lines.find(line => line.startsWith('제목:'));
-    const contentStartIndex = lines.findIndex(line => line.startsWith('내용:'));
-    
-    return {
-      title: titleLine ? titleLine.replace('제목:', '').trim() : '제목 없음',
-      content: contentStartIndex >= 0 
-        ? lines.slice(contentStartIndex + 1).join('\n').trim()
-        : lines.slice(1).join('\n').trim()
-    };
-  }
-}
\ No newline at end of file
+}
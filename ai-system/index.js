@@ -4,41 +4,57 @@
  * 단일 진입점 - 모든 로직의 시작점
  */
 
-import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { existsSync, readFileSync } from 'fs';
 import { join } from 'path';
 import { Generator } from './generator.js';
 import { Validator } from './validator.js';
 import { Storage } from './storage.js';
+import { NovelDatabase } from './novel-database.js';
+import { CharacterValidator } from './character-validator.js';
+import { CharacterRegistry } from './character-registry.js';
+import { StoryStateStore } from './story-state.js';
+import { SummaryStore, buildSummaryContext, findMissingArcs } from './summaries.js';
+import { QualityReportStore } from './quality-report.js';
+import { buildSpeechProfile } from './dialogue.js';
+import { SimilarityIndex } from './similarity.js';
+import { OutlineStore, isFinalChapter } from './outline.js';
+import { Scheduler } from './scheduler.js';
+import { UsageLedger, MeteredProvider, getBudgetStatus } from './usage.js';
+import { RunHistory, describeAction, summarizeOutcome } from './run-history.js';
+import { createProvider } from './providers.js';
+import { createLogger } from './logger.js';
+import { loadConfig } from './config.js';
+import { Transaction, writeFile } from './transaction.js';
 
 class RoFanAI {
-  constructor() {
-    this.configPath = join(process.cwd(), 'ai-system', 'config.json');
-    this.statePath = join(process.cwd(), 'ai-system', 'state.json');
-    this.config = this.loadConfig();
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || process.cwd();
+    this.dryRun = options.dryRun || false;
+    this.autoCommit = options.autoCommit !== false;
+    this.now = options.now ? new Date(options.now) : null; // 스케줄 확인용 기준 시각 고정 (--now)
+    this.statePath = join(this.rootDir, 'ai-system', 'state.json');
+    this.config = loadConfig(this.rootDir);
+    this.logger = options.logger || createLogger(this.config.logging);
     this.state = this.loadState();
-    
-    this.generator = new Generator(this.config);
-    this.validator = new Validator(this.config);
-    this.storage = new Storage(this.config);
-  }
-
-  loadConfig() {
-    if (!existsSync(this.configPath)) {
-      const defaultConfig = {
-        maxActiveNovels: 3,
-        chapterLength: { min: 3000, target: 4000, max: 5000 },
-        completionChapter: 15,
-        tropes: [
-          "시간조작능력", "예지능력자", "운명적만남", "현대판타지",
-          "회귀", "빙의", "계약결혼", "적에서연인으로",
-          "마법학원", "드래곤라이더", "엘프왕자", "뱀파이어백작"
-        ],
-        geminiApiKey: process.env.GEMINI_API_KEY
-      };
-      writeFileSync(this.configPath, JSON.stringify(defaultConfig, null, 2));
-      return defaultConfig;
-    }
-    return JSON.parse(readFileSync(this.configPath, 'utf-8'));
+
+    this.database = new NovelDatabase(this.rootDir, this.logger);
+    this.characterRegistry = new CharacterRegistry(this.rootDir);
+    this.characterValidator = new CharacterValidator(this.characterRegistry);
+    this.storyStates = new StoryStateStore(this.rootDir);
+    this.summaries = new SummaryStore(this.rootDir);
+    this.reports = new QualityReportStore(this.rootDir);
+    this.outlines = new OutlineStore(this.rootDir);
+    this.similarityIndex = new SimilarityIndex(this.rootDir, { paragraphThreshold: this.config.similarity.paragraphThreshold });
+    this.ledger = new UsageLedger(this.rootDir, this.config, this.logger.runId);
+    this.history = new RunHistory(this.rootDir, this.config);
+    this.generator = new Generator(this.config, new MeteredProvider(createProvider(this.config, this.rootDir), this.ledger), this.logger);
+    this.validator = new Validator(this.config, this.characterValidator, this.logger);
+    this.storage = new Storage(this.config, this.rootDir, this.logger);
+    this.scheduler = new Scheduler(this.config);
+  }
+
+  getNow() {
+    return this.now || new Date();
   }
 
   loadState() {
@@ -50,82 +66,488 @@ class RoFanAI {
     return JSON.parse(readFileSync(this.statePath, 'utf-8'));
   }
 
-  saveState(state = this.state) {
-    writeFileSync(this.statePath, JSON.stringify(state, null, 2));
+  saveState(state = this.state, transaction = null) {
+    writeFile(this.statePath, JSON.stringify(state, null, 2), transaction);
     this.state = state;
   }
 
-  // 다음에 할 작업 결정 (우선순위: 완결 > 신작 > 연재)
-  decideNextAction() {
-    const novels = this.state.novels;
-    
-    // 1순위: 완결 가능한 소설 찾기
-    for (const [slug, novel] of Object.entries(novels)) {
-      if (novel.status === '연재 중' && novel.chapterCount >= this.config.completionChapter) {
+  // 콘텐츠 파일(frontmatter + 챕터 파일)을 기준으로 state 동기화
+  async syncState() {
+    const novels = await this.database.getAllNovels();
+    const synced = {};
+
+    for (const novel of novels) {
+      const known = this.state.novels[novel.slug] || {};
+      const registered = this.characterRegistry.getRoleMap(novel.slug);
+
+      synced[novel.slug] = {
+        ...known,
+        title: novel.title,
+        status: novel.status,
+        chapterCount: novel.lastChapter,
+        // 캐릭터 정보는 레지스트리가 기준
+        characters: Object.keys(registered).length > 0 ? registered : known.characters || {},
+        created: known.created || (novel.publishedDate ? new Date(novel.publishedDate).toISOString() : null),
+        // state에 기록이 없는 소설만 마지막 챕터 frontmatter의 생성 시각으로 대체
+        lastUpdate: known.lastUpdate || (novel.lastUpdated ? novel.lastUpdated.toISOString() : null),
+        scheduled: (await this.database.getReleaseStatus(novel.slug, this.getNow())).scheduled
+      };
+    }
+
+    this.state.novels = synced;
+  }
+
+  // 오늘/이번 달 모델 호출 비용 기준 예산 상태
+  getBudgetStatus() {
+    return getBudgetStatus(this.config.usage, this.ledger.getSpent(this.getNow()));
+  }
+
+  // 다음에 할 작업 결정 (우선순위: 완결 > 신작 > 연재, 연재 주기가 돌아온 소설만)
+  // 예산을 다 쓰면 작업하지 않고, softLimit을 넘으면 신작과 예약 회차는 건너뜀
+  decideNextAction(exclude = new Set()) {
+    const budget = this.getBudgetStatus();
+    if (budget.level === 'exhausted') return { action: 'none', reason: 'budget' };
+
+    const reduced = budget.level === 'reduced';
+    const novels = Object.entries(this.state.novels)
+      .filter(([slug, novel]) => novel.status === '연재 중' && !exclude.has(slug));
+    const dueNovels = this.scheduler.getDue(novels, this.getNow()).filter(({ releaseAt }) => !reduced || !releaseAt);
+
+    // 1순위: 완결 가능한 소설 찾기 (완결편은 예약 공개로 미리 쓰지 않음)
+    for (const { slug, novel, releaseAt } of dueNovels) {
+      if (!releaseAt && this.isCompletionDue(slug, novel)) {
         return { action: 'complete', slug, novel };
       }
     }
 
-    // 2순위: 연재 중인 소설이 최대치보다 적으면 신작 생성
-    const activeNovels = Object.values(novels).filter(n => n.status === '연재 중').length;
-    if (activeNovels < this.config.maxActiveNovels) {
+    // 2순위: 연재 중인 소설이 최대치보다 적으면 신작 생성 (한 실행에 한 편)
+    const activeNovels = Object.values(this.state.novels).filter(n => n.status === '연재 중').length;
+    const newNovelBackingOff = this.scheduler.isBackingOff(this.state.lastNewNovelFailedAt, this.getNow());
+    if (activeNovels < this.config.maxActiveNovels && !exclude.has('new_novel') && !reduced && !newNovelBackingOff) {
       return { action: 'new_novel' };
     }
 
-    // 3순위: 기존 소설 연재 (가장 오래된 것)
-    const continuing = Object.entries(novels)
-      .filter(([_, novel]) => novel.status === '연재 중')
-      .sort(([_, a], [__, b]) => new Date(a.lastUpdate) - new Date(b.lastUpdate));
-    
-    if (continuing.length > 0) {
-      const [slug, novel] = continuing[0];
-      return { action: 'continue', slug, novel };
+    // 3순위: 기존 소설 연재 (바로 공개할 회차, 그다음 예약 공개할 회차 중 가장 오래 밀린 것)
+    const continuing = dueNovels.find(({ slug, novel }) => !this.isCompletionDue(slug, novel));
+    if (continuing) {
+      const { slug, novel, releaseAt } = continuing;
+      return { action: 'continue', slug, novel, ...(releaseAt && { releaseAt }) };
     }
 
     return { action: 'none' };
   }
 
+  // 다음 화가 완결편인지 (연재 계획의 마지막 화, 계획이 없으면 completionChapter화 이후)
+  isCompletionDue(slug, novel) {
+    const outline = this.outlines.load(slug);
+    if (outline) return isFinalChapter(outline, novel.chapterCount + 1);
+    return novel.chapterCount >= this.config.completionChapter;
+  }
+
   async run() {
+    this.logger.info('🚀 RO-FAN AI 자동 연재 시스템 시작', { dryRun: this.dryRun, now: this.now?.toISOString() || null });
+    if (this.dryRun) this.logger.info('🧪 드라이런 모드: 저장하지 않음');
+    if (this.now) this.logger.info(`⏰ 기준 시각: ${this.now.toISOString()}`);
+
+    const startedAt = new Date();
+    const attempted = new Set();
+    const outcomes = [];
+    let released = [];
+    let stopReason = null;
+    let failure = null;
+
     try {
-      console.log('🚀 RO-FAN AI 자동 연재 시스템 시작');
-      
-      const decision = this.decideNextAction();
-      console.log(`📋 다음 작업: ${decision.action}`);
-
-      let result = null;
-      
-      switch (decision.action) {
-        case 'complete':
-          result = await this.generator.completeNovel(decision.slug, decision.novel);
-          break;
-        case 'new_novel':
-          result = await this.generator.createNewNovel();
-          break;
-        case 'continue':
-          result = await this.generator.continueNovel(decision.slug, decision.novel);
+      await this.syncState();
+      released = await this.releaseScheduledChapters();
+
+      for (let i = 0; i < this.config.maxActionsPerRun; i++) {
+        const decision = this.decideNextAction(attempted);
+
+        if (decision.action === 'none') {
+          stopReason = decision.reason || null;
+          if (decision.reason === 'budget') this.logger.warn(`💸 예산 소진으로 생성 중단: ${this.getBudgetStatus().reason}`);
+          else if (outcomes.length === 0) this.logger.info('✅ 할 작업이 없습니다.');
           break;
-        default:
-          console.log('✅ 할 작업이 없습니다.');
-          return;
+        }
+
+        attempted.add(decision.slug || 'new_novel');
+        const started = Date.now();
+        const outcome = await this.execute(decision);
+        outcomes.push({ ...outcome, durationMs: Date.now() - started });
+        if (!this.dryRun) this.recordFailure(outcome);
+      }
+    } catch (error) {
+      failure = error;
+      throw error;
+    } finally {
+      if (!this.dryRun) this.recordRun({ startedAt, outcomes, released, stopReason, failure });
+    }
+
+    return outcomes;
+  }
+
+  // 반려되거나 오류가 난 소설(신작은 state.lastNewNovelFailedAt)은 retryBackoffHours 동안 다시 시도하지 않음
+  recordFailure({ decision, outcome }) {
+    if (outcome !== 'rejected' && outcome !== 'error') return;
+
+    const now = this.getNow().toISOString();
+    if (decision.slug && this.state.novels[decision.slug]) this.state.novels[decision.slug].lastFailedAt = now;
+    else if (decision.action === 'new_novel') this.state.lastNewNovelFailedAt = now;
+
+    try {
+      this.saveState();
+    } catch (error) {
+      this.logger.warn(`⚠️  실패 기록 저장 실패: ${error.message}`, { error });
+    }
+  }
+
+  // 실행 기록 (연재할 회차가 없어 아무것도 하지 않은 실행은 남기지 않음)
+  recordRun({ startedAt, outcomes, released, stopReason, failure }) {
+    const now = this.getNow();
+    const novels = Object.entries(this.state.novels).filter(([, novel]) => novel.status === '연재 중');
+    const wasDue = this.scheduler.getDue(novels, now).length > 0;
+    if (outcomes.length === 0 && released.length === 0 && !failure && !(stopReason === 'budget' && wasDue)) return;
+
+    const actions = outcomes.map(describeAction);
+    const finishedAt = new Date();
+
+    try {
+      this.history.append({
+        runId: this.ledger.runId,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        now: this.now ? this.now.toISOString() : null,
+        outcome: failure ? 'error' : summarizeOutcome(actions, stopReason),
+        stopReason,
+        budget: this.getBudgetStatus(),
+        released: released.map(({ slug, chapterCount }) => ({ slug, chapterCount })),
+        actions,
+        // 실행이 끝난 뒤 소설별 연재 상태 (다음 실행까지 연재가 없었던 이유 확인용)
+        novels: Object.entries(this.state.novels).map(([slug, novel]) => ({
+          slug,
+          status: novel.status,
+          chapterCount: novel.chapterCount,
+          lastUpdate: novel.lastUpdate || null,
+          scheduled: novel.scheduled || 0,
+          nextReleaseAt: novel.status === '연재 중' ? this.scheduler.nextReleaseAt(slug, novel.lastUpdate)?.toISOString() || null : null,
+          hiatus: this.scheduler.getHiatus(slug, now)
+        })),
+        error: failure ? { message: failure.message, stack: failure.stack } : null
+      });
+    } catch (error) {
+      this.logger.warn(`⚠️  실행 기록 저장 실패: ${error.message}`, { error });
+    }
+  }
+
+  // 공개 시각이 지난 예약 챕터를 소설 frontmatter의 totalChapters에 반영 (커밋되면 사이트가 다시 빌드됨)
+  async releaseScheduledChapters() {
+    const now = this.getNow();
+    const released = [];
+
+    for (const novel of await this.database.getAllNovels()) {
+      const { published, lastReleased } = await this.database.getReleaseStatus(novel.slug, now);
+      if (lastReleased > (novel.totalChapters || 0)) {
+        released.push({ slug: novel.slug, title: novel.title, chapterCount: published });
       }
+    }
 
-      if (result && await this.validator.validate(result)) {
-        await this.storage.save(result);
-        this.updateState(result);
-        console.log(`✅ 성공적으로 완료: ${result.title}`);
-      } else {
-        console.log('❌ 검증 실패 또는 생성 실패');
+    if (released.length === 0) return released;
+    for (const { slug, title, chapterCount } of released) {
+      this.logger.info(`📅 예약 공개: ${title} ${chapterCount}화까지`, { novel: slug, chapterCount });
+    }
+    if (this.dryRun) return released;
+
+    const transaction = new Transaction(this.rootDir);
+    try {
+      for (const { slug, chapterCount } of released) {
+        await this.storage.updateNovelChapterCount(slug, chapterCount, transaction);
       }
+      transaction.commit();
+    } catch (error) {
+      transaction.rollback();
+      this.logger.warn(`⚠️  예약 공개 반영 실패: ${error.message}`, { error });
+      return [];
+    }
+
+    if (this.autoCommit) {
+      await this.storage.gitCommit({ type: 'release', released });
+    }
+    return released;
+  }
+
+  async execute(decision) {
+    const logger = this.logger.child({ action: decision.action, novel: decision.slug || null });
+    logger.info(`📋 다음 작업: ${decision.action}${decision.slug ? ` (${decision.slug})` : ''}`);
+    this.ledger.setContext({
+      action: decision.action,
+      novel: decision.slug || null,
+      chapter: decision.novel ? decision.novel.chapterCount + 1 : 1
+    });
+
+    try {
+      const context = decision.slug
+        ? await this.buildContext(decision.slug, decision.action)
+        : { similarityIndex: this.similarityIndex.refresh({ save: !this.dryRun }) };
+      const generated = await this.generate(decision, context);
+      if (generated && !decision.slug) this.ledger.attribute({ novel: generated.slug });
+
+      if (!generated) {
+        logger.warn('❌ 생성 실패');
+        return { decision, outcome: 'rejected' };
+      }
+
+      const { result, report, attempts } = await this.reviseUntilValid(generated, this.getAttemptBudget(decision.slug), context);
+
+      if (!report.passed) {
+        logger.warn(`❌ 검증 실패: ${report.errors.join(' / ')}`, { attempts, score: report.score });
+        // 실패한 이유도 리포트로 남김 (챕터 파일은 저장하지 않음)
+        if (!this.dryRun) this.reports.save(result, report);
+        return { decision, outcome: 'rejected', result, report, attempts, errors: report.errors };
+      }
+
+      if (decision.releaseAt) {
+        result.chapter.publicationDate = decision.releaseAt.toISOString();
+        logger.info(`📅 ${result.chapter.number}화 예약 공개: ${result.chapter.publicationDate}`);
+      }
+
+      if (this.dryRun) {
+        logger.info(`🧪 드라이런: ${result.title} ${result.chapter.number}화 저장 생략`);
+        return { decision, outcome: 'dry_run', result, report, attempts };
+      }
+
+      await this.commitResult(result, context, report);
+      if (this.autoCommit) {
+        await this.storage.gitCommit(result);
+      }
+      logger.success(`✅ 성공적으로 완료: ${result.title}`, { novel: result.slug, chapter: result.chapter.number, attempts });
+      return { decision, outcome: 'success', result, report, attempts };
 
     } catch (error) {
-      console.error('💥 오류 발생:', error.message);
-      process.exit(1);
+      logger.error(`💥 오류 발생: ${error.message}`, { error });
+      return { decision, outcome: 'error', error };
+    } finally {
+      // 실패하거나 반려된 시도의 호출 비용도 기록
+      if (!this.dryRun) this.ledger.flush();
     }
   }
 
-  updateState(result) {
-    const now = new Date().toISOString();
-    
+  async generate(decision, context) {
+    switch (decision.action) {
+      case 'complete':
+        return this.generator.completeNovel(decision.slug, decision.novel, context);
+      case 'new_novel':
+        return this.generator.createNewNovel(await this.planNewNovel());
+      case 'continue':
+        return this.generator.continueNovel(decision.slug, decision.novel, context);
+      default:
+        return null;
+    }
+  }
+
+  // 소설별 시도 횟수 (수정 요청 포함, 예산 softLimit을 넘으면 한 번만)
+  getAttemptBudget(slug) {
+    if (this.getBudgetStatus().level !== 'ok') return 1;
+
+    const { maxAttempts, novels = {} } = this.config.revision;
+    return Math.max(1, (slug && novels[slug]) ?? maxAttempts);
+  }
+
+  // 검증 오류를 모델에 돌려주며 수정 반복, 가장 나은 시도와 시도 횟수를 반환
+  // 통과 여부가 우선이고 점수는 같은 통과 여부끼리만 비교 (경고만 있는 통과 시도가 점수 높은 실패 시도보다 나음)
+  async reviseUntilValid(result, budget, context = {}) {
+    let best = null;
+    let attempts = 0;
+
+    for (let attempt = 1; attempt <= budget; attempt++) {
+      attempts = attempt;
+      const report = { ...(await this.validator.validate(result, context)), attempt };
+
+      const better = !best || (report.passed !== best.report.passed
+        ? report.passed
+        : report.score > best.report.score);
+      if (better) {
+        best = { result, report };
+      }
+      if (report.passed || attempt === budget) break;
+
+      this.logger.info(`🔁 수정 요청 (${attempt + 1}/${budget})`);
+      try {
+        result = await this.generator.reviseResult(result, report.errors);
+      } catch (error) {
+        this.logger.warn(`⚠️  수정 실패: ${error.message}`, { error });
+        break;
+      }
+    }
+
+    return { ...best, attempts };
+  }
+
+  // 결과에 딸린 모든 파일(콘텐츠, 레지스트리, 요약, 스토리 상태, 품질 리포트, state.json)을 한 트랜잭션으로 기록
+  // 어느 단계에서든 실패하면 디스크와 메모리 상태를 모두 이전으로 되돌림
+  async commitResult(result, context, report) {
+    const transaction = new Transaction(this.rootDir);
+    const previousState = structuredClone(this.state);
+    const previousRegistry = structuredClone(this.characterRegistry.data);
+
+    try {
+      // 신작 연재 계획, 또는 이번 회차를 위해 새로 세운 연재 계획 (같은 커밋에 포함, 반려되면 저장하지 않음)
+      if (result.type === 'new_novel' && result.outline) {
+        this.outlines.save(result.slug, result.outline, transaction);
+      } else if (context.newOutline) {
+        this.outlines.save(result.slug, context.newOutline, transaction);
+      }
+
+      // 신작 캐릭터는 레지스트리에 등록 (같은 커밋에 포함)
+      if (result.type === 'new_novel' && !this.characterRegistry.has(result.slug)) {
+        if (result.characterProfiles) {
+          this.characterRegistry.register(result.slug, result.characterProfiles, [], transaction);
+        } else {
+          this.characterRegistry.registerFromRoleMap(result.slug, result.characters, [], transaction);
+        }
+      }
+
+      await this.summarizeResult(result, transaction);
+      await this.updateStoryState(result, context.storyState, transaction);
+      await this.storage.save(result, { transaction });
+      this.reports.save(result, report, transaction);
+      this.updateState(result, transaction);
+      transaction.commit();
+    } catch (error) {
+      transaction.rollback();
+      this.state = previousState;
+      this.characterRegistry.data = previousRegistry;
+      throw error;
+    }
+  }
+
+  // 다음 챕터 생성에 넘길 연속성 정보 (연재할 차례인데 연재 계획이 없으면 계획부터 세움)
+  async buildContext(slug, action = 'continue') {
+    const chapters = this.summaries.getChapterSummaries(slug);
+    const storyState = this.storyStates.load(slug);
+    const summary = await this.buildSummaryContext(slug);
+    const saved = this.outlines.load(slug);
+    const newOutline = !saved && action === 'continue' ? await this.planOutline(slug, { storyState, summary }) : null;
+
+    return {
+      storyState,
+      summary,
+      outline: saved || newOutline,
+      newOutline,
+      speechProfile: buildSpeechProfile(chapters, this.characterRegistry.getCharacters(slug)),
+      previousChapter: chapters[chapters.length - 1] || null,
+      similarityIndex: this.similarityIndex.refresh({ save: !this.dryRun })
+    };
+  }
+
+  // 신작 기획 (실패하면 기획 없이 1화까지 한 번에 생성)
+  async planNewNovel() {
+    if (!this.config.outline.enabled) return null;
+
+    try {
+      return await this.generator.planNovel();
+    } catch (error) {
+      this.logger.warn(`⚠️  신작 기획 실패, 기획 없이 생성: ${error.message}`, { error });
+      return null;
+    }
+  }
+
+  // 계획이 없는 연재 중 소설의 연재 계획 (지금까지의 요약으로 세움, 실패해도 연재는 계속)
+  // 저장은 챕터가 검증을 통과한 뒤 commitResult에서 챕터와 같은 트랜잭션으로
+  async planOutline(slug, context) {
+    const novel = this.state.novels[slug];
+    if (!this.config.outline.enabled || !novel) return null;
+
+    try {
+      const outline = await this.generator.planOutline(slug, novel, context);
+      if (outline.targetChapters <= novel.chapterCount) {
+        throw new Error(`목표 화수(${outline.targetChapters}화)가 이미 연재한 ${novel.chapterCount}화 이하`);
+      }
+      return outline;
+    } catch (error) {
+      this.logger.warn(`⚠️  연재 계획 작성 실패: ${error.message}`, { novel: slug, error });
+      return null;
+    }
+  }
+
+  // 이전 스토리 요약 (요약이 없는 최근 챕터, 그다음 아크 요약이 없는 지난 아크를 합쳐 실행당 backfillPerRun개까지 생성)
+  async buildSummaryContext(slug) {
+    const options = this.config.summaries;
+    if (!options.enabled) return '';
+
+    const title = this.state.novels[slug]?.title || slug;
+    const chapters = this.summaries.getChapterSummaries(slug);
+    const missing = chapters.filter(chapter => !chapter.summary).reverse().slice(0, options.backfillPerRun);
+
+    for (const chapter of missing) {
+      try {
+        chapter.summary = await this.generator.summarizeChapter(title, chapter);
+        if (!this.dryRun) {
+          this.summaries.setChapterSummary(slug, chapter.number, chapter.summary);
+        }
+      } catch (error) {
+        this.logger.warn(`⚠️  ${chapter.number}화 요약 실패: ${error.message}`, { novel: slug, chapter: chapter.number, error });
+      }
+    }
+
+    const arcs = this.summaries.loadArcs(slug);
+    const missingArcs = findMissingArcs(chapters, arcs, options.arcSize).slice(0, options.backfillPerRun - missing.length);
+
+    for (const { fromChapter, toChapter, chapters: arcChapters } of missingArcs) {
+      try {
+        arcs.push({ fromChapter, toChapter, summary: await this.generator.summarizeArc(title, arcChapters) });
+        if (!this.dryRun) this.summaries.saveArcs(slug, arcs);
+      } catch (error) {
+        this.logger.warn(`⚠️  ${fromChapter}~${toChapter}화 아크 요약 실패: ${error.message}`, { novel: slug, error });
+      }
+    }
+
+    return buildSummaryContext({
+      chapters,
+      arcs,
+      budget: options.promptTokenBudget
+    });
+  }
+
+  // 새 챕터 요약, 아크가 끝나면 아크 요약까지 (실패해도 챕터 저장은 계속)
+  async summarizeResult(result, transaction = null) {
+    const options = this.config.summaries;
+    if (!options.enabled) return;
+
+    try {
+      result.chapter.summary = await this.generator.summarizeChapter(result.title, result.chapter);
+
+      const { fromChapter, toChapter } = SummaryStore.getArcRange(result.chapter.number, options.arcSize);
+      if (result.chapter.number !== toChapter && result.type !== 'completion') return;
+
+      const chapters = [
+        ...this.summaries.getChapterSummaries(result.slug)
+          .filter(chapter => chapter.number >= fromChapter && chapter.number < result.chapter.number),
+        result.chapter
+      ].filter(chapter => chapter.summary);
+
+      const summary = await this.generator.summarizeArc(result.title, chapters);
+      const arcs = this.summaries.loadArcs(result.slug).filter(arc => arc.fromChapter !== fromChapter);
+      this.summaries.saveArcs(result.slug, [...arcs, { fromChapter, toChapter: result.chapter.number, summary }], transaction);
+    } catch (error) {
+      this.logger.warn(`⚠️  요약 생성 실패: ${error.message}`, { novel: result.slug, error });
+    }
+  }
+
+  // 확정된 챕터로 스토리 상태 장부 갱신 (실패해도 챕터 저장은 계속)
+  async updateStoryState(result, previous, transaction = null) {
+    try {
+      const storyState = previous || this.storyStates.createEmpty(result.slug, result.title);
+      const updated = await this.generator.extractStoryState(storyState, result);
+      this.storyStates.save(result.slug, updated, transaction);
+    } catch (error) {
+      this.logger.warn(`⚠️  스토리 상태 갱신 실패: ${error.message}`, { novel: result.slug, error });
+    }
+  }
+
+  updateState(result, transaction = null) {
+    const now = this.getNow().toISOString();
+
     if (!this.state.novels[result.slug]) {
       this.state.novels[result.slug] = {
         title: result.title,
@@ -138,25 +560,62 @@ class RoFanAI {
     }
 
     const novel = this.state.novels[result.slug];
-    
-    if (result.type === 'chapter') {
-      novel.chapterCount = result.chapterNumber;
-      novel.lastUpdate = now;
+    delete novel.lastFailedAt;
+    if (result.type === 'new_novel') delete this.state.lastNewNovelFailedAt;
+
+    if (result.type === 'chapter' || result.type === 'new_novel') {
+      novel.chapterCount = result.chapter.number;
+      // 예약 공개 챕터는 공개 시각이 다음 연재 주기의 기준
+      novel.lastUpdate = result.chapter.publicationDate || now;
+      if (result.chapter.publicationDate) novel.scheduled = (novel.scheduled || 0) + 1;
     } else if (result.type === 'completion') {
+      novel.chapterCount = result.chapter.number;
       novel.status = '완결';
       novel.lastUpdate = now;
     }
 
     this.state.lastRun = now;
     this.state.totalChaptersGenerated++;
-    this.saveState();
+    this.saveState(this.state, transaction);
+  }
+}
+
+// --now <ISO 시각> 또는 --now=<ISO 시각>
+function parseNowOption(argv) {
+  const index = argv.findIndex(arg => arg === '--now' || arg.startsWith('--now='));
+  if (index === -1) return null;
+
+  const value = argv[index].startsWith('--now=') ? argv[index].slice('--now='.length) : argv[index + 1];
+  const now = new Date(value);
+  if (!value || Number.isNaN(now.getTime())) throw new Error(`--now 값이 올바른 시각이 아닙니다: ${value}`);
+  return now;
+}
+
+async function main(argv = process.argv) {
+  if (process.env.NODE_ENV !== 'production') {
+    const { config } = await import('dotenv');
+    config({ path: join(process.cwd(), '.env.local') });
+  }
+
+  const now = parseNowOption(argv);
+  const roFanAI = new RoFanAI({
+    dryRun: argv.includes('--dry-run'),
+    autoCommit: !argv.includes('--no-commit'),
+    now
+  });
+  const outcomes = await roFanAI.run();
+
+  if (outcomes.some(outcome => outcome.outcome === 'error')) {
+    process.exitCode = 1;
   }
 }
 
 // 실행
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const roFanAI = new RoFanAI();
-  roFanAI.run();
+  main().catch(error => {
+    createLogger().error(`💥 실행 실패: ${error.message}`, { error });
+    process.exitCode = 1;
+  });
 }
 
-export { RoFanAI };
\ No newline at end of file
+export { RoFanAI, main };
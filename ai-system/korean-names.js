@@ -0,0 +1,151 @@
+/**
+ * 한국어 인물명 후보 탐지
+ *
+ * 어절에서 조사를 떼어 낸 뒤, 사람에게만 붙는 조사(에게, 께서…)나 호칭(님, 씨…),
+ * 발화 동사(말했다, 물었다…) 같은 문맥 단서와 등장 빈도로 인물명과 일반 명사를 구분한다.
+ */
+
+// 긴 것부터 떼어 내야 '에게서'가 '서'로 잘리지 않음
+const PARTICLES = [
+  '에게서', '한테서', '이시여', '께서는', '께서도', '에게는', '에게도', '에게만', '한테는', '에서는', '에서도', '으로는',
+  '께서', '에게', '한테', '와는', '과는', '에는', '에도', '로는', '이랑', '이나', '이여', '이라', '이는', '이가', '이를', '이의', '이도', '이와', '으로', '에서', '처럼', '보다', '까지', '부터', '만큼',
+  '께', '이', '가', '은', '는', '을', '를', '과', '와', '의', '도', '만', '로', '에', '랑', '야', '아', '여'
+];
+
+// 사람에게만 쓰이는 조사
+const PERSON_PARTICLES = [
+  '에게서', '한테서', '께서는', '께서도', '에게는', '에게도', '에게만', '한테는', '께서', '에게', '한테', '께', '이시여'
+];
+
+// 이름 뒤에 붙는 호칭 (붙여 쓰거나 띄어 씀)
+const HONORIFIC_SUFFIXES = ['님', '씨', '양', '군', '경'];
+
+// 주어가 사람일 때 쓰이는 발화 동사 어간
+const PERSON_VERBS = ['말했', '물었', '대답했', '외쳤', '속삭였', '중얼거렸', '소리쳤', '말하며', '대답하며', '되물었'];
+
+// 일반 명사 앞에 오는 관형사 ('그 노파', '한 직원')
+const DETERMINERS = new Set(['그', '이', '저', '한', '어느', '어떤', '모든', '그런', '이런', '저런', '낯선', '웬']);
+
+// 관형형 어미 ('위험한 포식자', '지친 직원') - '은/는'은 주제 조사와 겹쳐서 제외
+const ADNOMINAL_ENDING = /(한|운|던|된|진|친|른|쁜|픈|큰|할|될|울)$/;
+
+// 인물 문맥에 자주 나오지만 이름이 아닌 단어 (대명사, 호칭/직함, 관계)
+const COMMON_WORDS = new Set([
+  '그녀', '그', '그들', '그녀들', '자신', '우리', '너희', '당신', '모두', '누군가', '아무도', '누구', '서로',
+  '사람', '사람들', '남자', '여자', '아이', '아이들', '소녀', '소년', '청년', '노인', '친구', '상대', '주인',
+  '어머니', '아버지', '엄마', '아빠', '언니', '오빠', '누나', '형', '동생', '할머니', '할아버지', '아가씨', '부인',
+  '황제', '황후', '황녀', '황자', '왕', '왕비', '공주', '왕자', '공작', '공작님', '대공', '백작', '후작', '남작',
+  '영애', '영식', '기사', '기사단장', '마법사', '마녀', '시녀', '하녀', '집사', '의사', '선생', '선생님', '전하', '폐하',
+  '각하', '주군', '스승', '제자', '병사', '하인', '손님', '신', '악마', '괴물', '용', '드래곤',
+  '목소리', '소리', '얼굴', '눈빛', '시선', '마음', '세상', '그림자'
+]);
+
+// 어미로 끝나는 어절은 용언으로 보고 제외
+const VERB_ENDINGS = /(다|고|며|서|면|지|게|요|죠|니|네|까|데|던|든|는데|지만|도록|면서|ㄴ다)$/;
+
+const EOJEOL_PATTERN = /[가-힣]+/g;
+
+// 어절을 어간 + 조사로 분리 (어간은 2자 이상 유지)
+export function splitParticle(eojeol) {
+  for (const particle of PARTICLES) {
+    if (eojeol.endsWith(particle) && eojeol.length - particle.length >= 2) {
+      return { stem: eojeol.slice(0, -particle.length), particle };
+    }
+  }
+  return { stem: eojeol, particle: '' };
+}
+
+// 본문을 어절 단위로 나누고 각 어절의 어간/조사/위치를 반환
+export function tokenize(content) {
+  return [...content.matchAll(EOJEOL_PATTERN)].map(match => {
+    const { stem, particle } = splitParticle(match[0]);
+    const span = { text: match[0], start: match.index, end: match.index + match[0].length };
+
+    // '카엘님께서' → 어간 '카엘', 호칭 '님'
+    const suffix = HONORIFIC_SUFFIXES.find(s => stem.endsWith(s) && stem.length - s.length >= 2);
+    if (suffix && (particle || stem.length > 2)) {
+      return { ...span, stem: stem.slice(0, -suffix.length), particle, honorific: suffix };
+    }
+
+    return { ...span, stem, particle, honorific: '' };
+  });
+}
+
+// 이미 알고 있는 이름 (전체 이름과 띄어쓰기로 나눈 각 부분)
+function expandKnownNames(knownNames) {
+  const names = new Set();
+  for (const name of knownNames) {
+    names.add(name);
+    name.split(/\s+/).filter(part => part.length >= 2).forEach(part => names.add(part));
+  }
+  return names;
+}
+
+// 알려진 이름 + 조사/호칭으로 된 어절인지 ('엘리아가'는 알려진 이름, '엘리아나'는 아님)
+function isKnownEojeol(text, known) {
+  for (const name of known) {
+    if (!text.startsWith(name)) continue;
+    const rest = text.slice(name.length);
+    const restWithoutHonorific = HONORIFIC_SUFFIXES.reduce((r, suffix) => (r.startsWith(suffix) ? r.slice(suffix.length) : r), rest);
+    if (restWithoutHonorific === '' || PARTICLES.includes(restWithoutHonorific)) return true;
+  }
+  return false;
+}
+
+/**
+ * 알려진 이름 목록에 없는 인물명 후보
+ * 반환: [{ name, count, cues: [단서], occurrences: [{ start, end, text }] }]
+ */
+export function findUnknownNames(content, knownNames = [], options = {}) {
+  const minOccurrences = options.minOccurrences ?? 2;
+  const known = expandKnownNames(knownNames);
+  const tokens = tokenize(content);
+  const candidates = new Map();
+
+  tokens.forEach((token, index) => {
+    const { stem } = token;
+    if (stem.length < 2 || stem.length > 5) return;
+    if (known.has(stem) || COMMON_WORDS.has(stem) || isKnownEojeol(token.text, known)) return;
+    if (!token.particle && !token.honorific && VERB_ENDINGS.test(stem)) return;
+
+    const cues = [];
+    if (PERSON_PARTICLES.includes(token.particle)) cues.push(`조사 '${token.particle}'`);
+    if (token.honorific) cues.push(`호칭 '${token.honorific}'`);
+
+    const next = tokens[index + 1];
+    if (next && next.start - token.end <= 1 && HONORIFIC_SUFFIXES.includes(next.text)) {
+      cues.push(`호칭 '${next.text}'`);
+    }
+
+    // 주격 조사 뒤 같은 절 안에 발화 동사가 오면 사람
+    if (['이', '가', '은', '는', '께서', '께서는'].includes(token.particle)) {
+      const clause = content.slice(token.end, token.end + 15).split(/[.,!?"“”\n]/)[0];
+      const verb = PERSON_VERBS.find(v => clause.includes(v));
+      if (verb) cues.push(`동사 '${verb}'`);
+    }
+
+    if (!candidates.has(stem)) {
+      candidates.set(stem, { name: stem, count: 0, cueHits: 0, modified: 0, cues: new Set(), occurrences: [] });
+    }
+    const candidate = candidates.get(stem);
+    candidate.count++;
+
+    // 관형사나 '~의' 뒤에 오면 일반 명사일 가능성 ('그 노파', '카엘의 그림자')
+    const previous = tokens[index - 1];
+    if (previous && token.start - previous.end <= 1 &&
+      (DETERMINERS.has(previous.text) || previous.particle === '의' || ADNOMINAL_ENDING.test(previous.text))) {
+      candidate.modified++;
+    }
+    if (cues.length > 0) candidate.cueHits++;
+    cues.forEach(cue => candidate.cues.add(cue));
+    candidate.occurrences.push({ start: token.start, end: token.end, text: token.text });
+  });
+
+  // 단서가 여러 종류이거나 단서와 함께 여러 번 등장해야 이름으로 판단
+  // 등장의 1/3 이상이 수식을 받으면 일반 명사로 봄
+  return [...candidates.values()]
+    .filter(candidate => candidate.cues.size >= 2 || candidate.cueHits >= minOccurrences)
+    .filter(candidate => candidate.modified * 3 < candidate.count)
+    .map(({ cueHits: _hits, modified: _modified, ...candidate }) => ({ ...candidate, cues: [...candidate.cues] }))
+    .sort((a, b) => b.count - a.count);
+}
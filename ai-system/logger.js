@@ -0,0 +1,85 @@
+/**
+ * 공용 로거 - 레벨, 출력 형식(pretty: 기존처럼 이모지 한 줄, json: 한 줄짜리 JSON), 실행별 상관 ID(runId)
+ *
+ * RoFanAI가 만든 로거를 Generator, Validator, Storage, NovelDatabase에 주입하므로
+ * 한 실행의 모든 로그와 사용량 장부, 실행 기록이 같은 runId로 묶인다.
+ * 테스트에서는 level: 'silent'로 출력을 끈다.
+ */
+
+const LEVELS = { debug: 10, info: 20, success: 20, warn: 30, error: 40, silent: Infinity };
+const FORMATS = ['pretty', 'json'];
+
+// Error는 JSON.stringify로 내용이 남지 않으므로 메시지와 스택으로 변환
+function serialize(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([key, value]) =>
+    [key, value instanceof Error ? { message: value.message, stack: value.stack } : value]));
+}
+
+function writeConsole(level, line) {
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+export class Logger {
+  constructor(options = {}) {
+    this.level = options.level || 'info';
+    this.format = options.format || 'pretty';
+    if (!(this.level in LEVELS)) throw new Error(`알 수 없는 로그 레벨: ${this.level}`);
+    if (!FORMATS.includes(this.format)) throw new Error(`알 수 없는 로그 형식: ${this.format}`);
+
+    this.runId = options.runId || new Date().toISOString();
+    this.fields = options.fields || {};
+    this.write = options.write || writeConsole;
+  }
+
+  // 같은 설정과 runId에 공통 필드(novel 등)를 더한 로거
+  child(fields) {
+    return new Logger({ ...this, fields: { ...this.fields, ...fields } });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  // pretty는 메시지만, json은 필드까지 한 줄로
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const line = this.format === 'json'
+      ? JSON.stringify({ time: new Date().toISOString(), level, runId: this.runId, msg: message, ...this.fields, ...serialize(fields) })
+      : message;
+    this.write(level, line);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  success(message, fields) {
+    this.log('success', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+/**
+ * 설정(config.logging)으로 로거 생성, 환경 변수 LOG_LEVEL/LOG_FORMAT이 우선
+ */
+export function createLogger(options = {}, env = process.env) {
+  return new Logger({
+    ...options,
+    level: env.LOG_LEVEL || options.level,
+    format: env.LOG_FORMAT || options.format
+  });
+}
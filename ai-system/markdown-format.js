@@ -0,0 +1,139 @@
+/**
+ * 챕터 본문 마크다운 정규화 - NOVEL_MARKDOWN_FORMAT.md 형식으로 변환
+ *
+ *   > "대화"      > *'독백'*      > [행동]      ---(장면 전환)
+ *
+ * 모델이 쓴 “…” 따옴표 문단을 요소별 줄로 나누고, 인물명은 첫 등장과 대사 직후 화자 설명에서 볼드 처리한다.
+ * 이미 정규화된 본문에 다시 적용해도 결과가 같다(멱등).
+ */
+
+const SCENE_BREAK = /^((\*\s*){3,}|-{3,}|⁂|#\s*#\s*#)$/;
+const DIALOGUE = /^[“"「](.+)[”"」]$/;
+const MONOLOGUE = /^[*_]?[‘'](.+)[’'][*_]?$/;
+const ACTION = /^[[(](.+)[\])]$/;
+const QUOTE = /“[^”]*”|"[^"]*"|「[^」]*」/g;
+const HANGUL = /[가-힣A-Za-z0-9]/;
+
+// 대사 안의 인용은 홑따옴표로 (곧은 따옴표는 여는/닫는 표시를 번갈아 붙임)
+function nestQuotes(text) {
+  let open = false;
+  return text.replace(/[“”"]/g, mark => {
+    if (mark !== '"') return mark === '“' ? '‘' : '’';
+    open = !open;
+    return open ? '‘' : '’';
+  });
+}
+
+const dialogue = text => `> "${nestQuotes(text)}"`;
+const monologue = text => `> *'${text}'*`;
+const action = text => `> [${text}]`;
+
+const isSpecial = block => block.startsWith('>') || block === '---' || block.startsWith('#');
+
+// > 뒤의 내용을 대화/독백/행동 형식으로 (해당 없으면 null)
+function formatSpecial(inner) {
+  const found = inner.match(DIALOGUE);
+  if (found) return dialogue(found[1].trim());
+
+  const thought = inner.match(MONOLOGUE);
+  if (thought) return monologue(thought[1].trim());
+
+  const act = inner.match(ACTION);
+  if (act) return action(act[1].trim());
+
+  return null;
+}
+
+// 서술 사이에 독립된 대사만 별도 줄로 분리 (“살려줘”라고 처럼 문장에 붙은 인용은 유지)
+function splitQuotes(line) {
+  const blocks = [];
+  let cursor = 0;
+
+  for (const quote of line.matchAll(QUOTE)) {
+    const before = line[quote.index - 1];
+    const after = line[quote.index + quote[0].length];
+    const standalone = (!before || !HANGUL.test(before)) && (!after || !HANGUL.test(after));
+    const text = quote[0].slice(1, -1).trim();
+    if (!standalone || !text) continue;
+
+    const narration = line.slice(cursor, quote.index).trim();
+    if (narration) blocks.push(narration);
+    blocks.push(dialogue(text));
+    cursor = quote.index + quote[0].length;
+  }
+
+  const rest = line.slice(cursor).trim();
+  if (rest) blocks.push(rest);
+  return blocks;
+}
+
+function formatLine(line) {
+  if (SCENE_BREAK.test(line)) return ['---'];
+  if (line.startsWith('#')) return [line];
+
+  if (line.startsWith('>')) {
+    const inner = line.replace(/^>\s*/, '');
+    return [formatSpecial(inner) || `> ${inner}`];
+  }
+
+  // 줄 전체가 독백이나 행동이면 인용 블록으로
+  if (MONOLOGUE.test(line) && !DIALOGUE.test(line)) return [monologue(line.match(MONOLOGUE)[1].trim())];
+  if (/^\[.+\]$/.test(line)) return [action(line.slice(1, -1).trim())];
+
+  return splitQuotes(line);
+}
+
+// name이 index에서 시작하는 독립된 이름인지 (더 긴 이름의 일부나 이미 볼드인 경우 제외)
+function isNameAt(text, index, name, names) {
+  const before = text[index - 1];
+  if (before && (HANGUL.test(before) || before === '*')) return false;
+  return !names.some(other => other.length > name.length && other.startsWith(name) && text.startsWith(other, index));
+}
+
+function boldAt(text, index, name) {
+  return `${text.slice(0, index)}**${name}**${text.slice(index + name.length)}`;
+}
+
+// 인물명 볼드: 본문 첫 등장 + 대사 직후 줄 맨 앞의 화자
+function boldNames(blocks, names) {
+  const sorted = [...names].sort((a, b) => b.length - a.length);
+
+  for (const name of sorted) {
+    if (blocks.some(block => !isSpecial(block) && block.includes(`**${name}**`))) continue;
+
+    const index = blocks.findIndex(block => !isSpecial(block) && findName(block, name, sorted) >= 0);
+    if (index >= 0) blocks[index] = boldAt(blocks[index], findName(blocks[index], name, sorted), name);
+  }
+
+  return blocks.map((block, index) => {
+    if (index === 0 || isSpecial(block) || !blocks[index - 1].startsWith('> "')) return block;
+    const speaker = sorted.find(name => block.startsWith(name) && isNameAt(block, 0, name, sorted));
+    return speaker ? boldAt(block, 0, speaker) : block;
+  });
+}
+
+function findName(text, name, names) {
+  let index = text.indexOf(name);
+  while (index >= 0 && !isNameAt(text, index, name, names)) {
+    index = text.indexOf(name, index + 1);
+  }
+  return index;
+}
+
+/**
+ * 본문을 하우스 마크다운 형식으로 정규화
+ * options.names: 볼드 처리할 인물명 (레지스트리 이름/별칭)
+ */
+export function formatChapterContent(content, options = {}) {
+  const blocks = content
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .flatMap(formatLine);
+
+  // 연속된 장면 전환은 하나로
+  const deduped = blocks.filter((block, index) => !(block === '---' && blocks[index - 1] === '---'));
+
+  return boldNames(deduped, options.names || []).join('\n\n');
+}
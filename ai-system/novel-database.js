@@ -0,0 +1,225 @@
+/**
+ * 📚 간단한 소설 데이터베이스
+ * 
+ * 파일시스템 기반의 단순한 소설 상태 관리
+ * 복잡한 DB 없이 .md 파일들을 직접 스캔
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseFrontmatter, updateFrontmatter } from './frontmatter.js';
+import { isPublished } from '../src/content/publication.js';
+import { Logger } from './logger.js';
+
+const CHAPTER_FILE = /^(.+)-ch(\d+)\.md$/;
+
+// 이 소설의 챕터 파일이면 화수, 아니면 0 ('ice'가 'ice-chronicle-ch1.md'를 가져가지 않도록 slug 전체를 비교)
+function chapterNumberOf(file, novelSlug) {
+  const match = file.match(CHAPTER_FILE);
+  return match && match[1] === novelSlug ? parseInt(match[2]) : 0;
+}
+
+export class NovelDatabase {
+  constructor(rootDir = process.cwd(), logger = new Logger()) {
+    this.logger = logger;
+    this.novelsDir = path.join(rootDir, 'src/content/novels');
+    this.chaptersDir = path.join(rootDir, 'src/content/chapters');
+  }
+
+  /**
+   * 전체 소설 목록 가져오기 (상태 무관)
+   */
+  async getAllNovels() {
+    try {
+      const novelFiles = await fs.readdir(this.novelsDir);
+      const novels = [];
+
+      for (const file of novelFiles) {
+        if (!file.endsWith('.md')) continue;
+
+        const filepath = path.join(this.novelsDir, file);
+        const content = await fs.readFile(filepath, 'utf-8');
+        const { data } = parseFrontmatter(content);
+        const slug = file.replace('.md', '');
+
+        novels.push({
+          slug,
+          title: data.title,
+          status: data.status,
+          publishedDate: data.publishedDate,
+          totalChapters: data.totalChapters,
+          lastChapter: await this.getLastChapterNumber(slug),
+          lastUpdated: await this.getLastUpdateTime(slug)
+        });
+      }
+
+      return novels;
+    } catch (error) {
+      this.logger.error(`소설 목록 로드 실패: ${error.message}`, { error });
+      return [];
+    }
+  }
+
+  /**
+   * 활성 연재 소설 목록 가져오기
+   */
+  async getActiveNovels() {
+    const novels = (await this.getAllNovels()).filter(novel => novel.status === '연재 중');
+
+    for (const novel of novels) {
+      novel.recentSummary = await this.getRecentSummary(novel.slug, novel.lastChapter);
+    }
+
+    return novels;
+  }
+
+  /**
+   * 특정 소설의 마지막 챕터 번호 확인
+   */
+  async getLastChapterNumber(novelSlug) {
+    try {
+      const chapterFiles = await fs.readdir(this.chaptersDir);
+      const novelChapters = chapterFiles
+        .map(file => chapterNumberOf(file, novelSlug))
+        .filter(num => num > 0);
+
+      return novelChapters.length > 0 ? Math.max(...novelChapters) : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * 마지막 업데이트 시간 확인
+   * 파일 수정 시간은 체크아웃마다 바뀌므로 마지막 챕터 frontmatter의 생성 시각과 공개 시각 중 늦은 쪽을 쓴다
+   * (예약 공개 챕터는 미래의 공개 시각)
+   */
+  async getLastUpdateTime(novelSlug) {
+    try {
+      const lastChapter = await this.getLastChapterNumber(novelSlug);
+      if (lastChapter === 0) return null;
+
+      const filepath = path.join(this.chaptersDir, `${novelSlug}-ch${lastChapter}.md`);
+      const { data } = parseFrontmatter(await fs.readFile(filepath, 'utf-8'));
+      const times = [data.lastGenerated, data.publicationDate]
+        .map(value => new Date(value).getTime())
+        .filter(time => !Number.isNaN(time));
+
+      return times.length > 0 ? new Date(Math.max(...times)) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 공개된 챕터 수, 예약 공개 대기 중인 챕터 수, 공개 시각이 지난 예약 챕터 중 마지막 화
+   * (예약 챕터는 생성 시각보다 공개 시각이 늦은 챕터)
+   */
+  async getReleaseStatus(novelSlug, now = new Date()) {
+    const status = { published: 0, scheduled: 0, lastReleased: 0 };
+
+    try {
+      const chapterFiles = (await fs.readdir(this.chaptersDir))
+        .filter(file => chapterNumberOf(file, novelSlug) > 0);
+
+      for (const file of chapterFiles) {
+        const { data } = parseFrontmatter(await fs.readFile(path.join(this.chaptersDir, file), 'utf-8'));
+        if (!isPublished(data.publicationDate, now)) {
+          status.scheduled++;
+          continue;
+        }
+
+        status.published++;
+        if (data.lastGenerated && new Date(data.publicationDate) > new Date(data.lastGenerated)) {
+          status.lastReleased = Math.max(status.lastReleased, chapterNumberOf(file, novelSlug));
+        }
+      }
+    } catch {
+      // 챕터 디렉토리가 없으면 0화
+    }
+
+    return status;
+  }
+
+  /**
+   * 최근 스토리 요약 생성
+   */
+  async getRecentSummary(novelSlug, lastChapter) {
+    if (lastChapter === 0) {
+      return '첫 번째 챕터입니다.';
+    }
+
+    try {
+      // 최근 2-3개 챕터의 제목 + 저장된 챕터 요약
+      const summaries = [];
+      const startChapter = Math.max(1, lastChapter - 2);
+
+      for (let i = startChapter; i <= lastChapter; i++) {
+        const filename = `${novelSlug}-ch${i}.md`;
+        const filepath = path.join(this.chaptersDir, filename);
+        
+        try {
+          const content = await fs.readFile(filepath, 'utf-8');
+          const { data } = parseFrontmatter(content);
+          summaries.push(`${i}화: ${data.title}${data.summary ? ` - ${data.summary}` : ''}`);
+        } catch {
+          // 파일이 없으면 스킵
+        }
+      }
+
+      return summaries.length > 0 ? summaries.join('\n') : '이전 챕터 정보 없음';
+    } catch (error) {
+      return '이전 스토리 요약 생성 실패';
+    }
+  }
+
+  /**
+   * 소설의 마지막 챕터 번호 업데이트
+   */
+  async updateLastChapter(novelSlug, chapterNumber) {
+    // 실제로는 파일시스템에서 자동으로 감지되므로 
+    // 여기서는 로그만 남김
+    this.logger.info(`📝 ${novelSlug} 마지막 챕터: ${chapterNumber}화`);
+  }
+
+  /**
+   * 소설 완결 처리
+   */
+  async markCompleted(novelSlug) {
+    try {
+      const filepath = path.join(this.novelsDir, `${novelSlug}.md`);
+      const content = await fs.readFile(filepath, 'utf-8');
+
+      // 상태를 완결로 변경
+      const newContent = updateFrontmatter(content, {
+        status: '완결',
+        completedDate: new Date().toISOString().split('T')[0]
+      });
+      await fs.writeFile(filepath, newContent);
+
+      this.logger.success(`🎊 ${novelSlug} 완결 처리 완료`);
+    } catch (error) {
+      this.logger.error(`완결 처리 실패: ${error.message}`, { error });
+    }
+  }
+
+  /**
+   * 소설 정보 조회
+   */
+  async getNovelInfo(novelSlug) {
+    try {
+      const filepath = path.join(this.novelsDir, `${novelSlug}.md`);
+      const content = await fs.readFile(filepath, 'utf-8');
+      const { data } = parseFrontmatter(content);
+      
+      return {
+        slug: novelSlug,
+        ...data,
+        lastChapter: await this.getLastChapterNumber(novelSlug),
+        lastUpdated: await this.getLastUpdateTime(novelSlug)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * 연재 계획 저장소 - 소설별 아웃라인 (data/outlines/<slug>.json)
+ *
+ * 신작은 1화를 쓰기 전에 막 구성, 화별 전개, 로맨스 진전, 공개할 비밀, 목표 화수를 먼저 기획한다.
+ * 연재 프롬프트는 이번 화의 계획을 따르고, 계획의 마지막 화에 이르면 완결편을 쓴다.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { writeFile } from './transaction.js';
+
+const PREVIEW_CHAPTERS = 2; // 프롬프트에 미리 보여줄 다음 화 수
+
+export class OutlineStore {
+  constructor(rootDir = process.cwd()) {
+    this.outlinesDir = join(rootDir, 'data', 'outlines');
+  }
+
+  getPath(slug) {
+    return join(this.outlinesDir, `${slug}.json`);
+  }
+
+  load(slug) {
+    const outlinePath = this.getPath(slug);
+    if (!existsSync(outlinePath)) return null;
+    return JSON.parse(readFileSync(outlinePath, 'utf-8'));
+  }
+
+  save(slug, outline, transaction = null) {
+    const entry = { novel: slug, createdAt: outline.createdAt || new Date().toISOString(), ...outline };
+    writeFile(this.getPath(slug), JSON.stringify(entry, null, 2) + '\n', transaction);
+    return entry;
+  }
+}
+
+export function getChapterPlan(outline, chapterNumber) {
+  return outline?.chapters?.find(chapter => chapter.number === chapterNumber) || null;
+}
+
+export function getAct(outline, chapterNumber) {
+  return outline?.acts?.find(act => chapterNumber >= act.fromChapter && chapterNumber <= act.toChapter) || null;
+}
+
+// 계획의 마지막 화인지 (완결편을 쓸 차례)
+export function isFinalChapter(outline, chapterNumber) {
+  return Boolean(outline) && chapterNumber >= outline.targetChapters;
+}
+
+// 프롬프트에 들어갈 연재 계획 섹션 (이번 화 전개 + 다음 화 예고)
+export function formatOutlineForPrompt(outline, chapterNumber) {
+  const plan = getChapterPlan(outline, chapterNumber);
+  if (!plan) return '';
+
+  const act = getAct(outline, chapterNumber);
+  const lines = [`## 연재 계획 (전체 ${outline.targetChapters}화)`];
+
+  if (act) {
+    lines.push(`현재 막: ${act.title} (${act.fromChapter}~${act.toChapter}화)${act.goal ? ` - ${act.goal}` : ''}`);
+  }
+
+  lines.push(`${chapterNumber}화에서 다룰 전개:`, ...plan.beats.map(beat => `- ${beat}`));
+  if (plan.romance) lines.push(`로맨스 진전: ${plan.romance}`);
+  if (plan.reveal) lines.push(`이번 화에 공개할 비밀: ${plan.reveal}`);
+
+  const upcoming = outline.chapters.filter(chapter => chapter.number > chapterNumber && chapter.number <= chapterNumber + PREVIEW_CHAPTERS);
+  if (upcoming.length > 0) {
+    lines.push('이후 전개 (이번 화에서 앞당기지 말 것):', ...upcoming.map(chapter => `- ${chapter.number}화: ${chapter.beats.join(', ')}`));
+  }
+
+  if (isFinalChapter(outline, chapterNumber)) {
+    lines.push('이번 화가 계획의 마지막 화입니다.');
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,90 @@
+/**
+ * 프롬프트 템플릿 - ai-system/prompts/<장르>/<이름>.v<버전>.md
+ *
+ * {{변수}}는 렌더링 시 값으로, {{> 이름}}은 partial(장르 partials/ → 공용 partials/ 순서)로 치환한다.
+ * partial을 바꿔 출력이 달라지면 그 partial을 쓰는 템플릿의 버전도 올릴 것.
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseFrontmatter } from './frontmatter.js';
+
+export const DEFAULT_PROMPTS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'prompts');
+
+const TAG_PATTERN = /\{\{\s*(>)?\s*([\w-]+)\s*\}\}/g;
+const MAX_PARTIAL_DEPTH = 5;
+
+export class PromptTemplates {
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_PROMPTS_DIR;
+    this.genre = options.genre || 'romance-fantasy';
+    this.versions = options.versions || {}; // 템플릿별 버전 고정 (없으면 최신)
+  }
+
+  // 사용할 템플릿 파일과 버전 ID 결정
+  resolve(name) {
+    const genreDir = join(this.dir, this.genre);
+    const available = existsSync(genreDir)
+      ? readdirSync(genreDir)
+        .map(file => file.match(new RegExp(`^${name}\\.v(\\d+)\\.md$`)))
+        .filter(Boolean)
+        .map(match => parseInt(match[1]))
+      : [];
+
+    if (available.length === 0) {
+      throw new Error(`프롬프트 템플릿 없음: ${this.genre}/${name}`);
+    }
+
+    const version = this.versions[name] ?? Math.max(...available);
+    if (!available.includes(version)) {
+      throw new Error(`프롬프트 템플릿 버전 없음: ${this.genre}/${name}.v${version}`);
+    }
+
+    return {
+      id: `${this.genre}/${name}.v${version}`,
+      path: join(genreDir, `${name}.v${version}.md`)
+    };
+  }
+
+  render(name, variables = {}) {
+    const { id, path } = this.resolve(name);
+    const { content } = parseFrontmatter(readFileSync(path, 'utf-8'));
+
+    return { id, text: this.renderText(trimTrailingNewline(content), variables, 0) };
+  }
+
+  renderText(text, variables, depth) {
+    return text.replace(TAG_PATTERN, (_, isPartial, key) => {
+      if (isPartial) {
+        if (depth >= MAX_PARTIAL_DEPTH) {
+          throw new Error(`partial 중첩이 너무 깊음: ${key}`);
+        }
+        return this.renderText(this.loadPartial(key), variables, depth + 1);
+      }
+
+      if (variables[key] === undefined || variables[key] === null) {
+        throw new Error(`프롬프트 변수 누락: ${key}`);
+      }
+      return String(variables[key]);
+    });
+  }
+
+  loadPartial(name) {
+    const candidates = [
+      join(this.dir, this.genre, 'partials', `${name}.md`),
+      join(this.dir, 'partials', `${name}.md`)
+    ];
+    const path = candidates.find(candidate => existsSync(candidate));
+
+    if (!path) {
+      throw new Error(`프롬프트 partial 없음: ${name}`);
+    }
+
+    return trimTrailingNewline(readFileSync(path, 'utf-8'));
+  }
+}
+
+function trimTrailingNewline(text) {
+  return text.replace(/\n$/, '');
+}
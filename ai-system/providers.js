@@ -0,0 +1,172 @@
+/**
+ * LLM 프로바이더 레이어 - Gemini / OpenAI 호환 / 로컬 픽스처
+ *
+ * 모든 프로바이더는 Gemini SDK와 같은 generateContent(prompt) 계약을 따른다.
+ * 반환값: { response: { text(), usageMetadata } }
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { isAbsolute, join } from 'path';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { CassetteProvider, resolveCassetteOptions } from './cassette.js';
+
+export const DEFAULT_PROVIDER = { type: 'gemini' };
+
+// 프로바이더별 기본 모델 (config.provider.model이 없을 때, 다른 프로바이더의 모델을 물려받지 않도록 분리)
+export const DEFAULT_MODELS = { gemini: 'gemini-1.5-pro', openai: 'gpt-4o-mini', fixture: 'fixture' };
+
+// Gemini 응답과 같은 모양으로 감싸기
+function wrapResponse(text, usageMetadata = null) {
+  return {
+    response: {
+      text: () => text,
+      usageMetadata
+    }
+  };
+}
+
+export class GeminiProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.model = options.model || DEFAULT_MODELS.gemini;
+    this.genAI = new GoogleGenerativeAI(options.apiKey);
+    this.client = this.genAI.getGenerativeModel({ model: this.model });
+  }
+
+  async generateContent(prompt) {
+    return this.client.generateContent(prompt);
+  }
+}
+
+export class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new Error('OpenAI 호환 프로바이더 API 키가 설정되지 않음');
+    }
+
+    this.name = 'openai';
+    this.model = options.model || DEFAULT_MODELS.openai;
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.apiKey = options.apiKey;
+    this.temperature = options.temperature ?? 0.9;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  async generateContent(prompt) {
+    const res = await this.fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({
+        model: this.model,
+        temperature: this.temperature,
+        messages: [{ role: 'user', content: prompt }]
+      })
+    });
+
+    if (!res.ok) {
+      const detail = await res.text().catch(() => '');
+      throw new Error(`OpenAI 호환 API 오류 (${res.status}): ${detail}`);
+    }
+
+    const data = await res.json();
+    const text = data.choices?.[0]?.message?.content;
+
+    if (typeof text !== 'string') {
+      throw new Error('OpenAI 호환 API 응답에 본문이 없음');
+    }
+
+    const usage = data.usage
+      ? {
+          promptTokenCount: data.usage.prompt_tokens,
+          candidatesTokenCount: data.usage.completion_tokens,
+          totalTokenCount: data.usage.total_tokens
+        }
+      : null;
+
+    return wrapResponse(text, usage);
+  }
+}
+
+/**
+ * 결정적 로컬 프로바이더 (오프라인 실행/테스트용)
+ *
+ * fixtures: [{ match: '정규식 문자열', response: '응답' | ['응답1', '응답2'] }]
+ * 프롬프트에 처음으로 매칭되는 규칙의 응답을 돌려준다.
+ * 응답이 배열이면 호출할 때마다 순서대로 돌려준다.
+ */
+export class FixtureProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.model = options.model || DEFAULT_MODELS.fixture;
+    this.fixtures = options.fixtures || FixtureProvider.loadFixtureFile(options.fixtureFile, options.rootDir);
+    this.cursors = new Map();
+  }
+
+  static loadFixtureFile(fixtureFile, rootDir = process.cwd()) {
+    if (!fixtureFile) {
+      throw new Error('픽스처 프로바이더에 fixtures 또는 fixtureFile이 필요함');
+    }
+
+    const filePath = isAbsolute(fixtureFile) ? fixtureFile : join(rootDir, fixtureFile);
+    if (!existsSync(filePath)) {
+      throw new Error(`픽스처 파일을 찾을 수 없음: ${fixtureFile}`);
+    }
+
+    const data = JSON.parse(readFileSync(filePath, 'utf-8'));
+    return Array.isArray(data) ? data : data.fixtures || [];
+  }
+
+  async generateContent(prompt) {
+    const index = this.fixtures.findIndex(fixture => new RegExp(fixture.match || '').test(prompt));
+
+    if (index < 0) {
+      throw new Error(`매칭되는 픽스처 없음: ${prompt.slice(0, 40)}...`);
+    }
+
+    const { response } = this.fixtures[index];
+    if (!Array.isArray(response)) {
+      return wrapResponse(response);
+    }
+
+    const cursor = this.cursors.get(index) || 0;
+    this.cursors.set(index, cursor + 1);
+    return wrapResponse(response[cursor % response.length]);
+  }
+}
+
+// config.provider 설정으로 프로바이더 생성 (config.cassette 설정 시 카세트로 감쌈)
+export function createProvider(config = {}, rootDir = process.cwd()) {
+  const cassette = { ...resolveCassetteOptions(config), rootDir };
+
+  // 재생 모드는 실제 프로바이더(및 API 키) 없이 동작
+  if (cassette.mode === 'replay') {
+    return new CassetteProvider(null, cassette);
+  }
+
+  const provider = createBaseProvider(config, rootDir);
+  return cassette.mode === 'record' ? new CassetteProvider(provider, cassette) : provider;
+}
+
+function createBaseProvider(config, rootDir) {
+  const options = { ...DEFAULT_PROVIDER, ...(config.provider || {}), rootDir };
+
+  switch (options.type) {
+    case 'gemini':
+      return new GeminiProvider({
+        ...options,
+        apiKey: options.apiKey || config.geminiApiKey || process.env.GEMINI_API_KEY
+      });
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        ...options,
+        apiKey: options.apiKey || process.env[options.apiKeyEnv || 'OPENAI_API_KEY']
+      });
+    case 'fixture':
+      return new FixtureProvider(options);
+    default:
+      throw new Error(`알 수 없는 프로바이더: ${options.type}`);
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * 품질 리포트 저장소 - 챕터별 검증 리포트 (data/reports/<slug>-ch<번호>.json)
+ *
+ * 콘텐츠 컬렉션 디렉토리에는 마크다운만 두어야 하므로 챕터 파일명과 같은 이름으로 data/ 아래에 둔다.
+ * 관리자 대시보드와 CI가 챕터가 통과/실패한 이유를 보여줄 때 사용한다.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { writeFile } from './transaction.js';
+
+export class QualityReportStore {
+  constructor(rootDir = process.cwd()) {
+    this.reportsDir = join(rootDir, 'data', 'reports');
+  }
+
+  getPath(slug, chapterNumber) {
+    return join(this.reportsDir, `${slug}-ch${chapterNumber}.json`);
+  }
+
+  load(slug, chapterNumber) {
+    const reportPath = this.getPath(slug, chapterNumber);
+    if (!existsSync(reportPath)) return null;
+    return JSON.parse(readFileSync(reportPath, 'utf-8'));
+  }
+
+  save(result, report, transaction = null) {
+    const entry = {
+      novel: result.slug,
+      chapter: result.chapter.number,
+      type: result.type,
+      promptVersion: result.chapter.promptVersion || null,
+      generatedAt: new Date().toISOString(),
+      ...report
+    };
+
+    writeFile(this.getPath(result.slug, result.chapter.number), JSON.stringify(entry, null, 2) + '\n', transaction);
+    return entry;
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * 실행 기록 - 자동 연재 실행마다 결정, 소설별 연재 상태, 시도 횟수, 검증 결과, 결과, 소요 시간, 오류 스택을
+ * data/run-history.jsonl에 한 줄씩 남긴다.
+ *
+ * 연재 시각이 된 소설이 없어 아무것도 하지 않은 실행은 기록하지 않는다 (매시 실행마다 커밋이 생기지 않도록).
+ * 그런 날은 직전 기록의 소설별 다음 연재 시각(nextReleaseAt)으로 연재가 없었던 이유를 알 수 있다.
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+
+const HOUR = 60 * 60 * 1000;
+
+// 실행 결과 한 단어로 (작업 결과들을 합침)
+export function summarizeOutcome(actions, stopReason = null) {
+  if (actions.length === 0) return stopReason === 'budget' ? 'budget' : 'idle';
+  if (actions.some(action => action.outcome === 'error')) return 'error';
+
+  const succeeded = actions.filter(action => action.outcome === 'success' || action.outcome === 'dry_run').length;
+  if (succeeded === actions.length) return 'success';
+  return succeeded > 0 ? 'partial' : 'rejected';
+}
+
+// execute() 결과를 기록용으로 (검증 리포트는 요약만, 전체는 data/reports/)
+export function describeAction({ decision, outcome, result, report, attempts, durationMs, error }) {
+  return {
+    action: decision.action,
+    novel: result?.slug || decision.slug || null,
+    chapter: result?.chapter?.number ?? (decision.novel ? decision.novel.chapterCount + 1 : null),
+    releaseAt: decision.releaseAt ? new Date(decision.releaseAt).toISOString() : null,
+    outcome,
+    attempts: attempts ?? null,
+    durationMs: durationMs ?? null,
+    report: report
+      ? { passed: report.passed, score: report.score, errors: report.errors, warnings: report.warnings }
+      : null,
+    error: error ? { message: error.message, stack: error.stack } : null
+  };
+}
+
+export class RunHistory {
+  constructor(rootDir = process.cwd(), config = {}) {
+    this.historyPath = join(rootDir, 'data', 'run-history.jsonl');
+    this.offset = (config.schedule?.utcOffsetHours ?? 9) * HOUR;
+  }
+
+  append(entry) {
+    mkdirSync(dirname(this.historyPath), { recursive: true });
+    appendFileSync(this.historyPath, JSON.stringify(entry) + '\n');
+  }
+
+  load() {
+    if (!existsSync(this.historyPath)) return [];
+    return readFileSync(this.historyPath, 'utf-8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  // 설정 시간대 기준 날짜 (YYYY-MM-DD)
+  localDate(time) {
+    return new Date(new Date(time).getTime() + this.offset).toISOString().slice(0, 10);
+  }
+
+  /**
+   * 조건에 맞는 실행 기록 (filters.novel, filters.date: YYYY-MM-DD, filters.outcome)
+   * novel을 주면 그 소설의 작업과 연재 상태만 남긴다.
+   */
+  find(filters = {}) {
+    return this.load()
+      .filter(entry => !filters.date || this.localDate(entry.startedAt) === filters.date)
+      .map(entry => filters.novel
+        ? {
+            ...entry,
+            actions: entry.actions.filter(action => action.novel === filters.novel),
+            novels: entry.novels.filter(novel => novel.slug === filters.novel)
+          }
+        : entry)
+      .filter(entry => !filters.novel || entry.actions.length > 0 || entry.novels.length > 0)
+      .filter(entry => !filters.outcome || entry.outcome === filters.outcome ||
+        entry.actions.some(action => action.outcome === filters.outcome));
+  }
+
+  // 해당 날짜 이전의 마지막 기록 (그날 기록이 없을 때 다음 연재 예정 시각 확인용)
+  findLastBefore(date, novel = null) {
+    return this.find({ novel }).filter(entry => this.localDate(entry.startedAt) < date).pop() || null;
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * 연재 스케줄러 - 소설별 연재 주기로 이번 실행에 올릴 회차 결정
+ *
+ * 주기는 요일+시각(월/수/금 11시), 주 N회, 시간 간격 중 하나이고 휴재 기간을 둘 수 있다.
+ * buffer만큼 다음 회차를 미리 써서 예약 공개하므로 생성이 실패한 날에도 연재 주기가 유지된다.
+ * 기준은 state.json과 챕터 frontmatter에 기록된 마지막 연재 시각이라 체크아웃으로 파일 수정 시간이 바뀌어도 결과가 같다.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const KOREAN_WEEKDAYS = ['일', '월', '화', '수', '목', '금', '토'];
+const TIME = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseWeekday(day) {
+  const key = String(day).toLowerCase().slice(0, 3);
+  const index = WEEKDAYS.includes(key) ? WEEKDAYS.indexOf(key) : KOREAN_WEEKDAYS.indexOf(String(day).charAt(0));
+  if (index === -1) throw new Error(`알 수 없는 연재 요일: ${day}`);
+  return index;
+}
+
+/**
+ * 설정의 주기를 계산용 형태로 변환
+ * { days: ['mon', 'wed', 'fri'], time: '11:00' } | { perWeek: 2 } | { intervalHours: 24 }, 공통으로 hiatus: [{ from, to }], buffer
+ */
+export function normalizeCadence(cadence = {}, fallbackHours = 24, fallbackBuffer = 0) {
+  const buffer = cadence.buffer ?? fallbackBuffer;
+  if (!Number.isInteger(buffer) || buffer < 0) throw new Error(`예약 공개 버퍼는 0 이상의 정수여야 합니다: ${buffer}`);
+
+  const hiatus = (cadence.hiatus || []).map(({ from, to, reason }) => {
+    if (!DATE.test(from) || (to && !DATE.test(to))) throw new Error(`휴재 기간은 YYYY-MM-DD 형식이어야 합니다: ${from} ~ ${to || ''}`);
+    return { from, to: to || null, reason: reason || null };
+  });
+
+  if (cadence.days) {
+    const match = String(cadence.time || '00:00').match(TIME);
+    if (!match) throw new Error(`연재 시각은 HH:MM 형식이어야 합니다: ${cadence.time}`);
+    const days = [...new Set(cadence.days.map(parseWeekday))].sort();
+    if (days.length === 0) throw new Error('연재 요일이 비어 있습니다');
+    return { type: 'weekly', days, minutes: parseInt(match[1]) * 60 + parseInt(match[2]), hiatus, buffer };
+  }
+
+  const intervalHours = cadence.perWeek ? (7 * 24) / cadence.perWeek : cadence.intervalHours ?? fallbackHours;
+  if (!(intervalHours > 0)) throw new Error(`연재 간격이 올바르지 않습니다: ${JSON.stringify(cadence)}`);
+  return { type: 'interval', intervalHours, hiatus, buffer };
+}
+
+export class Scheduler {
+  constructor(config) {
+    const schedule = config.schedule || {};
+    this.offset = (schedule.utcOffsetHours ?? 9) * HOUR;
+    this.retryBackoff = (schedule.retryBackoffHours ?? 6) * HOUR;
+    const buffer = schedule.buffer ?? 0;
+    this.defaultCadence = normalizeCadence(schedule.default || {}, config.minUpdateIntervalHours, buffer);
+    this.cadences = Object.fromEntries(Object.entries(schedule.novels || {})
+      .map(([slug, cadence]) => [slug, normalizeCadence(cadence, config.minUpdateIntervalHours, buffer)]));
+  }
+
+  getCadence(slug) {
+    return this.cadences[slug] || this.defaultCadence;
+  }
+
+  // 설정 시간대 기준 날짜 (YYYY-MM-DD)
+  localDate(time) {
+    return new Date(new Date(time).getTime() + this.offset).toISOString().slice(0, 10);
+  }
+
+  // 휴재 기간 (from~to, 양끝 포함)
+  getHiatus(slug, now) {
+    const today = this.localDate(now);
+    return this.getCadence(slug).hiatus.find(({ from, to }) => from <= today && (!to || today <= to)) || null;
+  }
+
+  // 마지막 연재 이후 첫 연재 시각 (연재 기록이 없으면 null = 바로 연재)
+  nextReleaseAt(slug, lastUpdate) {
+    if (!lastUpdate) return null;
+
+    const cadence = this.getCadence(slug);
+    const last = new Date(lastUpdate).getTime();
+    if (cadence.type === 'interval') return new Date(last + cadence.intervalHours * HOUR);
+
+    // 설정 시간대의 자정부터 8일 안에 반드시 다음 요일이 있음
+    const localMidnight = Math.floor((last + this.offset) / DAY) * DAY - this.offset;
+    for (let day = 0; day <= 7; day++) {
+      const slot = localMidnight + day * DAY + cadence.minutes * 60 * 1000;
+      const weekday = new Date(slot + this.offset).getUTCDay();
+      if (slot > last && cadence.days.includes(weekday)) return new Date(slot);
+    }
+    return null;
+  }
+
+  // 마지막 실패 후 재시도 대기 중인지
+  isBackingOff(lastFailedAt, now = new Date()) {
+    return Boolean(lastFailedAt) && new Date(now) - new Date(lastFailedAt) < this.retryBackoff;
+  }
+
+  /**
+   * 이번 실행에 쓸 회차 ([slug, novel] 목록 중 휴재가 아니고 재시도 대기 중(novel.lastFailedAt)이 아닌 소설)
+   * - 다음 연재 시각이 지났으면 바로 공개 (releaseAt: null)
+   * - 아직이면 예약 공개 대기 챕터(novel.scheduled)가 buffer보다 적을 때 다음 연재 시각으로 예약 (releaseAt: 공개 시각)
+   * 반환: [{ slug, novel, chapter, dueAt, releaseAt }] 바로 공개할 회차부터, 각각 오래 밀린 순
+   */
+  getDue(novels, now = new Date()) {
+    const current = new Date(now);
+    const entries = [];
+
+    for (const [slug, novel] of novels) {
+      if (this.getHiatus(slug, current) || this.isBackingOff(novel.lastFailedAt, current)) continue;
+
+      const dueAt = this.nextReleaseAt(slug, novel.lastUpdate);
+      const entry = { slug, novel, chapter: (novel.chapterCount || 0) + 1, dueAt, releaseAt: null };
+
+      if (!dueAt || dueAt <= current) {
+        entries.push(entry);
+      } else if ((novel.scheduled || 0) < this.getCadence(slug).buffer && !this.getHiatus(slug, dueAt)) {
+        entries.push({ ...entry, releaseAt: dueAt });
+      }
+    }
+
+    return entries.sort((a, b) => Boolean(a.releaseAt) - Boolean(b.releaseAt) || (a.dueAt || 0) - (b.dueAt || 0));
+  }
+}
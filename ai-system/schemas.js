@@ -0,0 +1,165 @@
+/**
+ * 모델 출력 계약 - 소설/챕터 생성 응답의 JSON 형식과 zod 스키마
+ *
+ * 프롬프트에는 format을 그대로 넣고, 응답은 schema로 검증한다.
+ */
+
+import { z } from 'astro/zod';
+import { REQUIRED_ROLES } from './character-registry.js';
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+export class OutputValidationError extends Error {
+  constructor(field, message, issues = []) {
+    super(`응답 검증 실패 (${field}): ${message}`);
+    this.name = 'OutputValidationError';
+    this.field = field;
+    this.issues = issues;
+  }
+}
+
+const ChapterSchema = z.object({
+  title: z.string().trim().min(1, '챕터 제목이 비어 있습니다'),
+  content: z.string().trim().min(1, '본문이 비어 있습니다')
+});
+
+const CharacterSchema = z.object({
+  name: z.string().trim().min(1, '캐릭터 이름이 비어 있습니다'),
+  role: z.enum([...REQUIRED_ROLES, '조연']),
+  aliases: z.array(z.string()).optional(),
+  description: z.string().optional()
+});
+
+export const NOVEL_OUTPUT = {
+  name: '신작',
+  schema: z.object({
+    novel: z.object({
+      title: z.string().trim().min(1, '소설 제목이 비어 있습니다'),
+      slug: z.string().regex(SLUG_PATTERN, 'slug는 영문 소문자, 숫자, 하이픈만 사용 가능합니다'),
+      summary: z.string().trim().min(1, '요약이 비어 있습니다')
+    }),
+    characters: z.array(CharacterSchema).refine(
+      characters => REQUIRED_ROLES.every(role => characters.some(character => character.role === role)),
+      `${REQUIRED_ROLES.join(', ')} 역할이 모두 필요합니다`
+    ),
+    chapter: ChapterSchema
+  }),
+  format: `{
+  "novel": {
+    "title": "매력적인 제목",
+    "slug": "english-slug-with-hyphens",
+    "summary": "100자 내외 요약"
+  },
+  "characters": [
+    { "name": "이름", "role": "주인공", "aliases": [], "description": "성격, 능력" },
+    { "name": "이름", "role": "상대역", "aliases": [], "description": "성격, 능력" }
+  ],
+  "chapter": {
+    "title": "1화 제목",
+    "content": "본문 (문단은 \\n\\n으로 구분)"
+  }
+}`
+};
+
+export const CHAPTER_OUTPUT = {
+  name: '챕터',
+  schema: z.object({ chapter: ChapterSchema }),
+  format: `{
+  "chapter": {
+    "title": "챕터 제목",
+    "content": "본문 (문단은 \\n\\n으로 구분)"
+  }
+}`
+};
+
+// 연재 계획: 막 구성, 화별 전개(beat), 로맨스 진전, 공개할 비밀, 목표 화수
+const OutlineSchema = z.object({
+  targetChapters: z.number().int().min(3, '목표 화수는 3화 이상이어야 합니다').max(100, '목표 화수는 100화 이하여야 합니다'),
+  acts: z.array(z.object({
+    title: z.string().trim().min(1, '막 제목이 비어 있습니다'),
+    fromChapter: z.number().int().min(1),
+    toChapter: z.number().int().min(1),
+    goal: z.string().optional()
+  })).min(1, '막 구성이 비어 있습니다'),
+  chapters: z.array(z.object({
+    number: z.number().int().min(1),
+    beats: z.array(z.string().trim().min(1)).min(1, '화별 전개가 비어 있습니다'),
+    romance: z.string().optional(),
+    reveal: z.string().optional()
+  }))
+}).refine(
+  outline => outline.chapters.length === outline.targetChapters &&
+    outline.chapters.every((chapter, index) => chapter.number === index + 1),
+  '화별 전개는 1화부터 목표 화수까지 빠짐없이 순서대로 있어야 합니다'
+);
+
+const OUTLINE_FORMAT = `{
+    "targetChapters": 20,
+    "acts": [
+      { "title": "1막: 만남", "fromChapter": 1, "toChapter": 6, "goal": "이 막에서 이룰 것" }
+    ],
+    "chapters": [
+      { "number": 1, "beats": ["핵심 사건", "장면 전개"], "romance": "관계 진전 (있을 때만)", "reveal": "공개할 비밀 (있을 때만)" }
+    ]
+  }`;
+
+// 신작 기획: 소설 정보 + 캐릭터 + 연재 계획 (1화 본문은 따로 작성)
+export const PLAN_OUTPUT = {
+  name: '신작 기획',
+  schema: z.object({
+    novel: NOVEL_OUTPUT.schema.shape.novel,
+    characters: NOVEL_OUTPUT.schema.shape.characters,
+    outline: OutlineSchema
+  }),
+  format: `{
+  "novel": {
+    "title": "매력적인 제목",
+    "slug": "english-slug-with-hyphens",
+    "summary": "100자 내외 요약"
+  },
+  "characters": [
+    { "name": "이름", "role": "주인공", "aliases": [], "description": "성격, 능력" },
+    { "name": "이름", "role": "상대역", "aliases": [], "description": "성격, 능력" }
+  ],
+  "outline": ${OUTLINE_FORMAT}
+}`
+};
+
+// 기존 소설의 연재 계획
+export const OUTLINE_OUTPUT = {
+  name: '연재 계획',
+  schema: z.object({ outline: OutlineSchema }),
+  format: `{
+  "outline": ${OUTLINE_FORMAT}
+}`
+};
+
+// 응답에서 JSON 객체 부분만 꺼내 파싱 (코드 블록/앞뒤 설명 허용)
+export function extractJson(content) {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+
+  if (start < 0 || end <= start) {
+    throw new OutputValidationError('(root)', 'JSON 객체를 찾을 수 없습니다');
+  }
+
+  try {
+    return JSON.parse(content.slice(start, end + 1));
+  } catch (error) {
+    throw new OutputValidationError('(root)', `JSON 파싱 실패 - ${error.message}`);
+  }
+}
+
+// 계약에 맞는지 검증 (첫 번째 문제 필드를 오류에 담음)
+export function parseOutput(content, contract) {
+  const parsed = contract.schema.safeParse(extractJson(content));
+
+  if (!parsed.success) {
+    const [issue] = parsed.error.issues;
+    const field = issue.path.length > 0 ? issue.path.join('.') : '(root)';
+    const message = issue.code === 'invalid_type' && issue.received === 'undefined' ? '필수 항목 누락' : issue.message;
+    throw new OutputValidationError(field, message, parsed.error.issues);
+  }
+
+  return parsed.data;
+}
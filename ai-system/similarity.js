@@ -0,0 +1,220 @@
+/**
+ * 유사 문단 검사 - 같은 소설의 이전 챕터와 다른 소설 챕터에서 재활용된 문단/장면 찾기
+ *
+ * 문단마다 공백/문장부호를 뺀 글자 n-gram(shingle)의 해시를 구하고, 해시값 기준으로 일부만 표본으로 남긴다
+ * (모든 문서에서 같은 해시가 남으므로 표본끼리 비교해도 겹침 비율이 유지된다).
+ * 표본은 챕터 파일 내용 해시와 함께 data/similarity-index.json에 캐시해서 챕터가 늘어도 새 챕터만 계산한다.
+ * (체크아웃마다 파일 수정 시각이 바뀌므로 수정 시각 대신 내용 해시로 비교, 자동 연재 워크플로가 캐시를 커밋한다)
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { parseFrontmatter } from './frontmatter.js';
+import { writeFile } from './transaction.js';
+
+const INDEX_VERSION = 2;
+const CHAPTER_FILE = /^(.+)-ch(\d+)\.md$/;
+const BACKUP_FILE = /\.backup(\.|$)/;
+
+export const DEFAULT_OPTIONS = {
+  shingleSize: 8, // shingle 글자 수
+  sampleRate: 4, // 해시 % sampleRate === 0 인 것만 표본으로
+  minParagraphLength: 40, // 이보다 짧은 문단(짧은 대사 등)은 비교하지 않음
+  paragraphThreshold: 0.6 // 문단의 표본 중 이 비율 이상이 한 문단과 겹치면 재활용으로 봄
+};
+
+// FNV-1a 32비트
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+function normalize(text) {
+  return text.replace(/[^가-힣A-Za-z0-9]/g, '');
+}
+
+// 문단의 shingle 해시 표본 (중복 제거, 정렬)
+export function fingerprint(text, options = DEFAULT_OPTIONS) {
+  const normalized = normalize(text);
+  const hashes = new Set();
+
+  for (let i = 0; i + options.shingleSize <= normalized.length; i++) {
+    const value = hash(normalized.slice(i, i + options.shingleSize));
+    if (value % options.sampleRate === 0) hashes.add(value);
+  }
+
+  return [...hashes].sort((a, b) => a - b);
+}
+
+// 비교 대상 문단과 본문 위치
+export function splitParagraphs(content, options = DEFAULT_OPTIONS) {
+  const paragraphs = [];
+  const pattern = /[^\n]+(\n(?!\s*\n)[^\n]+)*/g;
+
+  for (const match of content.matchAll(pattern)) {
+    const text = match[0].trim();
+    if (normalize(text).length < options.minParagraphLength) continue;
+
+    const start = match.index + match[0].indexOf(text);
+    paragraphs.push({ start, end: start + text.length, text, hashes: fingerprint(text, options) });
+  }
+
+  return paragraphs.filter(paragraph => paragraph.hashes.length > 0);
+}
+
+/**
+ * 챕터 표본 색인 - 해시 → 문단 역색인으로 새 챕터와 겹치는 문단만 찾는다
+ */
+export class SimilarityIndex {
+  constructor(rootDir = process.cwd(), options = {}) {
+    this.chaptersDir = join(rootDir, 'src', 'content', 'chapters');
+    this.indexPath = join(rootDir, 'data', 'similarity-index.json');
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.chapters = {};
+    this.postings = null;
+  }
+
+  // 캐시를 읽고 내용이 바뀐 챕터만 다시 계산 (바뀐 게 있으면 캐시 저장, save: false면 저장하지 않음)
+  refresh({ save = true } = {}) {
+    const cached = existsSync(this.indexPath) ? JSON.parse(readFileSync(this.indexPath, 'utf-8')) : null;
+    const usable = cached?.version === INDEX_VERSION && cached.shingleSize === this.options.shingleSize &&
+      cached.sampleRate === this.options.sampleRate;
+    const previous = usable ? cached.chapters : {};
+    const chapters = {};
+    let changed = !usable;
+
+    const files = existsSync(this.chaptersDir) ? readdirSync(this.chaptersDir).sort() : [];
+    for (const file of files) {
+      const match = file.match(CHAPTER_FILE);
+      if (!match || BACKUP_FILE.test(file)) continue;
+
+      const key = `${match[1]}-ch${match[2]}`;
+      const raw = readFileSync(join(this.chaptersDir, file), 'utf-8');
+      const contentHash = `${hash(raw)}:${raw.length}`;
+      if (previous[key]?.contentHash === contentHash) {
+        chapters[key] = previous[key];
+        continue;
+      }
+
+      const { content } = parseFrontmatter(raw);
+      chapters[key] = {
+        novel: match[1],
+        chapter: parseInt(match[2]),
+        contentHash,
+        paragraphs: splitParagraphs(content, this.options).map(({ start, end, text, hashes }) => ({
+          start, end, excerpt: text.slice(0, 80), hashes
+        }))
+      };
+      changed = true;
+    }
+
+    if (Object.keys(chapters).length !== Object.keys(previous).length) changed = true;
+
+    this.chapters = chapters;
+    this.postings = null;
+
+    if (changed && save) {
+      const { shingleSize, sampleRate } = this.options;
+      writeFile(this.indexPath, JSON.stringify({ version: INDEX_VERSION, shingleSize, sampleRate, chapters }) + '\n');
+    }
+    return this;
+  }
+
+  // 해시 → [챕터 키, 문단 번호] 역색인
+  getPostings() {
+    if (this.postings) return this.postings;
+
+    this.postings = new Map();
+    for (const [key, entry] of Object.entries(this.chapters)) {
+      entry.paragraphs.forEach((paragraph, index) => {
+        for (const value of paragraph.hashes) {
+          if (!this.postings.has(value)) this.postings.set(value, []);
+          this.postings.get(value).push([key, index]);
+        }
+      });
+    }
+    return this.postings;
+  }
+
+  /**
+   * 새 챕터 본문과 색인된 챕터 비교 (exclude: 자기 자신 등 제외할 챕터 키)
+   * 반환: { similarity, source, matches: [{ start, end, text, similarity, source: { novel, chapter, start, end, excerpt } }] }
+   * similarity는 새 챕터 비교 대상 분량 중 한 챕터에서 재활용된 비율의 최댓값
+   */
+  findSimilar(content, { exclude = [] } = {}) {
+    const postings = this.getPostings();
+    const paragraphs = splitParagraphs(content, this.options);
+    const best = paragraphs.map(paragraph => {
+      const hits = new Map();
+      for (const value of paragraph.hashes) {
+        for (const [key, index] of postings.get(value) || []) {
+          if (exclude.includes(key)) continue;
+          const id = `${key}#${index}`;
+          hits.set(id, (hits.get(id) || 0) + 1);
+        }
+      }
+
+      let found = null;
+      for (const [id, count] of hits) {
+        const similarity = count / paragraph.hashes.length;
+        if (similarity >= this.options.paragraphThreshold && (!found || similarity > found.similarity)) {
+          const [key, index] = id.split('#');
+          found = { key, index: parseInt(index), similarity };
+        }
+      }
+      return found;
+    });
+
+    // 같은 챕터의 연속 문단과 겹치는 연속 문단은 한 구간(장면)으로
+    const matches = [];
+    best.forEach((found, index) => {
+      if (!found) return;
+      const paragraph = paragraphs[index];
+      const source = this.chapters[found.key].paragraphs[found.index];
+      const last = matches[matches.length - 1];
+
+      if (last && last.key === found.key && last.lastIndex === index - 1 && found.index > last.sourceIndex) {
+        last.end = paragraph.end;
+        last.source.end = source.end;
+        last.similarities.push(found.similarity);
+        last.lastIndex = index;
+        last.sourceIndex = found.index;
+        return;
+      }
+
+      const entry = this.chapters[found.key];
+      matches.push({
+        key: found.key,
+        start: paragraph.start,
+        end: paragraph.end,
+        similarities: [found.similarity],
+        lastIndex: index,
+        sourceIndex: found.index,
+        source: { novel: entry.novel, chapter: entry.chapter, start: source.start, end: source.end, excerpt: source.excerpt }
+      });
+    });
+
+    const total = paragraphs.reduce((sum, paragraph) => sum + paragraph.end - paragraph.start, 0);
+    const reused = {};
+    best.forEach((found, index) => {
+      if (found) reused[found.key] = (reused[found.key] || 0) + paragraphs[index].end - paragraphs[index].start;
+    });
+    const [sourceKey, length] = Object.entries(reused).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+
+    return {
+      similarity: total > 0 ? length / total : 0,
+      source: sourceKey && { novel: this.chapters[sourceKey].novel, chapter: this.chapters[sourceKey].chapter },
+      matches: matches.map(({ start, end, similarities, source }) => ({
+        start,
+        end,
+        text: content.slice(start, end),
+        similarity: similarities.reduce((sum, value) => sum + value, 0) / similarities.length,
+        source
+      }))
+    };
+  }
+}
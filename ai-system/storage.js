@@ -5,144 +5,150 @@
 import { existsSync, writeFileSync, readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { execSync } from 'child_process';
+import { Transaction } from './transaction.js';
+import { parseFrontmatter, stringifyFrontmatter, updateFrontmatter } from './frontmatter.js';
+import { formatChapterContent } from './markdown-format.js';
+import { classifyContent } from './content-rating.js';
+import { Logger } from './logger.js';
 
 export class Storage {
-  constructor(config) {
+  constructor(config, rootDir = process.cwd(), logger = new Logger()) {
     this.config = config;
-    this.contentDir = join(process.cwd(), 'src', 'content');
+    this.rootDir = rootDir;
+    this.logger = logger;
+    this.contentDir = join(rootDir, 'src', 'content');
     this.novelsDir = join(this.contentDir, 'novels');
     this.chaptersDir = join(this.contentDir, 'chapters');
   }
 
   // 메인 저장 함수
-  async save(result) {
-    console.log('💾 저장 중...');
+  // options.transaction이 있으면 스테이징만 하고 커밋(파일/Git)은 호출한 쪽이 담당
+  // 없으면 자체 트랜잭션으로 한꺼번에 기록 (options.commit === false면 Git 커밋 생략)
+  async save(result, options = {}) {
+    this.logger.info('💾 저장 중...');
+
+    const transaction = options.transaction || new Transaction(this.rootDir);
 
     try {
       if (result.type === 'new_novel') {
-        await this.saveNewNovel(result);
+        await this.saveNewNovel(result, transaction);
       } else {
-        await this.saveChapter(result);
+        await this.saveChapter(result, transaction);
       }
 
-      await this.gitCommit(result);
-      console.log('✅ 저장 완료');
+      if (options.transaction) return;
+
+      transaction.commit();
+      if (options.commit !== false) {
+        await this.gitCommit(result);
+      }
+      this.logger.success('✅ 저장 완료');
 
     } catch (error) {
-      console.error('💥 저장 실패:', error.message);
+      if (!options.transaction) transaction.rollback();
+      this.logger.error(`💥 저장 실패: ${error.message}`, { error });
       throw error;
     }
   }
 
   // 새 소설 저장 (소설 정보 + 1화)
-  async saveNewNovel(result) {
+  async saveNewNovel(result, transaction) {
     // 소설 메타데이터 저장
     const novelPath = join(this.novelsDir, `${result.slug}.md`);
-    const novelContent = this.buildNovelMarkdown(result);
-    writeFileSync(novelPath, novelContent);
+    transaction.write(novelPath, this.buildNovelMarkdown(result));
 
     // 1화 저장
     const chapterPath = join(this.chaptersDir, `${result.slug}-ch1.md`);
-    const chapterContent = this.buildChapterMarkdown(result.chapter, result.slug, 1);
-    writeFileSync(chapterPath, chapterContent);
+    transaction.write(chapterPath, this.buildChapterMarkdown(result.chapter, result.slug, 1, Object.keys(result.characters || {})));
 
-    console.log(`📚 새 소설 저장: ${result.title} (1화 포함)`);
+    this.logger.info(`📚 새 소설 저장: ${result.title} (1화 포함)`);
   }
 
   // 기존 소설의 새 챕터 저장
-  async saveChapter(result) {
+  async saveChapter(result, transaction) {
     const chapterPath = join(this.chaptersDir, `${result.slug}-ch${result.chapter.number}.md`);
-    const chapterContent = this.buildChapterMarkdown(result.chapter, result.slug, result.chapter.number);
-    writeFileSync(chapterPath, chapterContent);
+    transaction.write(chapterPath, this.buildChapterMarkdown(
+      result.chapter, result.slug, result.chapter.number, Object.keys(result.characters || {})
+    ));
 
     // 완결인 경우 소설 메타데이터 업데이트
+    // 예약 공개 챕터는 공개 시각이 지난 뒤 RoFanAI.releaseScheduledChapters가 totalChapters에 반영
     if (result.type === 'completion') {
-      await this.updateNovelStatus(result.slug, '완결', result.chapter.number);
-    } else {
-      await this.updateNovelChapterCount(result.slug, result.chapter.number);
+      await this.updateNovelStatus(result.slug, '완결', result.chapter.number, transaction);
+    } else if (!result.chapter.publicationDate) {
+      await this.updateNovelChapterCount(result.slug, result.chapter.number, transaction);
     }
 
-    console.log(`📖 챕터 저장: ${result.title} ${result.chapter.number}화`);
+    this.logger.info(`📖 챕터 저장: ${result.title} ${result.chapter.number}화`);
   }
 
   // 소설 메타데이터 마크다운 생성
   buildNovelMarkdown(result) {
     const now = new Date().toISOString().split('T')[0];
-    
-    return `---
-title: ${result.title}
-slug: ${result.slug}
-author: Gemini 2.5 Pro Simple System
-status: 연재 중
-summary: >-
-  ${result.summary}
-tropes:
-${result.tropes.map(trope => `  - ${trope}`).join('\n')}
-publishedDate: '${now}'
-totalChapters: 1
-rating: 0
-gemini25pro: true
-characterConsistent: true
-autoGenerated: true
----
-`;
+
+    return stringifyFrontmatter({
+      title: result.title,
+      slug: result.slug,
+      author: 'Gemini 2.5 Pro Simple System',
+      status: '연재 중',
+      summary: result.summary,
+      tropes: result.tropes,
+      publishedDate: now,
+      totalChapters: 1,
+      rating: 0,
+      gemini25pro: true,
+      characterConsistent: true,
+      autoGenerated: true
+    });
   }
 
-  // 챕터 마크다운 생성
-  buildChapterMarkdown(chapter, novelSlug, chapterNumber) {
+  // 챕터 마크다운 생성 (본문은 하우스 마크다운 형식으로 정규화, names는 볼드 처리할 인물명)
+  buildChapterMarkdown(chapter, novelSlug, chapterNumber, names = []) {
     const now = new Date().toISOString().split('T')[0];
-    
-    return `---
-title: '${chapter.title}'
-novel: ${novelSlug}
-chapterNumber: ${chapterNumber}
-publicationDate: '${now}'
-wordCount: ${chapter.wordCount}
-contentRating: 15+
-autoGenerated: true
-lastGenerated: '${new Date().toISOString()}'
----
-
-${chapter.content}
-`;
+
+    return stringifyFrontmatter({
+      title: chapter.title,
+      novel: novelSlug,
+      chapterNumber,
+      publicationDate: chapter.publicationDate || now,
+      wordCount: chapter.wordCount,
+      summary: chapter.summary || undefined,
+      promptVersion: chapter.promptVersion || undefined,
+      contentRating: classifyContent(chapter.content).rating,
+      autoGenerated: true,
+      lastGenerated: new Date().toISOString()
+    }, `\n${formatChapterContent(chapter.content, { names })}\n`);
   }
 
   // 소설 상태 업데이트
-  async updateNovelStatus(slug, status, totalChapters) {
+  async updateNovelStatus(slug, status, totalChapters, transaction) {
     const novelPath = join(this.novelsDir, `${slug}.md`);
     
-    if (!existsSync(novelPath)) {
+    if (!transaction.exists(novelPath)) {
       throw new Error(`소설 파일을 찾을 수 없음: ${slug}`);
     }
 
-    let content = readFileSync(novelPath, 'utf-8');
-    
-    // 상태 업데이트
-    content = content.replace(/status: .+/, `status: ${status}`);
-    content = content.replace(/totalChapters: \d+/, `totalChapters: ${totalChapters}`);
-    
+    const content = transaction.read(novelPath);
+    const updates = { status, totalChapters };
+
     // 완결일 추가 (완결인 경우)
-    if (status === '완결' && !content.includes('completedDate:')) {
-      const now = new Date().toISOString().split('T')[0];
-      content = content.replace(/publishedDate: '(.+)'/, 
-        `publishedDate: '$1'\ncompletedDate: '${now}'`);
+    if (status === '완결' && !parseFrontmatter(content).data.completedDate) {
+      updates.completedDate = new Date().toISOString().split('T')[0];
     }
 
-    writeFileSync(novelPath, content);
+    transaction.write(novelPath, updateFrontmatter(content, updates));
   }
 
   // 소설 챕터 수 업데이트
-  async updateNovelChapterCount(slug, chapterCount) {
+  async updateNovelChapterCount(slug, chapterCount, transaction) {
     const novelPath = join(this.novelsDir, `${slug}.md`);
     
-    if (!existsSync(novelPath)) {
+    if (!transaction.exists(novelPath)) {
       throw new Error(`소설 파일을 찾을 수 없음: ${slug}`);
     }
 
-    let content = readFileSync(novelPath, 'utf-8');
-    content = content.replace(/totalChapters: \d+/, `totalChapters: ${chapterCount}`);
-    
-    writeFileSync(novelPath, content);
+    const content = transaction.read(novelPath);
+    transaction.write(novelPath, updateFrontmatter(content, { totalChapters: chapterCount }));
   }
 
   // Git 커밋
@@ -152,7 +158,8 @@ ${chapter.content}
       this.ensureGitConfig();
 
       // 변경사항 추가
-      execSync('git add src/content/', { cwd: process.cwd(), stdio: 'inherit' });
+      const paths = ['src/content/', 'data/'].filter(path => existsSync(join(this.rootDir, path)));
+      execSync(`git add ${paths.join(' ')}`, { cwd: this.rootDir, stdio: 'inherit' });
 
       // 커밋 메시지 생성
       const commitMessage = this.buildCommitMessage(result);
@@ -160,35 +167,35 @@ ${chapter.content}
       // 커밋 (변경사항이 없으면 무시)
       try {
         execSync(`git commit -m "${commitMessage}"`, { 
-          cwd: process.cwd(), 
+          cwd: this.rootDir, 
           stdio: 'inherit' 
         });
-        console.log(`🔄 Git 커밋 완료: ${commitMessage}`);
+        this.logger.success(`🔄 Git 커밋 완료: ${commitMessage}`);
       } catch (error) {
         if (error.message.includes('nothing to commit')) {
-          console.log('📝 커밋할 변경사항 없음');
+          this.logger.info('📝 커밋할 변경사항 없음');
         } else {
           throw error;
         }
       }
 
     } catch (error) {
-      console.error('⚠️  Git 커밋 실패:', error.message);
+      this.logger.error(`⚠️  Git 커밋 실패: ${error.message}`, { error });
       // Git 실패는 전체 프로세스를 중단시키지 않음
     }
   }
 
   ensureGitConfig() {
     try {
-      execSync('git config user.name', { cwd: process.cwd(), stdio: 'pipe' });
+      execSync('git config user.name', { cwd: this.rootDir, stdio: 'pipe' });
     } catch {
-      execSync('git config user.name "RO-FAN AI System"', { cwd: process.cwd() });
+      execSync('git config user.name "RO-FAN AI System"', { cwd: this.rootDir });
     }
 
     try {
-      execSync('git config user.email', { cwd: process.cwd(), stdio: 'pipe' });
+      execSync('git config user.email', { cwd: this.rootDir, stdio: 'pipe' });
     } catch {
-      execSync('git config user.email "ai-system@ro-fan.local"', { cwd: process.cwd() });
+      execSync('git config user.email "ai-system@ro-fan.local"', { cwd: this.rootDir });
     }
   }
 
@@ -198,7 +205,12 @@ ${chapter.content}
         return `🆕 새 소설: ${result.title} (1화)`;
       case 'completion':
         return `🏁 완결: ${result.title} (${result.chapter.number}화 완결)`;
+      case 'release':
+        return `📅 예약 공개: ${result.released.map(({ title, chapterCount }) => `${title} ${chapterCount}화`).join(', ')}`;
       default:
+        if (result.chapter.publicationDate) {
+          return `📅 예약 연재: ${result.title} ${result.chapter.number}화 (${result.chapter.publicationDate.split('T')[0]} 공개)`;
+        }
         return `📖 연재: ${result.title} ${result.chapter.number}화 업로드`;
     }
   }
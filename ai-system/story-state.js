@@ -0,0 +1,91 @@
+/**
+ * 스토리 상태 장부 - 소설별 연속성 정보 (data/story-states/<slug>.json)
+ *
+ * 챕터 생성 전에 읽어 프롬프트에 넣고, 챕터가 확정되면 추출 결과로 갱신한다.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { writeFile } from './transaction.js';
+
+export class StoryStateStore {
+  constructor(rootDir = process.cwd()) {
+    this.statesDir = join(rootDir, 'data', 'story-states');
+  }
+
+  getPath(slug) {
+    return join(this.statesDir, `${slug}.json`);
+  }
+
+  load(slug) {
+    const statePath = this.getPath(slug);
+    if (!existsSync(statePath)) return null;
+    return JSON.parse(readFileSync(statePath, 'utf-8'));
+  }
+
+  save(slug, state, transaction = null) {
+    writeFile(this.getPath(slug), JSON.stringify(state, null, 2) + '\n', transaction);
+  }
+
+  // 장부가 없는 소설용 빈 상태
+  createEmpty(slug, title) {
+    return {
+      novel: slug,
+      title,
+      lastUpdated: null,
+      currentChapter: 0,
+      currentSituation: {},
+      characterStates: {},
+      activeConflicts: [],
+      pendingEvents: [],
+      cliffhangers: [],
+      unsolvedMysteries: [],
+      worldState: {},
+      plotProgress: {},
+      nextChapterRequirements: {}
+    };
+  }
+}
+
+// 프롬프트에 들어갈 스토리 상태 섹션
+export function formatStoryStateForPrompt(state) {
+  if (!state) return '';
+
+  const lines = [];
+  const situation = state.currentSituation || {};
+  const requirements = state.nextChapterRequirements || {};
+  const formatFields = fields => Object.entries(fields || {})
+    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+    .join(' / ');
+
+  if (situation.activeScene || situation.location || situation.time) {
+    lines.push(`- 직전 상황: ${[situation.activeScene, situation.time, situation.location].filter(Boolean).join(' | ')}`);
+  }
+
+  const characterStates = Object.entries(state.characterStates || {});
+  if (characterStates.length > 0) {
+    lines.push('- 캐릭터 현재 상태:');
+    characterStates.forEach(([name, fields]) => lines.push(`  - ${name}: ${formatFields(fields)}`));
+  }
+
+  const cliffhangers = state.cliffhangers || [];
+  if (cliffhangers.length > 0) {
+    lines.push('- 이어받아야 할 클리프행어:');
+    cliffhangers.forEach(cliffhanger => lines.push(
+      `  - ${cliffhanger.description}${cliffhanger.mustResolveInNextChapter ? ' (이번 화에서 반드시 해결)' : ''}`
+    ));
+  }
+
+  const requirementLines = [
+    requirements.mustStartWith && `  - 시작 장면: ${requirements.mustStartWith}`,
+    requirements.mustInclude?.length && `  - 반드시 포함: ${requirements.mustInclude.join(', ')}`,
+    requirements.mustNotForget?.length && `  - 잊지 말 것: ${requirements.mustNotForget.join(', ')}`,
+    requirements.tonalDirection && `  - 톤: ${requirements.tonalDirection}`
+  ].filter(Boolean);
+  if (requirementLines.length > 0) {
+    lines.push('- 다음 화 요구사항:', ...requirementLines);
+  }
+
+  if (lines.length === 0) return '';
+  return `스토리 상태 (${state.currentChapter}화 종료 시점, 반드시 이어서 쓸 것):\n${lines.join('\n')}`;
+}
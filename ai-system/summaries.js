@@ -0,0 +1,120 @@
+/**
+ * 요약 저장소 - 챕터 요약(frontmatter summary)과 소설별 아크 요약(data/summaries/<slug>.json)
+ *
+ * 프롬프트에는 최근 챕터 요약을 우선 넣고, 토큰 예산이 남으면 더 이전 구간을 아크 요약으로 채운다.
+ * 아크 요약 도입 전에 연재된 소설의 지난 아크는 findMissingArcs로 찾아 실행마다 조금씩 채운다.
+ */
+
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { estimateTokens } from './tokens.js';
+import { writeFile } from './transaction.js';
+import { parseFrontmatter, updateFrontmatter } from './frontmatter.js';
+
+export class SummaryStore {
+  constructor(rootDir = process.cwd()) {
+    this.chaptersDir = join(rootDir, 'src', 'content', 'chapters');
+    this.summariesDir = join(rootDir, 'data', 'summaries');
+  }
+
+  getChapterPath(slug, number) {
+    return join(this.chaptersDir, `${slug}-ch${number}.md`);
+  }
+
+  // 챕터 목록과 저장된 요약 (번호순)
+  getChapterSummaries(slug) {
+    if (!existsSync(this.chaptersDir)) return [];
+
+    return readdirSync(this.chaptersDir)
+      .map(file => file.match(new RegExp(`^${slug}-ch(\\d+)\\.md$`)))
+      .filter(Boolean)
+      .map(match => {
+        const number = parseInt(match[1]);
+        const { data, content } = parseFrontmatter(readFileSync(this.getChapterPath(slug, number), 'utf-8'));
+        return { number, title: data.title, summary: data.summary || null, content };
+      })
+      .sort((a, b) => a.number - b.number);
+  }
+
+  // 기존 챕터 파일의 summary frontmatter 갱신
+  setChapterSummary(slug, number, summary) {
+    const chapterPath = this.getChapterPath(slug, number);
+    writeFileSync(chapterPath, updateFrontmatter(readFileSync(chapterPath, 'utf-8'), { summary }));
+  }
+
+  loadArcs(slug) {
+    const arcsPath = join(this.summariesDir, `${slug}.json`);
+    if (!existsSync(arcsPath)) return [];
+    return JSON.parse(readFileSync(arcsPath, 'utf-8')).arcs || [];
+  }
+
+  saveArcs(slug, arcs, transaction = null) {
+    writeFile(
+      join(this.summariesDir, `${slug}.json`),
+      JSON.stringify({ novel: slug, arcs: [...arcs].sort((a, b) => a.fromChapter - b.fromChapter) }, null, 2) + '\n',
+      transaction
+    );
+  }
+
+  // 아크 구간 (arcSize 단위, 1화부터)
+  static getArcRange(chapterNumber, arcSize) {
+    const fromChapter = Math.floor((chapterNumber - 1) / arcSize) * arcSize + 1;
+    return { fromChapter, toChapter: fromChapter + arcSize - 1 };
+  }
+}
+
+/**
+ * 아크 요약이 없는 지난 아크 (모든 챕터 요약이 있는 끝난 아크만, 최근 아크부터)
+ * 반환: [{ fromChapter, toChapter, chapters }]
+ */
+export function findMissingArcs(chapters, arcs, arcSize) {
+  const lastNumber = chapters.length > 0 ? chapters[chapters.length - 1].number : 0;
+  const summarized = new Set(arcs.map(arc => arc.fromChapter));
+  const missing = [];
+
+  for (let fromChapter = 1; fromChapter + arcSize - 1 <= lastNumber; fromChapter += arcSize) {
+    const toChapter = fromChapter + arcSize - 1;
+    const arcChapters = chapters.filter(chapter => chapter.number >= fromChapter && chapter.number <= toChapter);
+    if (summarized.has(fromChapter) || arcChapters.length < arcSize || arcChapters.some(chapter => !chapter.summary)) continue;
+    missing.unshift({ fromChapter, toChapter, chapters: arcChapters });
+  }
+
+  return missing;
+}
+
+/**
+ * 토큰 예산 안에서 프롬프트용 요약 섹션 구성
+ * chapters: [{ number, title, summary }], arcs: [{ fromChapter, toChapter, summary }]
+ */
+export function buildSummaryContext({ chapters, arcs = [], budget }) {
+  const header = '이전 스토리 요약:';
+  let remaining = budget - estimateTokens(header);
+  const recent = [];
+
+  // 1. 최근 챕터부터 요약 추가
+  for (const chapter of [...chapters].reverse()) {
+    const line = `- ${chapter.number}화 ${chapter.title || ''}${chapter.summary ? `: ${chapter.summary}` : ''}`;
+    const cost = estimateTokens(line);
+    if (cost > remaining) break;
+    recent.unshift({ number: chapter.number, line });
+    remaining -= cost;
+  }
+
+  // 2. 챕터 요약이 닿지 못한 이전 구간은 아크 요약으로
+  // 최근 챕터 구간에 걸친 아크도 넣어야 그 아크의 앞부분이 빠지지 않음 (겹치는 챕터는 중복 허용)
+  let firstCovered = recent.length > 0 ? recent[0].number : Infinity;
+  const older = [];
+
+  for (const arc of [...arcs].sort((a, b) => b.fromChapter - a.fromChapter)) {
+    if (arc.fromChapter >= firstCovered) continue;
+    const line = `- [${arc.fromChapter}~${arc.toChapter}화 줄거리] ${arc.summary}`;
+    const cost = estimateTokens(line);
+    if (cost > remaining) break;
+    older.unshift(line);
+    remaining -= cost;
+    firstCovered = arc.fromChapter;
+  }
+
+  const lines = [...older, ...recent.map(entry => entry.line)];
+  return lines.length > 0 ? `${header}\n${lines.join('\n')}` : '';
+}
@@ -0,0 +1,11 @@
+/**
+ * 토큰 수 로컬 추정 (프로바이더가 사용량을 알려주지 않을 때 사용)
+ *
+ * 한글은 글자당 약 1토큰, 그 외 문자는 4글자당 약 1토큰으로 보수적으로 계산
+ */
+
+export function estimateTokens(text = '') {
+  const hangul = (text.match(/[가-힣]/g) || []).length;
+  const others = text.length - hangul;
+  return Math.ceil(hangul + others / 4);
+}
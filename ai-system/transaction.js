@@ -0,0 +1,102 @@
+/**
+ * 파일 트랜잭션 - 한 번의 연재 작업에서 바뀌는 파일을 모두 임시 디렉토리에 모았다가
+ * 한꺼번에 제자리로 옮긴다. 중간에 실패하면 이미 옮긴 파일까지 원래대로 되돌린다.
+ */
+
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, renameSync, rmSync, unlinkSync, writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+
+export class Transaction {
+  constructor(rootDir = process.cwd()) {
+    this.rootDir = rootDir;
+    this.stagingDir = null;
+    this.staged = new Map(); // 대상 경로 -> 임시 파일 경로
+    this.closed = false;
+  }
+
+  // 같은 파일시스템 안에서 rename 할 수 있도록 rootDir 아래에 임시 디렉토리 생성
+  ensureStagingDir() {
+    if (!this.stagingDir) {
+      this.stagingDir = mkdtempSync(join(this.rootDir, '.transaction-'));
+    }
+    return this.stagingDir;
+  }
+
+  write(filePath, content) {
+    if (this.closed) {
+      throw new Error('이미 종료된 트랜잭션');
+    }
+
+    const target = resolve(this.rootDir, filePath);
+    const stagedPath = this.staged.get(target) || join(this.ensureStagingDir(), `${this.staged.size}.staged`);
+
+    writeFileSync(stagedPath, content);
+    this.staged.set(target, stagedPath);
+  }
+
+  // 스테이징된 내용이 있으면 그것을, 없으면 디스크의 파일을 읽음
+  read(filePath) {
+    const target = resolve(this.rootDir, filePath);
+    return readFileSync(this.staged.get(target) || target, 'utf-8');
+  }
+
+  exists(filePath) {
+    const target = resolve(this.rootDir, filePath);
+    return this.staged.has(target) || existsSync(target);
+  }
+
+  // 스테이징된 파일을 모두 제자리로 이동 (하나라도 실패하면 전부 되돌림)
+  commit() {
+    if (this.closed) {
+      throw new Error('이미 종료된 트랜잭션');
+    }
+
+    const applied = [];
+
+    try {
+      for (const [target, stagedPath] of this.staged) {
+        const backupPath = existsSync(target) ? `${stagedPath}.backup` : null;
+
+        mkdirSync(dirname(target), { recursive: true });
+        if (backupPath) renameSync(target, backupPath);
+        applied.push({ target, backupPath });
+        renameSync(stagedPath, target);
+      }
+    } catch (error) {
+      for (const { target, backupPath } of applied.reverse()) {
+        if (existsSync(target)) unlinkSync(target);
+        if (backupPath) renameSync(backupPath, target);
+      }
+      this.cleanup();
+      throw error;
+    }
+
+    this.cleanup();
+    return [...this.staged.keys()];
+  }
+
+  // 커밋 전 변경사항 폐기
+  rollback() {
+    if (!this.closed) {
+      this.cleanup();
+    }
+  }
+
+  cleanup() {
+    if (this.stagingDir) {
+      rmSync(this.stagingDir, { recursive: true, force: true });
+    }
+    this.closed = true;
+  }
+}
+
+// 트랜잭션이 있으면 스테이징, 없으면 바로 기록
+export function writeFile(filePath, content, transaction = null) {
+  if (transaction) {
+    transaction.write(filePath, content);
+    return;
+  }
+
+  mkdirSync(dirname(filePath), { recursive: true });
+  writeFileSync(filePath, content);
+}
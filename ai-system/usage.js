@@ -0,0 +1,191 @@
+/**
+ * 사용량 장부 - 모든 모델 호출의 토큰 수, 지연 시간, 비용을 data/usage-ledger.jsonl에 한 줄씩 기록
+ *
+ * 프로바이더가 사용량(usageMetadata)을 알려주지 않으면 tokens.js로 추정하고 estimated로 표시한다.
+ * 장부는 실행 사이에 이어지므로(워크플로가 함께 커밋) 일/월 예산 확인에도 쓴다.
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { estimateTokens } from './tokens.js';
+
+const HOUR = 60 * 60 * 1000;
+const OFFLINE_PROVIDERS = ['fixture', 'cassette']; // 픽스처/카세트 재생은 실제 호출이 아니라 비용 없음
+
+// 1M 토큰당 가격으로 비용 계산 (가격이 없는 모델은 null)
+export function computeCost(pricing, model, inputTokens, outputTokens) {
+  const price = pricing?.[model];
+  if (!price) return null;
+  return Math.round(inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+export class UsageLedger {
+  constructor(rootDir = process.cwd(), config = {}, runId = new Date().toISOString()) {
+    this.ledgerPath = join(rootDir, 'data', 'usage-ledger.jsonl');
+    this.pricing = config.usage?.pricing || {};
+    this.offset = (config.schedule?.utcOffsetHours ?? 9) * HOUR;
+    this.runId = runId; // 로거, 실행 기록과 같은 실행 ID
+    this.context = {};
+    this.pending = [];
+  }
+
+  // 이후 호출을 어떤 작업(action, novel, chapter)의 비용으로 기록할지
+  setContext(context = {}) {
+    this.context = context;
+  }
+
+  // 생성 전에는 slug를 모르는 신작 호출에 소설을 붙임
+  attribute(fields) {
+    for (const entry of this.pending) {
+      if (entry.action === this.context.action && !entry.novel) Object.assign(entry, fields);
+    }
+    this.context = { ...this.context, ...fields };
+  }
+
+  record({ provider, model, prompt, text, usageMetadata, latencyMs }) {
+    const reported = usageMetadata?.promptTokenCount != null && usageMetadata?.candidatesTokenCount != null;
+    const inputTokens = reported ? usageMetadata.promptTokenCount : estimateTokens(prompt);
+    const outputTokens = reported ? usageMetadata.candidatesTokenCount : estimateTokens(text);
+
+    const entry = {
+      at: new Date().toISOString(),
+      runId: this.runId,
+      action: this.context.action || null,
+      novel: this.context.novel || null,
+      chapter: this.context.chapter || null,
+      provider,
+      model,
+      inputTokens,
+      outputTokens,
+      estimated: !reported,
+      latencyMs,
+      cost: OFFLINE_PROVIDERS.includes(provider) ? 0 : computeCost(this.pricing, model, inputTokens, outputTokens)
+    };
+
+    this.pending.push(entry);
+    return entry;
+  }
+
+  // 기록 대기 중인 호출을 장부 끝에 추가
+  flush() {
+    if (this.pending.length === 0) return;
+
+    mkdirSync(dirname(this.ledgerPath), { recursive: true });
+    appendFileSync(this.ledgerPath, this.pending.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    this.pending = [];
+  }
+
+  // 장부 전체 (기록 대기 중인 호출 포함)
+  load() {
+    const saved = existsSync(this.ledgerPath)
+      ? readFileSync(this.ledgerPath, 'utf-8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+      : [];
+    return [...saved, ...this.pending];
+  }
+
+  // 설정 시간대 기준 오늘/이번 달 비용
+  getSpent(now = new Date()) {
+    const local = time => new Date(new Date(time).getTime() + this.offset).toISOString();
+    const today = local(now).slice(0, 10);
+    const month = today.slice(0, 7);
+    const spent = { daily: 0, monthly: 0 };
+
+    for (const entry of this.load()) {
+      const date = local(entry.at);
+      if (!date.startsWith(month)) continue;
+      spent.monthly += entry.cost || 0;
+      if (date.startsWith(today)) spent.daily += entry.cost || 0;
+    }
+
+    return spent;
+  }
+}
+
+/**
+ * 호출마다 장부에 기록하는 프로바이더 래퍼 (generateContent 계약은 그대로)
+ */
+export class MeteredProvider {
+  constructor(inner, ledger) {
+    this.inner = inner;
+    this.ledger = ledger;
+    this.name = inner.name;
+    this.model = inner.model;
+  }
+
+  async generateContent(prompt) {
+    const started = Date.now();
+    const result = await this.inner.generateContent(prompt);
+
+    this.ledger.record({
+      provider: this.name,
+      model: this.model,
+      prompt,
+      text: result.response.text(),
+      usageMetadata: result.response.usageMetadata,
+      latencyMs: Date.now() - started
+    });
+
+    return result;
+  }
+}
+
+/**
+ * 예산 상태 (config.usage의 dailyBudget/monthlyBudget, USD)
+ * - exhausted: 예산을 다 씀 → 생성하지 않음
+ * - reduced: softLimit 비율 이상 씀 → 꼭 필요한 회차만, 수정 요청 없이
+ */
+export function getBudgetStatus(usage = {}, spent) {
+  const limits = [['daily', usage.dailyBudget], ['monthly', usage.monthlyBudget]].filter(([, budget]) => budget != null);
+  const softLimit = usage.softLimit ?? 0.8;
+  let level = 'ok';
+  let reason = null;
+
+  for (const [period, budget] of limits) {
+    const label = `${period === 'daily' ? '오늘' : '이번 달'} $${spent[period].toFixed(2)} / $${budget}`;
+    if (spent[period] >= budget) return { level: 'exhausted', reason: label, spent };
+    if (spent[period] >= budget * softLimit) {
+      level = 'reduced';
+      reason = label;
+    }
+  }
+
+  return { level, reason, spent };
+}
+
+/**
+ * 장부 집계 - 소설별, 챕터별 호출 수/토큰/비용
+ * 반환: { total, novels: [{ novel, ...합계, chapters: [{ chapter, ...합계 }] }] } 비용이 큰 순
+ */
+export function summarizeUsage(entries) {
+  const empty = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, estimatedCalls: 0, cost: 0, unpriced: 0 });
+  const add = (sum, entry) => {
+    sum.calls++;
+    sum.inputTokens += entry.inputTokens;
+    sum.outputTokens += entry.outputTokens;
+    if (entry.estimated) sum.estimatedCalls++;
+    if (entry.cost == null) sum.unpriced++;
+    sum.cost += entry.cost || 0;
+  };
+
+  const total = empty();
+  const novels = new Map();
+
+  for (const entry of entries) {
+    const key = entry.novel || '(미지정)';
+    if (!novels.has(key)) novels.set(key, { novel: key, ...empty(), chapters: new Map() });
+    const novel = novels.get(key);
+    const chapterKey = entry.chapter ?? '-';
+    if (!novel.chapters.has(chapterKey)) novel.chapters.set(chapterKey, { chapter: entry.chapter ?? null, ...empty() });
+
+    add(total, entry);
+    add(novel, entry);
+    add(novel.chapters.get(chapterKey), entry);
+  }
+
+  return {
+    total,
+    novels: [...novels.values()]
+      .map(novel => ({ ...novel, chapters: [...novel.chapters.values()].sort((a, b) => (a.chapter ?? 0) - (b.chapter ?? 0)) }))
+      .sort((a, b) => b.cost - a.cost)
+  };
+}
@@ -1,153 +1,244 @@
 /**
  * 품질 검증 엔진 - 캐릭터 일관성 및 기본 품질 검증
+ *
+ * validate()는 검사별 점수(0~1), 심각도(error/warn/info), 근거 위치(evidence)를 담은 리포트를 반환한다.
+ * error 심각도의 검사가 하나라도 실패하면 통과하지 못한다.
  */
 
+import { CharacterValidator } from './character-validator.js';
+import { findUnknownNames } from './korean-names.js';
+import { analyzeSpeech, findRegisterFlips } from './dialogue.js';
+import { checkContinuity } from './continuity.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { classifyContent, compareRatings, getRatingCeiling } from './content-rating.js';
+import { Logger } from './logger.js';
+
+export const SEVERITY = { ERROR: 'error', WARN: 'warn', INFO: 'info' };
+
+// 검사 결과 (통과하면 info, 실패하면 지정한 심각도)
+function createCheck(id, label, { passed = true, severity = SEVERITY.ERROR, score, message = '', evidence = [] } = {}) {
+  return {
+    id,
+    label,
+    passed,
+    severity: passed ? SEVERITY.INFO : severity,
+    score: score ?? (passed ? 1 : 0),
+    message,
+    evidence
+  };
+}
+
+// 본문에서 각 단어가 처음 나오는 위치 (근거 표시용, 최대 limit개)
+function findEvidence(content, terms, limit = 5) {
+  return terms
+    .map(term => ({ start: content.indexOf(term), text: term }))
+    .filter(span => span.start >= 0)
+    .slice(0, limit)
+    .map(span => ({ start: span.start, end: span.start + span.text.length, text: span.text }));
+}
+
 export class Validator {
-  constructor(config) {
+  constructor(config, characterValidator = new CharacterValidator(), logger = new Logger()) {
     this.config = config;
+    this.characterValidator = characterValidator;
+    this.logger = logger;
     this.minWordCount = config.chapterLength.min;
     this.maxWordCount = config.chapterLength.max;
+    this.similarity = { ...DEFAULT_CONFIG.similarity, ...config.similarity };
   }
 
-  // 메인 검증 함수
-  async validate(result) {
-    console.log('🔍 품질 검증 시작...');
-    
-    const checks = [
-      this.validateBasicStructure(result),
+  // 메인 검증 함수 - 품질 리포트 반환
+  // context.speechProfile이 있으면 이전 챕터와 말투가 바뀌었는지도 검사
+  // context.previousChapter가 있으면 첫 장면이 이전 챕터 마지막 장면과 이어지는지도 검사
+  // context.similarityIndex가 있으면 기존 챕터(다른 소설 포함)의 문단을 재활용했는지도 검사
+  async validate(result, context = {}) {
+    this.logger.info('🔍 품질 검증 시작...');
+
+    // 구조가 깨졌으면 본문 검사는 의미 없음
+    const structure = this.validateBasicStructure(result);
+    const checks = !structure.passed ? [structure] : [
+      structure,
       this.validateChapterLength(result),
       this.validateCharacterConsistency(result),
-      this.validateContent(result)
+      this.validateRegisteredCharacters(result),
+      this.validateContent(result),
+      this.validateRepetition(result),
+      this.validateContentRating(result),
+      ...(context.speechProfile ? [this.validateSpeechRegister(result, context.speechProfile)] : []),
+      ...(context.previousChapter ? [this.validateContinuity(result, context.previousChapter, context.storyState)] : []),
+      ...(context.similarityIndex ? [this.validateOriginality(result, context.similarityIndex)] : []),
+      ...(result.type === 'completion' ? [this.validateCompletion(result)] : [])
     ];
 
-    const results = await Promise.all(checks);
-    const allPassed = results.every(r => r.passed);
-    
-    if (allPassed) {
-      console.log('✅ 모든 검증 통과');
+    const report = this.buildReport(checks);
+
+    if (report.passed) {
+      this.logger.success(`✅ 모든 검증 통과 (점수 ${report.score.toFixed(2)})`, { score: report.score });
     } else {
-      console.log('❌ 검증 실패:', results.filter(r => !r.passed).map(r => r.error));
+      this.logger.warn(`❌ 검증 실패: ${report.errors.join(' / ')}`, { score: report.score, errors: report.errors });
+    }
+    if (report.warnings.length > 0) {
+      this.logger.warn(`⚠️  경고: ${report.warnings.join(' / ')}`, { warnings: report.warnings });
     }
 
-    return allPassed;
+    return report;
+  }
+
+  buildReport(checks) {
+    const failed = severity => checks.filter(check => !check.passed && check.severity === severity);
+
+    return {
+      passed: failed(SEVERITY.ERROR).length === 0,
+      score: checks.reduce((sum, check) => sum + check.score, 0) / checks.length,
+      errors: failed(SEVERITY.ERROR).map(check => check.message),
+      warnings: failed(SEVERITY.WARN).map(check => check.message),
+      checks
+    };
   }
 
   // 기본 구조 검증
   validateBasicStructure(result) {
+    const label = '기본 구조';
     const required = ['type', 'slug', 'title', 'chapter'];
     const missing = required.filter(field => !result[field]);
-    
+
     if (missing.length > 0) {
-      return { passed: false, error: `필수 필드 누락: ${missing.join(', ')}` };
+      return createCheck('structure', label, { passed: false, message: `필수 필드 누락: ${missing.join(', ')}` });
     }
 
     if (!result.chapter.title || !result.chapter.content) {
-      return { passed: false, error: '챕터 제목 또는 내용 누락' };
+      return createCheck('structure', label, { passed: false, message: '챕터 제목 또는 내용 누락' });
     }
 
     // 슬러그 형식 검증 (영문, 숫자, 하이픈만)
     if (!/^[a-z0-9-]+$/.test(result.slug)) {
-      return { passed: false, error: '슬러그 형식 오류 (영문소문자, 숫자, 하이픈만 허용)' };
+      return createCheck('structure', label, {
+        passed: false,
+        message: '슬러그 형식 오류 (영문소문자, 숫자, 하이픈만 허용)'
+      });
     }
 
-    return { passed: true };
+    return createCheck('structure', label);
   }
 
-  // 챕터 길이 검증
+  // 챕터 길이 검증 (점수는 허용 범위에 얼마나 가까운지)
   validateChapterLength(result) {
+    const label = '분량';
     const wordCount = result.chapter.content.length;
-    
+
     if (wordCount < this.minWordCount) {
-      return { 
-        passed: false, 
-        error: `챕터가 너무 짧음 (${wordCount}자, 최소 ${this.minWordCount}자 필요)` 
-      };
+      return createCheck('length', label, {
+        passed: false,
+        score: wordCount / this.minWordCount,
+        message: `챕터가 너무 짧음 (${wordCount}자, 최소 ${this.minWordCount}자 필요)`
+      });
     }
 
     if (wordCount > this.maxWordCount) {
-      return { 
-        passed: false, 
-        error: `챕터가 너무 길음 (${wordCount}자, 최대 ${this.maxWordCount}자 초과)` 
-      };
+      return createCheck('length', label, {
+        passed: false,
+        score: this.maxWordCount / wordCount,
+        message: `챕터가 너무 길음 (${wordCount}자, 최대 ${this.maxWordCount}자 초과)`
+      });
     }
 
-    console.log(`📏 적정 길이: ${wordCount}자`);
-    return { passed: true };
+    return createCheck('length', label, { message: `적정 길이: ${wordCount}자` });
   }
 
   // 캐릭터 일관성 검증 (가장 중요!)
   validateCharacterConsistency(result) {
+    const label = '캐릭터 일관성';
+
     if (!result.characters || Object.keys(result.characters).length === 0) {
-      return { passed: false, error: '캐릭터 정보 누락' };
+      return createCheck('characters', label, { passed: false, message: '캐릭터 정보 누락' });
     }
 
     const characterNames = Object.keys(result.characters);
     const content = result.chapter.content;
-    
+    // 레지스트리에 등록된 이름/별칭도 정의된 캐릭터로 인정
+    const knownNames = [...new Set([...characterNames, ...this.characterValidator.registry.getKnownNames(result.slug)])];
+
     // 정의된 캐릭터명이 본문에 등장하는지 확인
     const foundCharacters = characterNames.filter(name => content.includes(name));
-    
+
     if (foundCharacters.length === 0) {
-      return { 
-        passed: false, 
-        error: `정의된 캐릭터(${characterNames.join(', ')})가 본문에 등장하지 않음` 
-      };
-    }
-
-    // 본문에서 의심스러운 캐릭터명 패턴 검색 (한글 이름 패턴)
-    const namePattern = /[가-힣]{2,4}(?:[이가은는을를]|\s|$|[.,!?])/g;
-    const foundNames = [...content.matchAll(namePattern)]
-      .map(match => match[0].replace(/[이가은는을를\s.,!?].*$/, ''))
-      .filter(name => name.length >= 2);
-
-    const uniqueFoundNames = [...new Set(foundNames)];
-    const undefinedNames = uniqueFoundNames.filter(name => !characterNames.includes(name));
-
-    if (undefinedNames.length > 0) {
-      // 일반적인 명사는 제외 (간단한 화이트리스트)
-      const commonWords = ['그녀', '그가', '사람', '여자', '남자', '아이', '친구', '선생', '의사', '간호사'];
-      const realUndefinedNames = undefinedNames.filter(name => 
-        !commonWords.includes(name) && name.length >= 2
-      );
-
-      if (realUndefinedNames.length > 0) {
-        return { 
-          passed: false, 
-          error: `정의되지 않은 캐릭터명 의심: ${realUndefinedNames.join(', ')}` 
-        };
-      }
+      return createCheck('characters', label, {
+        passed: false,
+        message: `정의된 캐릭터(${characterNames.join(', ')})가 본문에 등장하지 않음`
+      });
+    }
+
+    // 조사를 떼어 낸 어절 중 인물 단서(에게/께서, 호칭, 발화 동사)가 붙은 미등록 이름
+    const unknownNames = findUnknownNames(content, knownNames);
+
+    if (unknownNames.length > 0) {
+      const names = unknownNames.map(candidate => candidate.name);
+      return createCheck('characters', label, {
+        passed: false,
+        score: knownNames.length / (knownNames.length + names.length),
+        message: `정의되지 않은 캐릭터명 의심: ${names.join(', ')}`,
+        evidence: unknownNames.flatMap(candidate => candidate.occurrences.slice(0, 2)).slice(0, 5)
+      });
     }
 
-    console.log(`👥 캐릭터 일관성 확인: ${foundCharacters.join(', ')}`);
-    return { passed: true };
+    return createCheck('characters', label, { message: `캐릭터 일관성 확인: ${foundCharacters.join(', ')}` });
+  }
+
+  // 소설별 등록 캐릭터 검증 (필수 캐릭터 등장, 금지된 이름)
+  validateRegisteredCharacters(result) {
+    const content = result.chapter.content;
+    const { valid, reason } = this.characterValidator.validate(result.slug, content);
+
+    if (valid) {
+      return createCheck('registry', '등록 캐릭터', { message: reason });
+    }
+
+    const blacklisted = this.characterValidator.registry.getBlacklist(result.slug).filter(name => content.includes(name));
+    return createCheck('registry', '등록 캐릭터', {
+      passed: false,
+      message: reason,
+      evidence: findEvidence(content, blacklisted)
+    });
   }
 
   // 컨텐츠 품질 검증
   validateContent(result) {
+    const label = '본문 품질';
     const content = result.chapter.content;
-    
+
     // 기본적인 품질 체크
     if (content.length < 100) {
-      return { passed: false, error: '내용이 너무 짧음' };
+      return createCheck('content', label, { passed: false, message: '내용이 너무 짧음' });
     }
 
     // 중복 문장 체크 (간단한 버전)
-    const sentences = content.split(/[.!?]/).filter(s => s.trim().length > 10);
-    const uniqueSentences = new Set(sentences.map(s => s.trim()));
-    const duplicateRatio = (sentences.length - uniqueSentences.size) / sentences.length;
+    const sentences = content.split(/[.!?]/).map(s => s.trim()).filter(s => s.length > 10);
+    const uniqueSentences = new Set(sentences);
+    const duplicateRatio = sentences.length > 0 ? (sentences.length - uniqueSentences.size) / sentences.length : 0;
 
     if (duplicateRatio > 0.3) {
-      return { passed: false, error: '중복 문장 비율이 높음 (30% 초과)' };
+      const duplicates = [...new Set(sentences.filter((s, index) => sentences.indexOf(s) !== index))];
+      return createCheck('content', label, {
+        passed: false,
+        score: 1 - duplicateRatio,
+        message: '중복 문장 비율이 높음 (30% 초과)',
+        evidence: findEvidence(content, duplicates)
+      });
     }
 
     // 기본적인 문법/형식 체크
-    if (!content.includes('"') && !content.includes('"') && !content.includes('"')) {
+    if (!content.includes('"') && !content.includes('“') && !content.includes('”')) {
       if (content.split('\n').length < 5) {
-        return { passed: false, error: '대화나 문단 구분이 부족함' };
+        return createCheck('content', label, { passed: false, message: '대화나 문단 구분이 부족함' });
       }
     }
 
-    // 의미없는 반복 패턴 체크
+    return createCheck('content', label, { score: 1 - duplicateRatio, message: '컨텐츠 품질 검증 완료' });
+  }
+
+  // 의미없는 반복 단어 (경고만)
+  validateRepetition(result) {
+    const content = result.chapter.content;
     const words = content.split(/\s+/);
     const wordCounts = {};
     words.forEach(word => {
@@ -157,29 +248,132 @@ export class Validator {
     });
 
     const repeatedWords = Object.entries(wordCounts)
-      .filter(([word, count]) => count > Math.floor(words.length * 0.05)) // 5% 이상 반복
+      .filter(([_, count]) => count > Math.floor(words.length * 0.05)) // 5% 이상 반복
       .filter(([word]) => !['그녀', '그가', '것을', '때문', '있었', '했다'].includes(word));
 
-    if (repeatedWords.length > 0) {
-      console.log(`⚠️  반복되는 단어 주의: ${repeatedWords.map(([w, c]) => `${w}(${c})`).join(', ')}`);
+    if (repeatedWords.length === 0) {
+      return createCheck('repetition', '반복 단어');
     }
 
-    console.log('📝 컨텐츠 품질 검증 완료');
-    return { passed: true };
+    return createCheck('repetition', '반복 단어', {
+      passed: false,
+      severity: SEVERITY.WARN,
+      score: 1 - repeatedWords.length / Object.keys(wordCounts).length,
+      message: `반복되는 단어 주의: ${repeatedWords.map(([w, c]) => `${w}(${c})`).join(', ')}`,
+      evidence: findEvidence(content, repeatedWords.map(([word]) => word))
+    });
   }
 
-  // 추가: 완결 검증 (완결편 특별 검증)
-  validateCompletion(result) {
-    if (result.type !== 'completion') return { passed: true };
+  // 기존 챕터와 겹치는 문단/장면 (한 챕터에서 재활용한 분량이 기준 이상이면 실패, 그 아래는 경고)
+  validateOriginality(result, similarityIndex) {
+    const label = '중복 문단';
+    const { similarity, source, matches } = similarityIndex.findSimilar(result.chapter.content, {
+      exclude: [`${result.slug}-ch${result.chapter.number}`]
+    });
+
+    if (matches.length === 0) {
+      return createCheck('originality', label, { message: '기존 챕터와 겹치는 문단 없음' });
+    }
+
+    const percent = `${Math.round(similarity * 100)}%`;
+    const failed = similarity >= this.similarity.chapterThreshold;
+    return createCheck('originality', label, {
+      passed: false,
+      severity: failed ? SEVERITY.ERROR : SEVERITY.WARN,
+      score: 1 - similarity,
+      message: `${failed ? '기존 챕터 내용 재활용' : '기존 챕터와 겹치는 문단'}: ${source.novel} ${source.chapter}화와 ${percent} 일치 (구간 ${matches.length}개)`,
+      evidence: matches.slice(0, 5).map(({ start, end, text, similarity: ratio, source: origin }) => ({
+        start, end, text, similarity: ratio, source: origin
+      }))
+    });
+  }
+
+  // 레지스트리 캐릭터 (미등록 소설이면 결과의 characters)
+  getCharacters(result) {
+    const registered = this.characterValidator.registry.getCharacters(result.slug);
+    return registered.length > 0
+      ? registered
+      : Object.entries(result.characters || {}).map(([name, role]) => ({ name, role }));
+  }
+
+  // 연령 등급 (소설별 상한을 넘으면 실패)
+  validateContentRating(result) {
+    const label = '연령 등급';
+    const { rating, reasons } = classifyContent(result.chapter.content);
+    const ceiling = getRatingCeiling(this.config, result.slug);
+    const detail = reasons.map(reason => `${reason.label} ${reason.rating}: ${reason.terms.join(', ')}`).join(' / ');
+    const evidence = reasons.flatMap(reason => reason.evidence);
+
+    if (compareRatings(rating, ceiling) > 0) {
+      return createCheck('rating', label, {
+        passed: false,
+        score: 0,
+        message: `연령 등급 초과: ${rating} (상한 ${ceiling}) - ${detail}`,
+        evidence
+      });
+    }
+
+    return createCheck('rating', label, { message: `연령 등급 ${rating}${detail ? ` (${detail})` : ''}`, evidence });
+  }
 
+  // 관계별 말투(반말/존댓말)가 이전 챕터와 달라졌는지 (경고만)
+  validateSpeechRegister(result, speechProfile) {
+    const label = '말투 일관성';
+    const analysis = analyzeSpeech(result.chapter.content, this.getCharacters(result));
+    const flips = findRegisterFlips(speechProfile, analysis);
+
+    if (flips.length === 0) {
+      return createCheck('speech', label, {
+        message: `말투 확인: ${analysis.relationships.map(r => `${r.speaker}→${r.listener} ${r.register}`).join(', ') || '분석할 대화 없음'}`
+      });
+    }
+
+    return createCheck('speech', label, {
+      passed: false,
+      severity: SEVERITY.WARN,
+      score: 1 - flips.length / analysis.relationships.length,
+      message: `말투 변경 의심: ${flips.map(flip => `${flip.speaker}→${flip.listener} ${flip.from}(${flip.since}화)→${flip.to}`).join(', ')}`,
+      evidence: flips.flatMap(flip => flip.evidence.slice(0, 2)).map(({ start, end, text }) => ({ start, end, text }))
+    });
+  }
+
+  // 이전 챕터 마지막 장면(장소, 시간대, 인물 상태)과 첫 장면의 모순
+  validateContinuity(result, previousChapter, storyState = null) {
+    const label = '챕터 연속성';
+    const { closing, issues } = checkContinuity(previousChapter, result.chapter.content, this.getCharacters(result), storyState);
+
+    if (issues.length === 0) {
+      return createCheck('continuity', label, {
+        message: `연속성 확인: ${previousChapter.number}화 마지막 장면 ${[closing.location, closing.timeOfDay].filter(Boolean).join(', ') || '정보 없음'}`
+      });
+    }
+
+    const hasError = issues.some(issue => issue.severity === SEVERITY.ERROR);
+    return createCheck('continuity', label, {
+      passed: false,
+      severity: hasError ? SEVERITY.ERROR : SEVERITY.WARN,
+      score: hasError ? 0 : 0.5,
+      message: `연속성 오류: ${issues.map(issue => issue.message).join(' / ')}`,
+      evidence: issues.filter(issue => issue.evidence).map(issue => {
+        const start = result.chapter.content.indexOf(issue.evidence);
+        return { start, end: start + issue.evidence.length, text: issue.evidence };
+      })
+    });
+  }
+
+  // 완결 검증 (완결편 특별 검증)
+  validateCompletion(result) {
     const content = result.chapter.content;
     const completionKeywords = ['완결', '끝', '마지막', '종료', '사랑해', '결혼', '행복'];
-    const hasCompletionElement = completionKeywords.some(keyword => content.includes(keyword));
+    const found = completionKeywords.filter(keyword => content.includes(keyword));
 
-    if (!hasCompletionElement) {
-      return { passed: false, error: '완결다운 요소가 부족함' };
+    if (found.length === 0) {
+      return createCheck('completion', '완결 요소', { passed: false, message: '완결다운 요소가 부족함' });
     }
 
-    return { passed: true };
+    return createCheck('completion', '완결 요소', {
+      message: `완결 요소: ${found.join(', ')}`,
+      evidence: findEvidence(content, found)
+    });
   }
-}
\ No newline at end of file
+}
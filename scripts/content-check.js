@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/**
+ * 🔍 콘텐츠 무결성 검사
+ *
+ * src/content/novels, src/content/chapters 전체를 훑어 Astro 빌드를 깨거나
+ * 페이지를 조용히 누락시키는 문제를 찾는다.
+ *
+ *   pnpm content:check          # 보고만
+ *   pnpm content:check --fix    # 자동으로 고칠 수 있는 항목 수정
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { parseFrontmatter, updateFrontmatter } from '../ai-system/frontmatter.js';
+import { novelSchema, chapterSchema } from '../src/content/schemas.js';
+import { isPublished } from '../src/content/publication.js';
+import { createLogger } from '../ai-system/logger.js';
+
+const CHAPTER_FILE = /^(.+)-ch(\d+)\.md$/;
+const BACKUP_FILE = /\.backup(\.|$)/;
+
+export const ISSUE_LABELS = {
+  schema: '스키마 오류',
+  orphan: '소설 없는 챕터',
+  gap: '챕터 누락',
+  duplicate: '챕터 번호 중복',
+  backup: '백업 파일',
+  total_chapters: 'totalChapters 불일치'
+};
+
+function readEntry(dir, file) {
+  const path = join(dir, file);
+
+  try {
+    return { file, path, ...parseFrontmatter(readFileSync(path, 'utf-8')) };
+  } catch (error) {
+    return { file, path, data: null, error: error.message };
+  }
+}
+
+function schemaIssues(entry, schema, collection) {
+  const file = `${collection}/${entry.file}`;
+
+  if (!entry.data) {
+    return [{ type: 'schema', file, message: `YAML 파싱 실패: ${entry.error}` }];
+  }
+
+  const parsed = schema.safeParse(entry.data);
+  if (parsed.success) return [];
+
+  return parsed.error.issues.map(issue => ({
+    type: 'schema',
+    file,
+    message: `${issue.path.join('.') || '(root)'}: ${issue.message}`
+  }));
+}
+
+/**
+ * 콘텐츠 컬렉션 검사 - 발견한 문제 목록 반환
+ * 자동 수정 가능한 문제에는 fix 정보가 붙는다.
+ */
+export function checkContent(rootDir = process.cwd()) {
+  const novelsDir = join(rootDir, 'src', 'content', 'novels');
+  const chaptersDir = join(rootDir, 'src', 'content', 'chapters');
+  const listFiles = dir => (existsSync(dir) ? readdirSync(dir).sort() : []);
+  const issues = [];
+
+  // 1. 백업 파일 (Astro는 .backup.md도 챕터로 읽음)
+  for (const [collection, dir] of [['novels', novelsDir], ['chapters', chaptersDir]]) {
+    for (const file of listFiles(dir).filter(name => BACKUP_FILE.test(name))) {
+      issues.push({
+        type: 'backup',
+        file: `${collection}/${file}`,
+        message: '콘텐츠 디렉토리에 남은 백업 파일',
+        fix: { action: 'move', from: join(dir, file), to: join(rootDir, 'backup', 'content', collection, file) }
+      });
+    }
+  }
+
+  const isContentFile = name => name.endsWith('.md') && !BACKUP_FILE.test(name);
+  const novels = listFiles(novelsDir).filter(isContentFile).map(file => readEntry(novelsDir, file));
+  const chapters = listFiles(chaptersDir).filter(isContentFile).map(file => readEntry(chaptersDir, file));
+
+  // 2. 스키마 검사
+  novels.forEach(entry => issues.push(...schemaIssues(entry, novelSchema, 'novels')));
+  chapters.forEach(entry => issues.push(...schemaIssues(entry, chapterSchema, 'chapters')));
+
+  // 3. 챕터를 소설별로 묶고 소설 없는 챕터 찾기
+  const novelSlugs = new Set(novels.map(entry => entry.file.replace(/\.md$/, '')));
+  const chaptersByNovel = new Map();
+
+  for (const entry of chapters) {
+    const match = entry.file.match(CHAPTER_FILE);
+    const slug = entry.data?.novel || match?.[1];
+    const number = entry.data?.chapterNumber ?? (match ? parseInt(match[2]) : null);
+
+    if (!slug || !novelSlugs.has(slug)) {
+      issues.push({
+        type: 'orphan',
+        file: `chapters/${entry.file}`,
+        message: `novel '${slug}'에 해당하는 소설 파일이 없음`
+      });
+      continue;
+    }
+
+    if (!chaptersByNovel.has(slug)) chaptersByNovel.set(slug, []);
+    chaptersByNovel.get(slug).push({ file: entry.file, number, published: isPublished(entry.data?.publicationDate) });
+  }
+
+  // 4. 소설별 챕터 번호 연속성, totalChapters 일치 (totalChapters는 공개된 챕터만, 예약 공개 챕터 제외)
+  for (const novel of novels) {
+    const slug = novel.file.replace(/\.md$/, '');
+    const novelChapters = chaptersByNovel.get(slug) || [];
+    const numbers = novelChapters.map(chapter => chapter.number).filter(Number.isInteger);
+    const maxNumber = numbers.length > 0 ? Math.max(...numbers) : 0;
+
+    const missing = [];
+    for (let number = 1; number <= maxNumber; number++) {
+      if (!numbers.includes(number)) missing.push(number);
+    }
+    if (missing.length > 0) {
+      issues.push({ type: 'gap', file: `novels/${novel.file}`, message: `${missing.join(', ')}화 파일 없음` });
+    }
+
+    const duplicated = [...new Set(numbers.filter((number, index) => numbers.indexOf(number) !== index))];
+    duplicated.forEach(number => issues.push({
+      type: 'duplicate',
+      file: `novels/${novel.file}`,
+      message: `${number}화: ${novelChapters.filter(chapter => chapter.number === number).map(chapter => chapter.file).join(', ')}`
+    }));
+
+    const totalChapters = novel.data?.totalChapters;
+    const published = novelChapters.filter(chapter => chapter.published).length;
+    const scheduled = novelChapters.length - published;
+    if (novel.data && totalChapters !== published) {
+      issues.push({
+        type: 'total_chapters',
+        file: `novels/${novel.file}`,
+        message: `totalChapters ${totalChapters ?? '(없음)'} / 실제 챕터 파일 ${published}개${scheduled > 0 ? ` (예약 공개 ${scheduled}개 제외)` : ''}`,
+        fix: { action: 'frontmatter', path: novel.path, updates: { totalChapters: published } }
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * 자동 수정 가능한 문제 수정 (백업 파일 이동, totalChapters 갱신)
+ */
+export function fixContent(issues) {
+  const fixed = [];
+
+  for (const issue of issues.filter(issue => issue.fix)) {
+    const { fix } = issue;
+
+    if (fix.action === 'move') {
+      mkdirSync(dirname(fix.to), { recursive: true });
+      renameSync(fix.from, fix.to);
+    } else if (fix.action === 'frontmatter') {
+      writeFileSync(fix.path, updateFrontmatter(readFileSync(fix.path, 'utf-8'), fix.updates));
+    }
+
+    fixed.push(issue);
+  }
+
+  return fixed;
+}
+
+function printIssues(issues, logger) {
+  for (const [type, label] of Object.entries(ISSUE_LABELS)) {
+    const group = issues.filter(issue => issue.type === type);
+    if (group.length === 0) continue;
+
+    logger.info(`\n❌ ${label} (${group.length})`);
+    group.forEach(issue => logger.info(`  - ${issue.file}: ${issue.message}${issue.fix ? ' [--fix 가능]' : ''}`));
+  }
+}
+
+export async function main(argv = process.argv, rootDir = process.cwd(), logger = createLogger()) {
+  logger.info('🔍 콘텐츠 무결성 검사 중...');
+
+  let issues = checkContent(rootDir);
+
+  if (argv.includes('--fix') && issues.some(issue => issue.fix)) {
+    const fixed = fixContent(issues);
+    logger.info(`\n🔧 ${fixed.length}개 항목 수정`);
+    fixed.forEach(issue => logger.info(`  - ${issue.file}: ${ISSUE_LABELS[issue.type]}`));
+    issues = checkContent(rootDir);
+  }
+
+  if (issues.length === 0) {
+    logger.success('✅ 문제 없음');
+    return issues;
+  }
+
+  printIssues(issues, logger);
+  logger.info(`\n총 ${issues.length}개 문제${issues.some(issue => issue.fix) ? ' (자동 수정: --fix)' : ''}`);
+  process.exitCode = 1;
+  return issues;
+}
+
+// 실행
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    createLogger().error(`💥 실행 실패: ${error.message}`, { error });
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * ✍️ 챕터 마크다운 정규화
+ *
+ * 기존 챕터 본문을 NOVEL_MARKDOWN_FORMAT.md 형식으로 다시 쓴다 (프론트매터는 유지).
+ *
+ *   pnpm content:format                  # 전체 챕터 변환
+ *   pnpm content:format ice-heart-touch  # 특정 소설만
+ *   pnpm content:format --check          # 바뀔 파일만 보고 (파일은 그대로)
+ */
+
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { parseFrontmatter, stringifyFrontmatter } from '../ai-system/frontmatter.js';
+import { formatChapterContent } from '../ai-system/markdown-format.js';
+import { createLogger } from '../ai-system/logger.js';
+import { CharacterRegistry } from '../ai-system/character-registry.js';
+
+const CHAPTER_FILE = /^(.+)-ch(\d+)\.md$/;
+const BACKUP_FILE = /\.backup(\.|$)/;
+
+/**
+ * 챕터 파일 정규화 - 내용이 바뀌는 파일 목록 반환
+ * options.slugs가 있으면 해당 소설만, options.write가 false면 파일은 건드리지 않음
+ */
+export function formatChapters(rootDir = process.cwd(), options = {}) {
+  const chaptersDir = join(rootDir, 'src', 'content', 'chapters');
+  const registry = new CharacterRegistry(rootDir);
+  const slugs = options.slugs || [];
+  const changed = [];
+
+  if (!existsSync(chaptersDir)) return changed;
+
+  for (const file of readdirSync(chaptersDir).sort()) {
+    const match = file.match(CHAPTER_FILE);
+    if (!match || BACKUP_FILE.test(file)) continue;
+    if (slugs.length > 0 && !slugs.includes(match[1])) continue;
+
+    const path = join(chaptersDir, file);
+    const original = readFileSync(path, 'utf-8');
+    const { data, content } = parseFrontmatter(original);
+    const formatted = formatChapterContent(content, { names: registry.getKnownNames(data.novel || match[1]) });
+
+    if (content.trim() === formatted) continue;
+
+    changed.push(file);
+    if (options.write !== false) {
+      writeFileSync(path, stringifyFrontmatter(data, `\n${formatted}\n`));
+    }
+  }
+
+  return changed;
+}
+
+export async function main(argv = process.argv, rootDir = process.cwd(), logger = createLogger()) {
+  const args = argv.slice(2);
+  const check = args.includes('--check');
+  const slugs = args.filter(arg => !arg.startsWith('--'));
+
+  const changed = formatChapters(rootDir, { slugs, write: !check });
+
+  if (changed.length === 0) {
+    logger.success('✅ 모든 챕터가 형식에 맞음');
+    return changed;
+  }
+
+  logger.info(check ? `❌ 형식에 맞지 않는 챕터 ${changed.length}개` : `✍️ ${changed.length}개 챕터 정규화`);
+  changed.forEach(file => logger.info(`  - ${file}`));
+  if (check) process.exitCode = 1;
+  return changed;
+}
+
+// 실행
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    createLogger().error(`💥 실행 실패: ${error.message}`, { error });
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * 🗂️ 자동 연재 실행 기록 조회
+ *
+ * data/run-history.jsonl을 소설, 날짜, 결과로 걸러서 보여준다.
+ * 그날 기록이 없으면 직전 기록의 다음 연재 예정 시각과 휴재 기간으로 연재가 없었던 이유를 보여준다.
+ *
+ *   pnpm ai:history                                   # 전체
+ *   pnpm ai:history ice-heart-touch --date=2025-09-02 # 특정 소설, 특정 날짜 (설정 시간대 기준)
+ *   pnpm ai:history --outcome=rejected                # 결과별 (success, partial, rejected, error, budget)
+ *   pnpm ai:history --outcome=error --stack           # 오류 스택까지
+ */
+
+import { loadConfig } from '../ai-system/config.js';
+import { RunHistory } from '../ai-system/run-history.js';
+import { createLogger } from '../ai-system/logger.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function parseOption(args, name) {
+  return args.find(arg => arg.startsWith(`--${name}=`))?.slice(`--${name}=`.length);
+}
+
+function formatAction(action, formatTime) {
+  const parts = [`시도 ${action.attempts ?? 0}회`];
+  if (action.report) parts.push(`점수 ${action.report.score}`);
+  if (action.releaseAt) parts.push(`예약 ${formatTime(action.releaseAt)}`);
+  if (action.durationMs != null) parts.push(`${(action.durationMs / 1000).toFixed(1)}초`);
+  return `  - ${action.action} ${action.novel || '(신작)'}${action.chapter ? ` ${action.chapter}화` : ''}: ${action.outcome} (${parts.join(', ')})`;
+}
+
+function formatNovel(novel, formatTime) {
+  if (novel.status !== '연재 중') return `  · ${novel.slug}: ${novel.status} (${novel.chapterCount}화)`;
+  if (novel.hiatus) return `  · ${novel.slug}: 휴재 ${novel.hiatus.from} ~ ${novel.hiatus.to || ''}${novel.hiatus.reason ? ` (${novel.hiatus.reason})` : ''}`;
+  return `  · ${novel.slug}: ${novel.chapterCount}화, 다음 연재 ${novel.nextReleaseAt ? formatTime(novel.nextReleaseAt) : '바로'}` +
+    `${novel.scheduled > 0 ? `, 예약 ${novel.scheduled}화` : ''}`;
+}
+
+export async function main(argv = process.argv, rootDir = process.cwd(), logger = null) {
+  const args = argv.slice(2);
+  const date = parseOption(args, 'date');
+  const outcome = parseOption(args, 'outcome');
+  const showStack = args.includes('--stack');
+  const novel = args.find(arg => !arg.startsWith('--')) || null;
+
+  const config = loadConfig(rootDir);
+  logger = logger || createLogger(config.logging);
+  const offset = config.schedule.utcOffsetHours * HOUR;
+  const formatTime = time => new Date(new Date(time).getTime() + offset).toISOString().slice(0, 16).replace('T', ' ');
+  const history = new RunHistory(rootDir, config);
+  const entries = history.find({ novel, date, outcome });
+
+  if (entries.length === 0) {
+    logger.info(`📭 ${[novel, date, outcome].filter(Boolean).join(' / ') || '전체'} 실행 기록 없음`);
+
+    const previous = date && !outcome ? history.findLastBefore(date, novel) : null;
+    if (previous) {
+      logger.info(`\n🕰️  직전 기록 ${formatTime(previous.startedAt)} 기준 연재 상태:`);
+      previous.novels.forEach(state => logger.info(formatNovel(state, formatTime)));
+    }
+    return entries;
+  }
+
+  for (const entry of entries) {
+    const notes = [`${(entry.durationMs / 1000).toFixed(1)}초`];
+    if (entry.now) notes.push(`기준 시각 ${formatTime(entry.now)}`);
+    if (entry.budget?.level !== 'ok' && entry.budget?.reason) notes.push(`예산 ${entry.budget.reason}`);
+
+    logger.info(`\n🗓️  ${formatTime(entry.startedAt)} ${entry.outcome} (${notes.join(', ')})`);
+    entry.released.filter(release => !novel || release.slug === novel)
+      .forEach(release => logger.info(`  📅 예약 공개: ${release.slug} ${release.chapterCount}화까지`));
+
+    for (const action of entry.actions) {
+      logger.info(formatAction(action, formatTime));
+      if (action.report && !action.report.passed) logger.info(`    ❌ ${action.report.errors.join(' / ')}`);
+      if (action.error) logger.info(`    💥 ${showStack ? action.error.stack : action.error.message}`);
+    }
+    if (entry.error) logger.info(`  💥 ${showStack ? entry.error.stack : entry.error.message}`);
+    entry.novels.forEach(state => logger.info(formatNovel(state, formatTime)));
+  }
+
+  return entries;
+}
+
+// 실행
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    createLogger().error(`💥 실행 실패: ${error.message}`, { error });
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * 💸 모델 사용량/비용 리포트
+ *
+ * data/usage-ledger.jsonl을 소설별, 챕터별로 집계한다.
+ *
+ *   pnpm ai:usage                        # 전체
+ *   pnpm ai:usage ice-heart-touch        # 특정 소설만
+ *   pnpm ai:usage --month=2025-09        # 특정 달만 (설정 시간대 기준)
+ */
+
+import { loadConfig } from '../ai-system/config.js';
+import { UsageLedger, getBudgetStatus, summarizeUsage } from '../ai-system/usage.js';
+import { createLogger } from '../ai-system/logger.js';
+
+const formatCost = cost => `$${cost.toFixed(4)}`;
+const formatTokens = sum => `입력 ${sum.inputTokens.toLocaleString()} / 출력 ${sum.outputTokens.toLocaleString()} 토큰`;
+
+function formatSummary(sum) {
+  const notes = [];
+  if (sum.estimatedCalls > 0) notes.push(`추정 ${sum.estimatedCalls}회`);
+  if (sum.unpriced > 0) notes.push(`가격 미설정 ${sum.unpriced}회`);
+  return `${sum.calls}회, ${formatTokens(sum)}, ${formatCost(sum.cost)}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+}
+
+/**
+ * 장부 항목 필터 (options.slugs: 소설, options.month: YYYY-MM)
+ */
+export function filterEntries(entries, options = {}, offsetHours = 9) {
+  const slugs = options.slugs || [];
+  const localMonth = time => new Date(new Date(time).getTime() + offsetHours * 60 * 60 * 1000).toISOString().slice(0, 7);
+
+  return entries.filter(entry =>
+    (slugs.length === 0 || slugs.includes(entry.novel)) &&
+    (!options.month || localMonth(entry.at) === options.month)
+  );
+}
+
+export async function main(argv = process.argv, rootDir = process.cwd(), logger = null) {
+  const args = argv.slice(2);
+  const month = args.find(arg => arg.startsWith('--month='))?.slice('--month='.length);
+  const slugs = args.filter(arg => !arg.startsWith('--'));
+
+  const config = loadConfig(rootDir);
+  logger = logger || createLogger(config.logging);
+  const ledger = new UsageLedger(rootDir, config);
+  const entries = filterEntries(ledger.load(), { slugs, month }, config.schedule.utcOffsetHours);
+
+  if (entries.length === 0) {
+    logger.info('📭 기록된 모델 호출 없음');
+    return summarizeUsage(entries);
+  }
+
+  const summary = summarizeUsage(entries);
+  logger.info(`💸 모델 사용량${month ? ` (${month})` : ''}: ${formatSummary(summary.total)}`);
+
+  for (const novel of summary.novels) {
+    logger.info(`\n📚 ${novel.novel}: ${formatSummary(novel)}`);
+    novel.chapters.forEach(chapter => logger.info(`  - ${chapter.chapter != null ? `${chapter.chapter}화` : '기타'}: ${formatSummary(chapter)}`));
+  }
+
+  const budget = getBudgetStatus(config.usage, ledger.getSpent());
+  const { spent } = budget;
+  logger.info(`\n📅 오늘 ${formatCost(spent.daily)}${config.usage.dailyBudget != null ? ` / $${config.usage.dailyBudget}` : ''}, ` +
+    `이번 달 ${formatCost(spent.monthly)}${config.usage.monthlyBudget != null ? ` / $${config.usage.monthlyBudget}` : ''}` +
+    `${budget.level === 'ok' ? '' : budget.level === 'exhausted' ? ' - 예산 소진' : ' - 예산 절약 모드'}`);
+
+  return summary;
+}
+
+// 실행
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    createLogger().error(`💥 실행 실패: ${error.message}`, { error });
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,14 @@
+/**
+ * 챕터 공개 기준 - publicationDate가 미래인 예약 공개 챕터는 그 시각이 지나야 노출
+ *
+ * Astro 페이지와 자동 연재 시스템(예약 공개 반영)이 같은 기준을 쓰도록 분리
+ */
+
+export function isPublished(publicationDate, now = new Date()) {
+  return !publicationDate || new Date(publicationDate) <= now;
+}
+
+// 컬렉션 항목(챕터 또는 { chapter } 묶음) 중 공개된 것만
+export function filterPublished(entries, now = new Date()) {
+  return entries.filter(entry => isPublished((entry.chapter || entry).data.publicationDate, now));
+}
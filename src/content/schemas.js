@@ -0,0 +1,41 @@
+/**
+ * 콘텐츠 컬렉션 zod 스키마
+ *
+ * Astro 컬렉션 설정(config.ts)과 콘텐츠 검사 스크립트가 함께 사용하도록 분리
+ */
+
+import { z } from 'astro/zod';
+
+// 트렌드/클리셰 컬렉션 스키마
+export const tropeSchema = z.object({
+  name: z.string(),
+  slug: z.string().optional(),
+  description: z.string(),
+});
+
+// 소설 컬렉션 스키마
+export const novelSchema = z.object({
+  title: z.string().min(5, "제목은 최소 5자 이상이어야 합니다"),
+  slug: z.string().min(3, "slug는 최소 3자 이상이어야 합니다").regex(/^[a-z0-9-]+$/, "slug는 영문 소문자, 숫자, 하이픈만 사용 가능합니다").optional(),
+  author: z.string().default('Gemini AI'),
+  coverImage: z.string().optional(),
+  summary: z.string().min(50, "줄거리는 최소 50자 이상이어야 합니다").refine(val => !val.includes("자동 생성"), "줄거리에 '자동 생성' 문구가 포함될 수 없습니다"),
+  status: z.enum(['연재 중', '완결', '휴재']).default('연재 중'),
+  tropes: z.array(z.string()).min(2, "최소 2개 이상의 트로프가 필요합니다").refine(val => !(val.length === 2 && val.includes("로맨스") && val.includes("판타지")), "트로프가 너무 일반적입니다. 구체적인 트로프를 사용해주세요"), // tropes 컬렉션과의 관계
+  publishedDate: z.coerce.date().default(() => new Date()),
+  totalChapters: z.number().default(0),
+  rating: z.number().min(0).max(5).optional().default(0), // 평점 필드 추가
+});
+
+// 챕터 컬렉션 스키마
+export const chapterSchema = z.object({
+  title: z.string(),
+  novel: z.string(), // 부모 소설의 slug
+  chapterNumber: z.number(),
+  publicationDate: z.coerce.date().default(() => new Date()),
+  wordCount: z.number().optional(),
+  summary: z.string().optional(),
+  promptVersion: z.string().optional(), // 생성에 쓰인 프롬프트 템플릿 (예: romance-fantasy/continue.v1)
+  contentRating: z.enum(['전체', '12+', '15+', '19+']).optional(), // ai-system/content-rating.js가 본문으로 산정한 연령 등급
+  rating: z.number().min(0).max(5).optional().default(0), // 평점 필드 추가
+});
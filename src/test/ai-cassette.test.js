@@ -0,0 +1,126 @@
+/**
+ * 🧪 카세트 녹화/재생 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CassetteProvider, hashPrompt, resolveCassetteOptions } from '../../ai-system/cassette.js';
+import { FixtureProvider, createProvider } from '../../ai-system/providers.js';
+import { RoFanAI } from '../../ai-system/index.js';
+import { Storage } from '../../ai-system/storage.js';
+
+const novelResponse = JSON.stringify({
+  novel: { title: '얼음 정원의 계약', slug: 'ice-garden-contract', summary: '계약으로 시작된 사랑' },
+  characters: [
+    { name: '세린', role: '주인공', description: '냉철함, 정원 마법' },
+    { name: '이안', role: '상대역', description: '다정함, 얼음 마법' }
+  ],
+  chapter: { title: '1화: 계약의 밤', content: Array(30).fill('세린 이안').join('\n') }
+});
+
+function createProject(rootDir, config) {
+  mkdirSync(join(rootDir, 'ai-system'), { recursive: true });
+  mkdirSync(join(rootDir, 'src', 'content', 'novels'), { recursive: true });
+  mkdirSync(join(rootDir, 'src', 'content', 'chapters'), { recursive: true });
+  writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify(config));
+}
+
+describe('CassetteProvider', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ro-fi-cassette-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('녹화한 응답을 프롬프트 해시로 재생해야 함', async () => {
+    const file = join(dir, 'cassette.json');
+    const inner = new FixtureProvider({ fixtures: [{ match: '', response: '녹화된 응답' }] });
+    const recorder = new CassetteProvider(inner, { mode: 'record', file });
+
+    await recorder.generateContent('프롬프트 A');
+
+    const saved = JSON.parse(readFileSync(file, 'utf-8'));
+    expect(saved.entries[hashPrompt('프롬프트 A')]).toMatchObject({ prompt: '프롬프트 A', response: '녹화된 응답' });
+
+    const player = new CassetteProvider(null, { mode: 'replay', file });
+    const replayed = await player.generateContent('프롬프트 A');
+    expect(replayed.response.text()).toBe('녹화된 응답');
+  });
+
+  it('재생 모드에서 모르는 프롬프트는 실패해야 함', async () => {
+    const file = join(dir, 'cassette.json');
+    writeFileSync(file, JSON.stringify({ version: 1, entries: {} }));
+    const player = new CassetteProvider(null, { mode: 'replay', file });
+
+    await expect(player.generateContent('처음 보는 프롬프트')).rejects.toThrow('카세트에 없는 프롬프트');
+  });
+
+  it('환경변수가 설정 파일보다 우선해야 함', () => {
+    const options = resolveCassetteOptions(
+      { cassette: { mode: 'record', file: 'a.json' } },
+      { AI_CASSETTE: 'replay', AI_CASSETTE_FILE: 'b.json' }
+    );
+
+    expect(options).toEqual({ mode: 'replay', file: 'b.json' });
+    expect(() => resolveCassetteOptions({ cassette: { mode: 'live' } }, {})).toThrow('알 수 없는 카세트 모드');
+  });
+
+  it('재생 모드는 API 키 없이 프로바이더를 만들어야 함', () => {
+    const file = join(dir, 'cassette.json');
+    writeFileSync(file, JSON.stringify({ version: 1, entries: {} }));
+
+    const provider = createProvider({ provider: { type: 'openai' }, cassette: { mode: 'replay', file } });
+
+    expect(provider).toBeInstanceOf(CassetteProvider);
+  });
+});
+
+describe('RoFanAI 카세트 실행', () => {
+  let recordDir;
+  let replayDir;
+
+  beforeEach(() => {
+    recordDir = mkdtempSync(join(tmpdir(), 'ro-fi-record-'));
+    replayDir = mkdtempSync(join(tmpdir(), 'ro-fi-replay-'));
+    vi.spyOn(Storage.prototype, 'gitCommit').mockResolvedValue();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(recordDir, { recursive: true, force: true });
+    rmSync(replayDir, { recursive: true, force: true });
+  });
+
+  it('녹화한 카세트로 run()을 오프라인에서 그대로 재현해야 함', async () => {
+    const cassetteFile = join(recordDir, 'cassette.json');
+    const baseConfig = {
+      maxActiveNovels: 3,
+      chapterLength: { min: 100, target: 300, max: 5000 },
+      completionChapter: 15,
+      tropes: ['회귀', '계약결혼', '마법학원', '빙의'],
+      randomSeed: 42
+    };
+
+    createProject(recordDir, {
+      ...baseConfig,
+      provider: { type: 'fixture', fixtures: [{ match: '트로프', response: novelResponse }] },
+      cassette: { mode: 'record', file: cassetteFile }
+    });
+    await new RoFanAI({ rootDir: recordDir }).run();
+
+    createProject(replayDir, { ...baseConfig, cassette: { mode: 'replay', file: cassetteFile } });
+    await new RoFanAI({ rootDir: replayDir }).run();
+
+    const chapterPath = join('src', 'content', 'chapters', 'ice-garden-contract-ch1.md');
+    expect(existsSync(join(replayDir, chapterPath))).toBe(true);
+
+    const state = JSON.parse(readFileSync(join(replayDir, 'ai-system', 'state.json'), 'utf-8'));
+    expect(state.novels['ice-garden-contract'].title).toBe('얼음 정원의 계약');
+  });
+});
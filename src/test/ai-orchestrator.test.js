@@ -0,0 +1,118 @@
+/**
+ * 🧪 RoFanAI 통합 오케스트레이터 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { existsSync, mkdtempSync, mkdirSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RoFanAI } from '../../ai-system/index.js';
+import { loadConfig, DEFAULT_CONFIG } from '../../ai-system/config.js';
+
+function writeNovel(rootDir, slug, status, chapters) {
+  writeFileSync(
+    join(rootDir, 'src', 'content', 'novels', `${slug}.md`),
+    `---\ntitle: ${slug} 제목\nstatus: ${status}\npublishedDate: 2025-08-01\n---\n`
+  );
+  for (let i = 1; i <= chapters; i++) {
+    writeFileSync(
+      join(rootDir, 'src', 'content', 'chapters', `${slug}-ch${i}.md`),
+      `---\ntitle: '${i}화'\nnovel: ${slug}\nchapterNumber: ${i}\n---\n본문`
+    );
+  }
+}
+
+describe('RoFanAI 오케스트레이터', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-orchestrator-'));
+    mkdirSync(join(rootDir, 'ai-system'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'novels'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'chapters'), { recursive: true });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('설정 파일 값을 기본값과 병합해야 함', () => {
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({ chapterLength: { min: 100 } }));
+
+    const config = loadConfig(rootDir);
+
+    expect(config.chapterLength).toEqual({ ...DEFAULT_CONFIG.chapterLength, min: 100 });
+    expect(config.minUpdateIntervalHours).toBe(24);
+  });
+
+  it('콘텐츠 파일을 기준으로 state를 동기화해야 함', async () => {
+    writeNovel(rootDir, 'time-guardian-fate-thread', '연재 중', 4);
+    writeNovel(rootDir, 'finished-novel', '완결', 2);
+    writeFileSync(join(rootDir, 'src', 'content', 'character-registry.json'), JSON.stringify({
+      version: 1,
+      novels: {
+        'time-guardian-fate-thread': {
+          characters: [{ name: '레오나', role: '주인공' }, { name: '카엘', role: '상대역' }],
+          blacklist: []
+        }
+      }
+    }));
+    const ai = new RoFanAI({ rootDir });
+    ai.state.novels['ghost-novel'] = { title: '유령', status: '연재 중', chapterCount: 9 };
+
+    await ai.syncState();
+
+    expect(Object.keys(ai.state.novels).sort()).toEqual(['finished-novel', 'time-guardian-fate-thread']);
+    expect(ai.state.novels['time-guardian-fate-thread']).toMatchObject({
+      chapterCount: 4,
+      status: '연재 중',
+      characters: { 레오나: '주인공', 카엘: '상대역' }
+    });
+  });
+
+  it('완결 > 신작 > 연재 순서로 결정하고 최근 연재한 소설은 건너뛰어야 함', () => {
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({ maxActiveNovels: 2, completionChapter: 10 }));
+    const ai = new RoFanAI({ rootDir });
+    const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+    ai.state.novels = {
+      'old-novel': { status: '연재 중', chapterCount: 3, lastUpdate: hoursAgo(48) },
+      'fresh-novel': { status: '연재 중', chapterCount: 12, lastUpdate: hoursAgo(2) }
+    };
+    expect(ai.decideNextAction()).toMatchObject({ action: 'continue', slug: 'old-novel' });
+
+    ai.state.novels['fresh-novel'].lastUpdate = hoursAgo(30);
+    expect(ai.decideNextAction()).toMatchObject({ action: 'complete', slug: 'fresh-novel' });
+
+    ai.state.novels['fresh-novel'].status = '완결';
+    expect(ai.decideNextAction()).toMatchObject({ action: 'new_novel' });
+    expect(ai.decideNextAction(new Set(['new_novel', 'old-novel']))).toEqual({ action: 'none' });
+  });
+
+  it('드라이런 모드는 검증까지만 하고 저장하지 않아야 함', async () => {
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({
+      maxActiveNovels: 1,
+      chapterLength: { min: 100, target: 300, max: 5000 },
+      provider: {
+        type: 'fixture',
+        fixtures: [{
+          match: '트로프',
+          response: JSON.stringify({
+            novel: { title: '얼음 정원의 계약', slug: 'ice-garden-contract', summary: '계약으로 시작된 사랑' },
+            characters: [{ name: '세린', role: '주인공' }, { name: '이안', role: '상대역' }],
+            chapter: { title: '1화', content: Array(30).fill('세린 이안').join('\n') }
+          })
+        }]
+      }
+    }));
+    const ai = new RoFanAI({ rootDir, dryRun: true });
+
+    const outcomes = await ai.run();
+
+    expect(outcomes.map(o => o.outcome)).toEqual(['dry_run']);
+    expect(readdirSync(join(rootDir, 'src', 'content', 'chapters'))).toEqual([]);
+    expect(ai.state.totalChaptersGenerated).toBe(0);
+    expect(existsSync(join(rootDir, 'data', 'similarity-index.json'))).toBe(false);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * 🧪 모델 출력 JSON 계약 테스트
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { NOVEL_OUTPUT, CHAPTER_OUTPUT, OutputValidationError, parseOutput } from '../../ai-system/schemas.js';
+import { FixtureProvider } from '../../ai-system/providers.js';
+import { Generator } from '../../ai-system/generator.js';
+import { DEFAULT_CONFIG } from '../../ai-system/config.js';
+
+const novelOutput = {
+  novel: { title: '얼음 정원의 계약', slug: 'ice-garden-contract', summary: '계약으로 시작된 사랑' },
+  characters: [
+    { name: '세린', role: '주인공', aliases: ['정원의 마녀'] },
+    { name: '이안', role: '상대역' }
+  ],
+  chapter: { title: '1화: 계약의 밤', content: '세린은 얼음 정원에서 이안을 만났다.' }
+};
+
+function catchError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('오류가 발생하지 않음');
+}
+
+describe('parseOutput', () => {
+  it('코드 블록으로 감싼 JSON도 파싱해야 함', () => {
+    const content = `응답입니다.\n\`\`\`json\n${JSON.stringify(novelOutput)}\n\`\`\``;
+
+    expect(parseOutput(content, NOVEL_OUTPUT)).toEqual(novelOutput);
+  });
+
+  it('누락된 필드 이름을 오류에 담아야 함', () => {
+    const error = catchError(() => parseOutput(JSON.stringify({ chapter: { title: '2화' } }), CHAPTER_OUTPUT));
+
+    expect(error).toBeInstanceOf(OutputValidationError);
+    expect(error.field).toBe('chapter.content');
+    expect(error.message).toContain('필수 항목 누락');
+  });
+
+  it('잘못된 slug를 거부해야 함', () => {
+    const output = { ...novelOutput, novel: { ...novelOutput.novel, slug: undefined } };
+    const error = catchError(() => parseOutput(JSON.stringify(output), NOVEL_OUTPUT));
+
+    expect(error.field).toBe('novel.slug');
+
+    const invalid = { ...novelOutput, novel: { ...novelOutput.novel, slug: '얼음 정원' } };
+    expect(catchError(() => parseOutput(JSON.stringify(invalid), NOVEL_OUTPUT)).field).toBe('novel.slug');
+  });
+
+  it('주인공과 상대역이 모두 있어야 함', () => {
+    const output = { ...novelOutput, characters: [novelOutput.characters[0]] };
+
+    expect(catchError(() => parseOutput(JSON.stringify(output), NOVEL_OUTPUT)).field).toBe('characters');
+  });
+
+  it('JSON이 아니면 (root) 오류여야 함', () => {
+    const error = catchError(() => parseOutput('=== CHAPTER_2 ===\n제목: 2화', CHAPTER_OUTPUT));
+
+    expect(error).toBeInstanceOf(OutputValidationError);
+    expect(error.field).toBe('(root)');
+  });
+});
+
+describe('Generator 구조화 출력', () => {
+  const novel = { title: '얼음 정원의 계약', chapterCount: 1, characters: { 세린: '주인공', 이안: '상대역' } };
+
+  it('검증 실패 시 한 번 수정 요청 후 결과를 사용해야 함', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const provider = new FixtureProvider({
+      fixtures: [
+        { match: 'JSON 형식에 맞지 않습니다', response: JSON.stringify({ chapter: { title: '2화', content: '세린이 웃었다.' } }) },
+        { match: '다음 화', response: '제목: 2화\n내용: 세린이 웃었다.' }
+      ]
+    });
+    const spy = vi.spyOn(provider, 'generateContent');
+    const generator = new Generator(DEFAULT_CONFIG, provider);
+
+    const result = await generator.continueNovel('ice-garden-contract', novel);
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy.mock.calls[1][0]).toContain('제목: 2화\n내용: 세린이 웃었다.');
+    expect(result.chapter).toMatchObject({ number: 2, title: '2화', content: '세린이 웃었다.' });
+  });
+
+  it('수정 후에도 실패하면 필드 이름이 담긴 오류를 던져야 함', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const provider = new FixtureProvider({
+      fixtures: [{ match: '.', response: JSON.stringify({ chapter: { content: '본문' } }) }]
+    });
+    const generator = new Generator(DEFAULT_CONFIG, provider);
+
+    await expect(generator.completeNovel('ice-garden-contract', novel))
+      .rejects.toMatchObject({ name: 'OutputValidationError', field: 'chapter.title' });
+  });
+
+  it('신작 캐릭터 프로필을 결과에 포함해야 함', async () => {
+    const provider = new FixtureProvider({ fixtures: [{ match: '트로프', response: JSON.stringify(novelOutput) }] });
+    const generator = new Generator(DEFAULT_CONFIG, provider);
+
+    const result = await generator.createNewNovel();
+
+    expect(result.characters).toEqual({ 세린: '주인공', 이안: '상대역' });
+    expect(result.characterProfiles[0].aliases).toEqual(['정원의 마녀']);
+  });
+});
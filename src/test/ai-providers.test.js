@@ -0,0 +1,118 @@
+/**
+ * 🧪 LLM 프로바이더 레이어 테스트
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createProvider,
+  FixtureProvider,
+  GeminiProvider,
+  OpenAICompatibleProvider
+} from '../../ai-system/providers.js';
+import { Generator } from '../../ai-system/generator.js';
+import { DEFAULT_CONFIG, mergeConfig } from '../../ai-system/config.js';
+
+const config = {
+  chapterLength: { min: 10, target: 100, max: 5000 },
+  tropes: ['회귀', '계약결혼', '마법학원', '빙의']
+};
+
+describe('createProvider', () => {
+  it('설정이 없으면 Gemini 프로바이더를 만들어야 함', () => {
+    const provider = createProvider({ geminiApiKey: 'test-key' });
+
+    expect(provider).toBeInstanceOf(GeminiProvider);
+    expect(provider.model).toBe('gemini-1.5-pro');
+  });
+
+  it('provider.type에 따라 어댑터를 선택해야 함', () => {
+    const openai = createProvider({ provider: { type: 'openai', apiKey: 'sk-test', model: 'local-llm' } });
+    const fixture = createProvider({ provider: { type: 'fixture', fixtures: [] } });
+
+    expect(openai).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(openai.model).toBe('local-llm');
+    expect(fixture).toBeInstanceOf(FixtureProvider);
+  });
+
+  it('모델을 지정하지 않으면 프로바이더별 기본 모델을 써야 함', () => {
+    const { provider } = mergeConfig(DEFAULT_CONFIG, { provider: { type: 'openai' } });
+    const openai = createProvider({ provider: { ...provider, apiKey: 'sk-test' } });
+
+    expect(openai.model).toBe('gpt-4o-mini');
+    expect(createProvider(mergeConfig(DEFAULT_CONFIG, { geminiApiKey: 'test-key' })).model).toBe('gemini-1.5-pro');
+  });
+
+  it('알 수 없는 프로바이더는 거부해야 함', () => {
+    expect(() => createProvider({ provider: { type: 'unknown' } })).toThrow('알 수 없는 프로바이더');
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  it('chat/completions 응답을 Gemini 응답 형태로 감싸야 함', async () => {
+    const fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        choices: [{ message: { content: '본문' } }],
+        usage: { prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 }
+      })
+    });
+    const provider = new OpenAICompatibleProvider({ apiKey: 'sk-test', baseUrl: 'http://localhost:8080/v1/', fetch });
+
+    const result = await provider.generateContent('프롬프트');
+
+    expect(fetch).toHaveBeenCalledWith('http://localhost:8080/v1/chat/completions', expect.any(Object));
+    expect(JSON.parse(fetch.mock.calls[0][1].body).messages).toEqual([{ role: 'user', content: '프롬프트' }]);
+    expect(result.response.text()).toBe('본문');
+    expect(result.response.usageMetadata.candidatesTokenCount).toBe(20);
+  });
+
+  it('HTTP 오류를 그대로 드러내야 함', async () => {
+    const fetch = vi.fn().mockResolvedValue({ ok: false, status: 429, text: async () => 'rate limited' });
+    const provider = new OpenAICompatibleProvider({ apiKey: 'sk-test', fetch });
+
+    await expect(provider.generateContent('프롬프트')).rejects.toThrow('429');
+  });
+});
+
+describe('FixtureProvider', () => {
+  it('매칭되는 규칙의 응답을 순서대로 돌려줘야 함', async () => {
+    const provider = new FixtureProvider({
+      fixtures: [{ match: 'CHAPTER_\\d+', response: ['첫 번째', '두 번째'] }]
+    });
+
+    const first = await provider.generateContent('=== CHAPTER_2 ===');
+    const second = await provider.generateContent('=== CHAPTER_3 ===');
+    const third = await provider.generateContent('=== CHAPTER_4 ===');
+
+    expect([first, second, third].map(r => r.response.text())).toEqual(['첫 번째', '두 번째', '첫 번째']);
+  });
+
+  it('매칭되는 규칙이 없으면 실패해야 함', async () => {
+    const provider = new FixtureProvider({ fixtures: [] });
+
+    await expect(provider.generateContent('아무 프롬프트')).rejects.toThrow('매칭되는 픽스처 없음');
+  });
+
+  it('Generator 파이프라인을 오프라인으로 실행할 수 있어야 함', async () => {
+    const provider = new FixtureProvider({
+      fixtures: [{
+        match: '트로프',
+        response: JSON.stringify({
+          novel: { title: '얼음 정원의 계약', slug: 'ice-garden-contract', summary: '계약으로 시작된 사랑' },
+          characters: [
+            { name: '세린', role: '주인공', description: '냉철함, 정원 마법' },
+            { name: '이안', role: '상대역', description: '다정함, 얼음 마법' }
+          ],
+          chapter: { title: '1화: 계약의 밤', content: '세린은 얼음 정원에서 이안을 만났다.' }
+        })
+      }]
+    });
+    const generator = new Generator(config, provider);
+
+    const result = await generator.createNewNovel();
+
+    expect(result.slug).toBe('ice-garden-contract');
+    expect(result.characters).toEqual({ 세린: '주인공', 이안: '상대역' });
+    expect(result.chapter.content).toContain('얼음 정원');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * 🧪 검증 피드백 수정 루프 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RoFanAI } from '../../ai-system/index.js';
+
+const validContent = Array(30).fill('세린 이안').join('\n');
+
+function novelResponse(content) {
+  return JSON.stringify({
+    novel: { title: '얼음 정원의 계약', slug: 'ice-garden-contract', summary: '계약으로 시작된 사랑' },
+    characters: [{ name: '세린', role: '주인공' }, { name: '이안', role: '상대역' }],
+    chapter: { title: '1화', content }
+  });
+}
+
+describe('RoFanAI 수정 루프', () => {
+  let rootDir;
+
+  function writeConfig(fixtures, revision = {}) {
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({
+      maxActiveNovels: 1,
+      chapterLength: { min: 100, target: 300, max: 5000 },
+      revision,
+      outline: { enabled: false },
+      provider: { type: 'fixture', fixtures }
+    }));
+  }
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-revision-'));
+    mkdirSync(join(rootDir, 'ai-system'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'novels'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'chapters'), { recursive: true });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('검증 오류를 수정 프롬프트로 돌려주고 통과한 결과를 사용해야 함', async () => {
+    writeConfig([
+      { match: '품질 검증에서', response: novelResponse(validContent) },
+      { match: '트로프', response: novelResponse('세린 이안') }
+    ]);
+    const ai = new RoFanAI({ rootDir, dryRun: true });
+    const spy = vi.spyOn(ai.generator.model, 'generateContent');
+
+    const [outcome] = await ai.run();
+
+    expect(outcome.outcome).toBe('dry_run');
+    expect(outcome.result.chapter.content).toBe(validContent);
+    expect(outcome.result.chapter.promptVersion).toBe('romance-fantasy/new-novel.v1');
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy.mock.calls[1][0]).toContain('- 챕터가 너무 짧음 (5자, 최소 100자 필요)');
+    expect(spy.mock.calls[1][0]).toContain('"content": "세린 이안"');
+  });
+
+  it('시도 횟수를 다 쓰면 가장 점수가 높은 시도를 반환해야 함', async () => {
+    writeConfig([
+      {
+        match: '품질 검증에서',
+        response: [novelResponse(Array(30).fill('세린 이안 루시안에게').join('\n')), novelResponse('세린 이안')]
+      },
+      { match: '트로프', response: novelResponse('세린 이안') }
+    ], { maxAttempts: 3 });
+    const ai = new RoFanAI({ rootDir, dryRun: true });
+    const spy = vi.spyOn(ai.generator.model, 'generateContent');
+
+    const [outcome] = await ai.run();
+
+    expect(spy).toHaveBeenCalledTimes(3);
+    expect(outcome.outcome).toBe('rejected');
+    expect(outcome.result.chapter.content).toContain('루시안');
+    expect(outcome.errors).toEqual(['정의되지 않은 캐릭터명 의심: 루시안']);
+  });
+
+  it('점수가 더 높아도 실패한 시도보다 통과한 시도를 반환해야 함', async () => {
+    writeConfig([]);
+    const ai = new RoFanAI({ rootDir });
+    const reports = [
+      { passed: false, score: 0.99, errors: ['재등장 캐릭터 사망 모순'], warnings: [] },
+      { passed: true, score: 0.95, errors: [], warnings: ['말투 변화'] }
+    ];
+    vi.spyOn(ai.validator, 'validate').mockImplementation(async () => reports.shift());
+    vi.spyOn(ai.generator, 'reviseResult').mockImplementation(async result => ({ ...result, revised: true }));
+
+    const best = await ai.reviseUntilValid({ title: '1화' }, 3);
+
+    expect(best).toMatchObject({ result: { revised: true }, report: { passed: true, score: 0.95, attempt: 2 }, attempts: 2 });
+  });
+
+  it('소설별 시도 횟수를 설정할 수 있어야 함', () => {
+    writeConfig([], { maxAttempts: 3, novels: { 'ice-heart-touch': 1 } });
+    const ai = new RoFanAI({ rootDir });
+
+    expect(ai.getAttemptBudget('ice-heart-touch')).toBe(1);
+    expect(ai.getAttemptBudget('time-guardian-fate-thread')).toBe(3);
+    expect(ai.getAttemptBudget()).toBe(3);
+  });
+});
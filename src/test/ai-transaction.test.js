@@ -0,0 +1,132 @@
+/**
+ * 🧪 파일 트랜잭션 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { existsSync, mkdtempSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Transaction } from '../../ai-system/transaction.js';
+import { RoFanAI } from '../../ai-system/index.js';
+
+describe('Transaction', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-transaction-'));
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('커밋 전에는 디스크를 건드리지 않고, 커밋하면 모두 기록해야 함', () => {
+    writeFileSync(join(rootDir, 'novel.md'), 'totalChapters: 1');
+    const transaction = new Transaction(rootDir);
+
+    transaction.write('novel.md', 'totalChapters: 2');
+    transaction.write(join('chapters', 'novel-ch2.md'), '2화');
+
+    expect(transaction.read('novel.md')).toBe('totalChapters: 2');
+    expect(readFileSync(join(rootDir, 'novel.md'), 'utf-8')).toBe('totalChapters: 1');
+    expect(existsSync(join(rootDir, 'chapters'))).toBe(false);
+
+    transaction.commit();
+
+    expect(readFileSync(join(rootDir, 'novel.md'), 'utf-8')).toBe('totalChapters: 2');
+    expect(readFileSync(join(rootDir, 'chapters', 'novel-ch2.md'), 'utf-8')).toBe('2화');
+    expect(readdirSync(rootDir).sort()).toEqual(['chapters', 'novel.md']);
+  });
+
+  it('커밋 도중 실패하면 이미 옮긴 파일도 되돌려야 함', () => {
+    writeFileSync(join(rootDir, 'novel.md'), '원본');
+    writeFileSync(join(rootDir, 'blocker'), '디렉토리가 아닌 파일');
+    const transaction = new Transaction(rootDir);
+
+    transaction.write('novel.md', '수정본');
+    transaction.write('new.md', '새 파일');
+    transaction.write(join('blocker', 'chapter.md'), '만들 수 없는 경로');
+
+    expect(() => transaction.commit()).toThrow();
+    expect(readFileSync(join(rootDir, 'novel.md'), 'utf-8')).toBe('원본');
+    expect(readdirSync(rootDir).sort()).toEqual(['blocker', 'novel.md']);
+    expect(() => transaction.write('novel.md', '다시')).toThrow('이미 종료된 트랜잭션');
+  });
+
+  it('롤백하면 스테이징한 내용을 버려야 함', () => {
+    const transaction = new Transaction(rootDir);
+
+    transaction.write('state.json', '{}');
+    transaction.rollback();
+
+    expect(readdirSync(rootDir)).toEqual([]);
+  });
+});
+
+describe('RoFanAI 트랜잭션 저장', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-transaction-run-'));
+    mkdirSync(join(rootDir, 'ai-system'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'novels'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'chapters'), { recursive: true });
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({
+      maxActiveNovels: 1,
+      chapterLength: { min: 100, target: 300, max: 5000 },
+      summaries: { enabled: false },
+      provider: {
+        type: 'fixture',
+        fixtures: [{
+          match: '트로프',
+          response: JSON.stringify({
+            novel: { title: '얼음 정원의 계약', slug: 'ice-garden-contract', summary: '계약으로 시작된 사랑' },
+            characters: [{ name: '세린', role: '주인공' }, { name: '이안', role: '상대역' }],
+            chapter: { title: '1화', content: Array(30).fill('세린 이안').join('\n') }
+          })
+        }]
+      }
+    }));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('state 갱신이 실패하면 소설, 챕터, 레지스트리, state를 모두 되돌려야 함', async () => {
+    const ai = new RoFanAI({ rootDir, autoCommit: false });
+    const stateBefore = readFileSync(join(rootDir, 'ai-system', 'state.json'), 'utf-8');
+    vi.spyOn(ai, 'updateState').mockImplementation(() => {
+      throw new Error('state 기록 실패');
+    });
+
+    const outcomes = await ai.run();
+
+    expect(outcomes.map(o => o.outcome)).toEqual(['error']);
+    expect(readdirSync(join(rootDir, 'src', 'content', 'novels'))).toEqual([]);
+    expect(readdirSync(join(rootDir, 'src', 'content', 'chapters'))).toEqual([]);
+    expect(existsSync(join(rootDir, 'src', 'content', 'character-registry.json'))).toBe(false);
+    expect(ai.characterRegistry.has('ice-garden-contract')).toBe(false);
+    // 되돌린 state에 재시도 대기용 실패 시각만 더해짐
+    const { lastNewNovelFailedAt, ...stateAfter } = JSON.parse(readFileSync(join(rootDir, 'ai-system', 'state.json'), 'utf-8'));
+    expect(stateAfter).toEqual(JSON.parse(stateBefore));
+    expect(lastNewNovelFailedAt).toEqual(expect.any(String));
+    expect(new RoFanAI({ rootDir }).decideNextAction()).toEqual({ action: 'none' });
+    expect(readdirSync(rootDir).filter(name => name.startsWith('.transaction-'))).toEqual([]);
+  });
+
+  it('성공하면 모든 파일을 함께 기록해야 함', async () => {
+    const ai = new RoFanAI({ rootDir, autoCommit: false });
+
+    const outcomes = await ai.run();
+
+    expect(outcomes.map(o => o.outcome)).toEqual(['success']);
+    expect(readdirSync(join(rootDir, 'src', 'content', 'chapters'))).toEqual(['ice-garden-contract-ch1.md']);
+    expect(JSON.parse(readFileSync(join(rootDir, 'ai-system', 'state.json'), 'utf-8')).novels['ice-garden-contract'])
+      .toMatchObject({ chapterCount: 1 });
+    expect(ai.characterRegistry.getNames('ice-garden-contract')).toEqual(['세린', '이안']);
+  });
+});
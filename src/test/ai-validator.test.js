@@ -0,0 +1,194 @@
+/**
+ * 🧪 품질 리포트 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Validator } from '../../ai-system/validator.js';
+import { CharacterRegistry } from '../../ai-system/character-registry.js';
+import { CharacterValidator } from '../../ai-system/character-validator.js';
+import { RoFanAI } from '../../ai-system/index.js';
+import { SimilarityIndex } from '../../ai-system/similarity.js';
+
+const config = { chapterLength: { min: 100, target: 300, max: 5000 } };
+
+function chapterResult(content, type = 'chapter') {
+  return {
+    type,
+    slug: 'ice-garden-contract',
+    title: '얼음 정원의 계약',
+    characters: { 세린: '주인공', 이안: '상대역' },
+    chapter: { number: 2, title: '2화', content }
+  };
+}
+
+describe('Validator 품질 리포트', () => {
+  let rootDir;
+  let validator;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-validator-'));
+    validator = new Validator(config, new CharacterValidator(new CharacterRegistry(rootDir)));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('검사별 점수와 심각도를 담은 리포트를 반환해야 함', async () => {
+    const report = await validator.validate(chapterResult(Array(30).fill('세린 이안').join('\n')));
+
+    expect(report.passed).toBe(true);
+    expect(report.errors).toEqual([]);
+    expect(report.checks.map(check => check.id)).toEqual([
+      'structure', 'length', 'characters', 'registry', 'content', 'repetition', 'rating'
+    ]);
+    expect(report.checks.filter(check => check.id !== 'repetition').every(check => check.severity === 'info')).toBe(true);
+  });
+
+  it('실패한 검사의 점수, 오류, 근거 위치를 남겨야 함', async () => {
+    const content = `${Array(10).fill('세린 이안').join('\n')}\n루시안이 말했다. 세린은 루시안에게 다가갔다.`;
+
+    const report = await validator.validate(chapterResult(content));
+    const length = report.checks.find(check => check.id === 'length');
+    const characters = report.checks.find(check => check.id === 'characters');
+
+    expect(report.passed).toBe(false);
+    expect(length).toMatchObject({ passed: false, severity: 'error', score: content.length / 100 });
+    expect(characters.severity).toBe('error');
+    expect(characters.evidence[0]).toEqual({ start: content.indexOf('루시안'), end: content.indexOf('루시안') + 4, text: '루시안이' });
+    expect(report.errors).toContain('정의되지 않은 캐릭터명 의심: 루시안');
+    expect(report.score).toBeLessThan(1);
+  });
+
+  it('반복 단어는 경고만 하고 통과시켜야 함', async () => {
+    const report = await validator.validate(chapterResult(Array(30).fill('세린 이안').join('\n')));
+    const repetition = report.checks.find(check => check.id === 'repetition');
+
+    expect(repetition).toMatchObject({ passed: false, severity: 'warn' });
+    expect(repetition.evidence.map(span => span.text)).toEqual(['세린', '이안']);
+    expect(report.warnings).toHaveLength(1);
+    expect(report.passed).toBe(true);
+  });
+
+  it('이전 챕터와 말투가 바뀌면 경고해야 함', async () => {
+    const dialogue = '“이안 님, 오셨어요?”\n세린이 물었다.\n“기다리셨습니까?”\n이안이 정중하게 대답했다.\n';
+    const speechProfile = { '이안→세린': { speaker: '이안', listener: '세린', register: '반말', chapter: 1 } };
+
+    const report = await validator.validate(chapterResult(dialogue + Array(30).fill('세린 이안').join('\n')), { speechProfile });
+    const speech = report.checks.find(check => check.id === 'speech');
+
+    expect(speech).toMatchObject({ passed: false, severity: 'warn' });
+    expect(speech.message).toBe('말투 변경 의심: 이안→세린 반말(1화)→존댓말');
+    expect(speech.evidence[0].text).toBe('기다리셨습니까?');
+    expect(report.passed).toBe(true);
+  });
+
+  it('이전 챕터 끝에서 의식을 잃은 인물이 첫 장면에서 움직이면 오류여야 함', async () => {
+    const previousChapter = { number: 4, content: '병원 중환자실. 이안은 의식을 잃은 채 누워 있었다.' };
+    const opening = '이안이 세린에게 걸어와 웃었다.\n';
+
+    const report = await validator.validate(chapterResult(opening + Array(30).fill('세린 이안').join('\n')), { previousChapter });
+    const continuity = report.checks.find(check => check.id === 'continuity');
+
+    expect(continuity).toMatchObject({ passed: false, severity: 'error' });
+    expect(continuity.message).toBe('연속성 오류: 이안: 4화 끝에서 의식 없음(중환자실)인데 첫 장면에서 회복 설명 없이 말하거나 움직임');
+    expect(continuity.evidence[0]).toEqual({ start: 0, end: 17, text: '이안이 세린에게 걸어와 웃었다.' });
+    expect(report.passed).toBe(false);
+  });
+
+  it('기존 챕터 장면을 재활용하면 원본 위치와 함께 실패해야 함', async () => {
+    const scene = '세린은 얼어붙은 정원 한가운데에 서서 하얗게 질린 장미 덩굴을 내려다보았다. 이안의 숨결마다 서리가 피어올랐고, 정원사들은 멀리서 숨죽인 채 다음 명령을 기다리고 있었다.';
+    mkdirSync(join(rootDir, 'src', 'content', 'chapters'), { recursive: true });
+    writeFileSync(join(rootDir, 'src', 'content', 'chapters', 'ice-garden-contract-ch1.md'), `---\ntitle: '1화'\n---\n\n${scene}\n`);
+    const similarityIndex = new SimilarityIndex(rootDir).refresh();
+
+    const report = await validator.validate(chapterResult(`${scene}\n\n${Array(30).fill('세린 이안').join('\n')}`), { similarityIndex });
+    const originality = report.checks.find(check => check.id === 'originality');
+
+    expect(originality).toMatchObject({ passed: false, severity: 'error', score: 0 });
+    expect(originality.message).toBe('기존 챕터 내용 재활용: ice-garden-contract 1화와 100% 일치 (구간 1개)');
+    expect(originality.evidence[0]).toMatchObject({ start: 0, end: scene.length, source: { novel: 'ice-garden-contract', chapter: 1 } });
+    expect(report.passed).toBe(false);
+  });
+
+  it('소설별 연령 등급 상한을 넘으면 실패해야 함', async () => {
+    const limited = new Validator({ ...config, contentRating: { ceiling: '12+', novels: {} } }, new CharacterValidator(new CharacterRegistry(rootDir)));
+    const content = `세린은 피를 흘리며 쓰러졌다.\n${Array(30).fill('세린 이안').join('\n')}`;
+
+    const report = await limited.validate(chapterResult(content));
+    const rating = report.checks.find(check => check.id === 'rating');
+
+    expect(report.passed).toBe(false);
+    expect(report.errors).toEqual(['연령 등급 초과: 15+ (상한 12+) - 폭력 15+: 피를 흘']);
+    expect(rating.evidence).toEqual([{ start: 4, end: 8, text: '피를 흘' }]);
+    expect((await validator.validate(chapterResult(content))).passed).toBe(true);
+  });
+
+  it('완결편에만 완결 요소 검사를 적용해야 함', async () => {
+    const content = Array(30).fill('세린 이안').join('\n');
+
+    const chapter = await validator.validate(chapterResult(content));
+    const completion = await validator.validate(chapterResult(content, 'completion'));
+    const happyEnding = await validator.validate(chapterResult(`${content}\n끝.`, 'completion'));
+
+    expect(chapter.checks.some(check => check.id === 'completion')).toBe(false);
+    expect(completion.passed).toBe(false);
+    expect(completion.errors).toEqual(['완결다운 요소가 부족함']);
+    expect(happyEnding.passed).toBe(true);
+  });
+});
+
+describe('RoFanAI 품질 리포트 저장', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-report-'));
+    mkdirSync(join(rootDir, 'ai-system'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'novels'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'chapters'), { recursive: true });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('저장한 챕터 옆에 리포트를 기록해야 함', async () => {
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({
+      maxActiveNovels: 1,
+      chapterLength: { min: 100, target: 300, max: 5000 },
+      summaries: { enabled: false },
+      provider: {
+        type: 'fixture',
+        fixtures: [{
+          match: '트로프',
+          response: JSON.stringify({
+            novel: { title: '얼음 정원의 계약', slug: 'ice-garden-contract', summary: '계약으로 시작된 사랑' },
+            characters: [{ name: '세린', role: '주인공' }, { name: '이안', role: '상대역' }],
+            chapter: { title: '1화', content: Array(30).fill('세린 이안').join('\n') }
+          })
+        }]
+      }
+    }));
+    const ai = new RoFanAI({ rootDir, autoCommit: false });
+
+    const [outcome] = await ai.run();
+    const report = JSON.parse(readFileSync(join(rootDir, 'data', 'reports', 'ice-garden-contract-ch1.json'), 'utf-8'));
+
+    expect(outcome.outcome).toBe('success');
+    expect(report).toMatchObject({
+      novel: 'ice-garden-contract',
+      chapter: 1,
+      type: 'new_novel',
+      promptVersion: 'romance-fantasy/new-novel.v1',
+      passed: true,
+      attempt: 1
+    });
+    expect(report.checks.length).toBeGreaterThan(0);
+  });
+});
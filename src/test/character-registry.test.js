@@ -0,0 +1,89 @@
+/**
+ * 🧪 캐릭터 레지스트리 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CharacterRegistry } from '../../ai-system/character-registry.js';
+import { CharacterValidator } from '../../ai-system/character-validator.js';
+
+const longText = body => body + ' 그리고 조용한 밤이 흘렀다.'.repeat(150);
+
+describe('CharacterRegistry', () => {
+  let rootDir;
+  let registry;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-registry-'));
+    mkdirSync(join(rootDir, 'src', 'content'), { recursive: true });
+    registry = new CharacterRegistry(rootDir);
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('등록한 소설을 파일에 저장하고 다시 읽어야 함', () => {
+    registry.registerFromRoleMap('ice-garden-contract', { 세린: '주인공', 이안: '상대역' }, ['세라']);
+
+    const reloaded = new CharacterRegistry(rootDir);
+    const saved = JSON.parse(readFileSync(join(rootDir, 'src', 'content', 'character-registry.json'), 'utf-8'));
+
+    expect(saved.novels['ice-garden-contract'].blacklist).toEqual(['세라']);
+    expect(reloaded.getRoleMap('ice-garden-contract')).toEqual({ 세린: '주인공', 이안: '상대역' });
+    expect(reloaded.getCharacters('ice-garden-contract')[0]).toEqual({
+      name: '세린', role: '주인공', aliases: [], honorifics: [], description: ''
+    });
+  });
+
+  it('별칭까지 포함한 이름 목록을 돌려줘야 함', () => {
+    registry.register('ice-heart-touch', [
+      { name: '엘리아', role: '주인공' },
+      { name: '카엘렌', role: '상대역', aliases: ['아르젠트 대공'], honorifics: ['전하'] },
+      { name: '관장', role: '조연' }
+    ]);
+
+    expect(registry.getKnownNames('ice-heart-touch')).toEqual(['엘리아', '카엘렌', '아르젠트 대공', '관장']);
+    expect(registry.getRequiredCharacters('ice-heart-touch').map(c => c.name)).toEqual(['엘리아', '카엘렌']);
+  });
+});
+
+describe('CharacterValidator (레지스트리 기반)', () => {
+  let rootDir;
+  let validator;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-registry-'));
+    mkdirSync(join(rootDir, 'src', 'content'), { recursive: true });
+    validator = new CharacterValidator(new CharacterRegistry(rootDir));
+    validator.registerNovel('ice-heart-touch', [
+      { name: '엘리아', role: '주인공' },
+      { name: '카엘렌', role: '상대역', aliases: ['아르젠트 대공'] }
+    ], ['아리아', '루시안']);
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('별칭으로 등장한 필수 캐릭터를 인정해야 함', () => {
+    const result = validator.validate('ice-heart-touch', longText('엘리아는 아르젠트 대공을 바라보았다.'));
+
+    expect(result.valid).toBe(true);
+  });
+
+  it('금지된 이름을 거부해야 함', () => {
+    const result = validator.validate('ice-heart-touch', longText('엘리아와 카엘렌, 그리고 루시안.'));
+
+    expect(result).toEqual({ valid: false, reason: '잘못된 캐릭터 이름 발견: 루시안' });
+  });
+
+  it('등록된 캐릭터의 별칭과 호칭을 유지한 채 목록을 갱신해야 함', () => {
+    validator.updateCharacters('ice-heart-touch', ['엘리아', '카엘렌', '관장']);
+
+    expect(validator.registry.getKnownNames('ice-heart-touch')).toEqual(['엘리아', '카엘렌', '아르젠트 대공', '관장']);
+    expect(validator.registry.getBlacklist('ice-heart-touch')).toEqual(['아리아', '루시안']);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * 🧪 콘텐츠 무결성 검사 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { existsSync, mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { checkContent, main } from '../../scripts/content-check.js';
+
+const summary = '시간을 되돌리는 능력을 가진 레오나와 미래를 예견하는 카엘이 운명적으로 만나 함께 어둠의 세력에 맞서는 이야기';
+
+function writeNovel(rootDir, slug, totalChapters) {
+  writeFileSync(join(rootDir, 'src', 'content', 'novels', `${slug}.md`), [
+    '---',
+    `title: ${slug} 소설 제목`,
+    `summary: ${summary}`,
+    'tropes: [회귀, 계약결혼]',
+    "publishedDate: '2025-08-01'",
+    `totalChapters: ${totalChapters}`,
+    '---',
+    ''
+  ].join('\n'));
+}
+
+function writeChapter(rootDir, file, frontmatter) {
+  writeFileSync(join(rootDir, 'src', 'content', 'chapters', file), `---\n${frontmatter}\n---\n\n본문\n`);
+}
+
+describe('content:check', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-content-check-'));
+    mkdirSync(join(rootDir, 'src', 'content', 'novels'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'chapters'), { recursive: true });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+    process.exitCode = undefined;
+  });
+
+  it('정상 콘텐츠에서는 문제가 없어야 함', () => {
+    writeNovel(rootDir, 'time-guardian', 2);
+    writeChapter(rootDir, 'time-guardian-ch1.md', "title: '1화'\nnovel: time-guardian\nchapterNumber: 1");
+    writeChapter(rootDir, 'time-guardian-ch2.md', "title: '2화'\nnovel: time-guardian\nchapterNumber: 2");
+
+    expect(checkContent(rootDir)).toEqual([]);
+  });
+
+  it('누락, 고아 챕터, 백업 파일, totalChapters 불일치, 스키마 오류를 찾아야 함', () => {
+    writeNovel(rootDir, 'time-guardian', 5);
+    writeChapter(rootDir, 'time-guardian-ch1.md', "title: '1화'\nnovel: time-guardian\nchapterNumber: 1");
+    writeChapter(rootDir, 'time-guardian-ch3.md', "title: '3화'\nnovel: time-guardian\nchapterNumber: 3");
+    writeChapter(rootDir, 'time-guardian-ch3.backup.md', "title: '3화'\nnovel: time-guardian\nchapterNumber: 3");
+    writeChapter(rootDir, 'undefined-ch1.md', "title: '1화'\nchapterNumber: 1");
+    writeChapter(rootDir, 'broken-ch1.md', "title: '1화: '깨진' 제목'\nnovel: time-guardian");
+
+    const issues = checkContent(rootDir);
+    const byType = type => issues.filter(issue => issue.type === type);
+
+    expect(byType('gap')).toEqual([expect.objectContaining({ file: 'novels/time-guardian.md', message: '2화 파일 없음' })]);
+    expect(byType('orphan').map(issue => issue.file)).toEqual(['chapters/broken-ch1.md', 'chapters/undefined-ch1.md']);
+    expect(byType('backup').map(issue => issue.file)).toEqual(['chapters/time-guardian-ch3.backup.md']);
+    expect(byType('total_chapters')[0].message).toBe('totalChapters 5 / 실제 챕터 파일 2개');
+    expect(byType('schema').map(issue => issue.file).sort()).toEqual(['chapters/broken-ch1.md', 'chapters/undefined-ch1.md']);
+    expect(byType('schema').find(issue => issue.file === 'chapters/undefined-ch1.md').message).toContain('novel');
+  });
+
+  it('totalChapters는 공개 시각이 지나지 않은 예약 챕터를 세지 않아야 함', async () => {
+    writeNovel(rootDir, 'time-guardian', 2);
+    writeChapter(rootDir, 'time-guardian-ch1.md', "title: '1화'\nnovel: time-guardian\nchapterNumber: 1\npublicationDate: '2025-08-01T02:00:00.000Z'");
+    writeChapter(rootDir, 'time-guardian-ch2.md', "title: '2화'\nnovel: time-guardian\nchapterNumber: 2\npublicationDate: '2999-01-01T02:00:00.000Z'");
+
+    expect(checkContent(rootDir).map(issue => issue.message)).toEqual(['totalChapters 2 / 실제 챕터 파일 1개 (예약 공개 1개 제외)']);
+
+    await main(['node', 'content-check.js', '--fix'], rootDir);
+    expect(readFileSync(join(rootDir, 'src', 'content', 'novels', 'time-guardian.md'), 'utf-8')).toContain('totalChapters: 1');
+  });
+
+  it('--fix는 백업 파일을 옮기고 totalChapters를 맞춰야 함', async () => {
+    writeNovel(rootDir, 'time-guardian', 5);
+    writeChapter(rootDir, 'time-guardian-ch1.md', "title: '1화'\nnovel: time-guardian\nchapterNumber: 1");
+    writeChapter(rootDir, 'time-guardian-ch1.backup.md', "title: '1화'\nnovel: time-guardian\nchapterNumber: 1");
+
+    const remaining = await main(['node', 'content-check.js', '--fix'], rootDir);
+
+    expect(remaining).toEqual([]);
+    expect(process.exitCode).toBeUndefined();
+    expect(existsSync(join(rootDir, 'src', 'content', 'chapters', 'time-guardian-ch1.backup.md'))).toBe(false);
+    expect(existsSync(join(rootDir, 'backup', 'content', 'chapters', 'time-guardian-ch1.backup.md'))).toBe(true);
+    expect(readFileSync(join(rootDir, 'src', 'content', 'novels', 'time-guardian.md'), 'utf-8')).toContain('totalChapters: 1');
+  });
+
+  it('문제가 남으면 종료 코드 1이어야 함', async () => {
+    writeChapter(rootDir, 'undefined-ch1.md', "title: '1화'\nchapterNumber: 1");
+
+    await main(['node', 'content-check.js'], rootDir);
+
+    expect(process.exitCode).toBe(1);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * 🧪 연령 등급 분류 테스트
+ */
+
+import { describe, it, expect } from 'vitest';
+import { classifyContent, compareRatings, getRatingCeiling } from '../../ai-system/content-rating.js';
+
+describe('classifyContent', () => {
+  it('해당 어휘가 없으면 전체 이용가여야 함', () => {
+    expect(classifyContent('엘리아는 온실에서 차를 마셨다.')).toEqual({ rating: '전체', reasons: [] });
+  });
+
+  it('가장 높은 분류의 등급과 근거 위치를 반환해야 함', () => {
+    const content = '젠장, 늦었다. 그는 검을 뽑았다. 기사는 피를 흘리며 쓰러졌다.';
+    const { rating, reasons } = classifyContent(content);
+
+    expect(rating).toBe('15+');
+    expect(reasons.map(reason => [reason.category, reason.rating, reason.terms])).toEqual([
+      ['violence', '15+', ['피를 흘']],
+      ['language', '12+', ['젠장']]
+    ]);
+    expect(reasons[0].evidence).toEqual([{ start: content.indexOf('피를'), end: content.indexOf('피를') + 4, text: '피를 흘' }]);
+  });
+
+  it('관용 표현은 폭력으로 보지 않아야 함', () => {
+    expect(classifyContent('그녀는 숨을 죽였다. 달콤한 향기가 코끝을 찔렀다. 시선이 칼날 같았다.').rating).toBe('전체');
+  });
+
+  it('정사각형, 역사서의 정사, 책의 삽입은 성적 표현으로 보지 않아야 함', () => {
+    expect(classifyContent('그는 정사각형 탁자에 앉았다.').rating).toBe('전체');
+    expect(classifyContent('역사서의 정사에 따르면 황제는 병으로 죽었다.').rating).toBe('전체');
+    expect(classifyContent('책에 삽입된 삽화가 아름다웠다.').rating).toBe('전체');
+    expect(classifyContent('두 사람은 밤새 정사를 나누었다.').reasons[0]).toMatchObject({ category: 'sexual', rating: '19+', terms: ['정사를 나누'] });
+  });
+
+  it('반복될 때만 높아지는 어휘는 반복 횟수를 채워야 함', () => {
+    expect(classifyContent('자해 흔적이 보였다.').rating).toBe('15+');
+    expect(classifyContent('자해, 자해, 자해.').rating).toBe('19+');
+    expect(classifyContent('알몸으로 누워 있었다.').reasons[0]).toMatchObject({ category: 'sexual', rating: '19+' });
+  });
+});
+
+describe('등급 상한', () => {
+  it('소설별 상한이 기본 상한보다 우선해야 함', () => {
+    const config = { contentRating: { ceiling: '15+', novels: { 'the-monsters-only-antidote': '19+' } } };
+
+    expect(getRatingCeiling(config, 'ice-heart-touch')).toBe('15+');
+    expect(getRatingCeiling(config, 'the-monsters-only-antidote')).toBe('19+');
+    expect(getRatingCeiling({}, 'ice-heart-touch')).toBe('19+');
+    expect(compareRatings('19+', '15+')).toBeGreaterThan(0);
+  });
+});
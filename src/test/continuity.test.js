@@ -0,0 +1,95 @@
+/**
+ * 🧪 챕터 연속성 검사 테스트
+ */
+
+import { describe, it, expect } from 'vitest';
+import { closingScene, extractClosingScene, checkContinuity } from '../../ai-system/continuity.js';
+
+const characters = [
+  { name: '레오나', role: '주인공', aliases: [] },
+  { name: '카엘', role: '상대역', aliases: [] }
+];
+
+const chapter4 = [
+  '레오나는 시계탑 아래에서 검은 그림자와 마주쳤다.',
+  '---',
+  '병원 중환자실의 밤은 길었다.',
+  '카엘은 혼수상태에 빠진 채 움직이지 않았다.',
+  '레오나는 그의 손을 잡고 속삭였다.'
+].join('\n');
+
+describe('extractClosingScene', () => {
+  it('마지막 장면만 대상으로 장소, 시간대, 등장인물, 인물 상태를 뽑아야 함', () => {
+    expect(closingScene(chapter4)).toBe(chapter4.split('---\n')[1]);
+
+    expect(extractClosingScene(chapter4, characters)).toEqual({
+      location: '중환자실',
+      timeOfDay: '밤',
+      present: ['레오나', '카엘'],
+      conditions: {
+        카엘: { type: 'unconscious', label: '의식 없음', location: '중환자실', evidence: '카엘은 혼수상태에 빠진 채 움직이지 않았다.' }
+      }
+    });
+  });
+
+  it('뒤에서 깨어났으면 상태로 남기지 않고, 다른 단어 속 장소명은 무시해야 함', () => {
+    const content = '카엘은 정신을 잃었다. 레오나가 중얼거리자 카엘이 눈을 떴다.';
+
+    expect(extractClosingScene(content, characters)).toMatchObject({ location: null, conditions: {} });
+  });
+
+  it('상태는 문장의 주어에게만 붙여야 함', () => {
+    const content = '광장에 비가 내렸다. 카엘은 레오나의 품에서 숨을 거두었다.';
+
+    expect(Object.keys(extractClosingScene(content, characters).conditions)).toEqual(['카엘']);
+  });
+
+  it('그 챕터 기준의 스토리 상태가 있으면 장부의 인물 상태를 써야 함', () => {
+    const storyState = { characterStates: { 카엘: { condition: '혼수상태', location: '병원 중환자실' } } };
+
+    expect(extractClosingScene('레오나는 창밖을 보았다.', characters, storyState).conditions.카엘)
+      .toEqual({ type: 'unconscious', label: '의식 없음', location: '병원', evidence: '스토리 상태: 혼수상태' });
+  });
+});
+
+describe('checkContinuity', () => {
+  const previous = { number: 4, content: chapter4 };
+
+  it('혼수상태였던 인물이 회복 설명 없이 다른 장소에 나타나면 오류여야 함', () => {
+    const { issues } = checkContinuity(previous, '정오의 시계탑 광장. 레오나는 카엘의 손을 잡고 걸었다.', characters);
+
+    expect(issues).toEqual([{
+      severity: 'error',
+      message: '카엘: 4화 끝에서 의식 없음(중환자실)인데 첫 장면에서 회복 설명 없이 시계탑 광장에 등장',
+      evidence: '레오나는 카엘의 손을 잡고 걸었다.'
+    }]);
+  });
+
+  it('깨어나는 장면이 있거나 같은 장소에 누워 있으면 문제 없음', () => {
+    expect(checkContinuity(previous, '새벽, 카엘이 눈을 떴다. 카엘은 천천히 일어났다.', characters).issues).toEqual([]);
+    expect(checkContinuity(previous, '중환자실. 카엘은 여전히 잠들어 있었다.', characters).issues).toEqual([]);
+  });
+
+  it('시간이 흐른 뒤의 장면이면 다른 장소에 나와도 오류가 아니어야 함', () => {
+    const death = { number: 4, content: '광장에 비가 내렸다. 카엘은 레오나의 품에서 숨을 거두었다.' };
+
+    expect(checkContinuity(death, '사흘 뒤, 신전에서 카엘의 장례가 치러졌다. 레오나는 관 앞에 섰다.', characters).issues).toEqual([]);
+  });
+
+  it('바로 이어지는 장면에서 이동 설명 없이 시간대나 장소가 바뀌면 경고해야 함', () => {
+    const { issues } = checkContinuity({ number: 2, content: '밤이 깊었다. 레오나는 서재에 앉아 있었다.' }, '그 순간, 정오의 광장에 종이 울렸다.', characters);
+
+    expect(issues.map(issue => [issue.severity, issue.message])).toEqual([
+      ['warn', '시간대 불일치: 2화 끝은 밤인데 바로 이어지는 첫 장면은 정오'],
+      ['warn', '장소 불일치: 2화 끝은 서재인데 바로 이어지는 첫 장면은 광장']
+    ]);
+    expect(checkContinuity({ number: 2, content: '밤이 깊었다. 레오나는 서재에 앉아 있었다.' }, '다음 날 정오, 광장.', characters).issues).toEqual([]);
+  });
+
+  it('다른 챕터 기준의 스토리 상태는 쓰지 않아야 함', () => {
+    const storyState = { currentChapter: 3, characterStates: { 레오나: { condition: '부상' } } };
+    const { closing } = checkContinuity(previous, '레오나가 달려갔다.', characters, storyState);
+
+    expect(closing.conditions.레오나).toBeUndefined();
+  });
+});
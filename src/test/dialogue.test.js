@@ -0,0 +1,113 @@
+/**
+ * 🧪 대사 분석 테스트
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  REGISTER,
+  parseDialogue,
+  detectRegister,
+  attributeSpeakers,
+  analyzeSpeech,
+  buildSpeechProfile,
+  findRegisterFlips
+} from '../../ai-system/dialogue.js';
+
+const characters = [
+  { name: '엘리아', role: '주인공', aliases: [], honorifics: [] },
+  { name: '카엘렌', role: '상대역', aliases: ['아르젠트 대공'], honorifics: ['전하', '대공 전하'] }
+];
+
+const chapter = register => [
+  '엘리아는 온실 문을 열었다.',
+  '',
+  '“전하, 여기 계셨어요?”',
+  '',
+  '카엘렌이 고개를 돌렸다.',
+  '',
+  register === REGISTER.BANMAL ? '“늦었군. 이리 와.”' : '“늦으셨군요. 이리 오십시오.”',
+  '',
+  '카엘렌의 목소리가 낮게 울렸다.',
+  '“죄송해요. 길을 잃었어요.”',
+  register === REGISTER.BANMAL ? '“다음부터는 혼자 다니지 마라.”' : '“다음부터는 혼자 다니지 마세요.”'
+].join('\n');
+
+describe('parseDialogue', () => {
+  it('마크다운 형식의 대화, 독백, 행동을 구분해야 함', () => {
+    const content = '> "안녕하세요."\n\n> *\'이상하다...\'*\n\n> [엘리아가 걸어 나갔다]\n\n**엘리아**가 말했다.';
+
+    expect(parseDialogue(content).map(entry => [entry.type, entry.text])).toEqual([
+      ['dialogue', '안녕하세요.'],
+      ['monologue', '이상하다...'],
+      ['action', '엘리아가 걸어 나갔다']
+    ]);
+  });
+
+  it('서술 속 따옴표 대사와 위치, 같은 줄의 서술을 남겨야 함', () => {
+    const content = '첫 줄\n“멈춰.” 카엘렌이 명령했다.\n‘어떻게든 나가야겠어.’';
+    const [dialogue, monologue] = parseDialogue(content);
+
+    expect(dialogue).toMatchObject({ type: 'dialogue', text: '멈춰.', line: 1, start: 4, end: 9, narration: '카엘렌이 명령했다.' });
+    expect(monologue).toMatchObject({ type: 'monologue', text: '어떻게든 나가야겠어.' });
+  });
+});
+
+describe('detectRegister', () => {
+  it('문장 어미로 반말과 존댓말을 구분해야 함', () => {
+    expect(detectRegister('이리 와. 늦었군.')).toBe(REGISTER.BANMAL);
+    expect(detectRegister('괜찮으세요? 제가 도와드릴게요.')).toBe(REGISTER.JONDAETMAL);
+    expect(detectRegister('여기 있습니까?')).toBe(REGISTER.JONDAETMAL);
+  });
+
+  it('아니다, 그러니까 같은 반말 어미와 부르는 이름에 속지 않아야 함', () => {
+    expect(detectRegister('그건 아니다. 그러니까 돌아가.')).toBe(REGISTER.BANMAL);
+    expect(detectRegister('고마워요, 카엘렌.', ['카엘렌'])).toBe(REGISTER.JONDAETMAL);
+    expect(detectRegister('……')).toBeNull();
+  });
+});
+
+describe('attributeSpeakers', () => {
+  it('앞뒤 서술의 주어, 호칭, 주고받는 순서로 화자와 청자를 찾아야 함', () => {
+    const lines = attributeSpeakers(chapter(REGISTER.BANMAL), characters);
+
+    expect(lines.map(line => [line.speaker, line.listener, line.register])).toEqual([
+      ['엘리아', '카엘렌', REGISTER.JONDAETMAL],
+      ['카엘렌', '엘리아', REGISTER.BANMAL],
+      ['엘리아', '카엘렌', REGISTER.JONDAETMAL],
+      ['카엘렌', '엘리아', REGISTER.BANMAL]
+    ]);
+  });
+
+  it('1인칭 서술의 나는 주인공으로 봐야 함', () => {
+    const content = '나는 숨을 골랐다. 나는 문을 두드렸다. 내가 왔다는 걸 알리고 싶었다.\n“계세요?”\n나는 작게 물었다.';
+    const [line] = attributeSpeakers(content, characters);
+
+    expect(line.speaker).toBe('엘리아');
+  });
+});
+
+describe('말투 변화 감지', () => {
+  it('관계별 말투를 집계해야 함', () => {
+    const { relationships } = analyzeSpeech(chapter(REGISTER.BANMAL), characters);
+
+    expect(relationships.map(r => [r.speaker, r.listener, r.register, r.counts])).toEqual([
+      ['엘리아', '카엘렌', REGISTER.JONDAETMAL, { 반말: 0, 존댓말: 2 }],
+      ['카엘렌', '엘리아', REGISTER.BANMAL, { 반말: 2, 존댓말: 0 }]
+    ]);
+  });
+
+  it('이전 챕터와 말투가 바뀐 관계를 근거와 함께 반환해야 함', () => {
+    const profile = buildSpeechProfile([
+      { number: 2, content: chapter(REGISTER.BANMAL) },
+      { number: 1, content: chapter(REGISTER.JONDAETMAL) }
+    ], characters);
+    const current = chapter(REGISTER.JONDAETMAL);
+
+    expect(profile['카엘렌→엘리아']).toEqual({ speaker: '카엘렌', listener: '엘리아', register: REGISTER.BANMAL, chapter: 2 });
+
+    const flips = findRegisterFlips(profile, analyzeSpeech(current, characters));
+    expect(flips).toHaveLength(1);
+    expect(flips[0]).toMatchObject({ speaker: '카엘렌', listener: '엘리아', from: REGISTER.BANMAL, to: REGISTER.JONDAETMAL, since: 2 });
+    expect(flips[0].evidence[0]).toMatchObject({ text: '늦으셨군요. 이리 오십시오.', start: current.indexOf('“늦으셨군요') });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * 🧪 챕터 마크다운 정규화 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { formatChapterContent } from '../../ai-system/markdown-format.js';
+import { Storage } from '../../ai-system/storage.js';
+import { parseFrontmatter } from '../../ai-system/frontmatter.js';
+import { formatChapters, main } from '../../scripts/format-chapters.js';
+import { MarkdownValidator } from './utils/markdown-validator.js';
+
+const raw = [
+  '엘리아는 온실 문을 열었다.',
+  '“전하, 여기 계셨어요?” 엘리아가 조심스럽게 물었다.',
+  '카엘렌이 고개를 돌렸다.',
+  '“늦었군.”',
+  '',
+  '‘왜 하필 지금….’',
+  '[바람이 유리창을 흔들었다]',
+  '* * *',
+  '그는 “돌아가라”고 짧게 말했다.'
+].join('\n');
+
+describe('formatChapterContent', () => {
+  it('대화, 독백, 행동, 장면 전환을 하우스 형식으로 바꾸고 인물명을 볼드 처리해야 함', () => {
+    expect(formatChapterContent(raw, { names: ['엘리아', '카엘렌'] }).split('\n\n')).toEqual([
+      '**엘리아**는 온실 문을 열었다.',
+      '> "전하, 여기 계셨어요?"',
+      '**엘리아**가 조심스럽게 물었다.',
+      '**카엘렌**이 고개를 돌렸다.',
+      '> "늦었군."',
+      "> *'왜 하필 지금….'*",
+      '> [바람이 유리창을 흔들었다]',
+      '---',
+      '그는 “돌아가라”고 짧게 말했다.'
+    ]);
+  });
+
+  it('여러 번 적용해도 결과가 같아야 함', () => {
+    const once = formatChapterContent(raw, { names: ['엘리아', '카엘렌'] });
+
+    expect(formatChapterContent(once, { names: ['엘리아', '카엘렌'] })).toBe(once);
+  });
+
+  it('다른 인용 블록 표기도 정규 형식으로 맞춰야 함', () => {
+    const content = "> “안녕.”\n> _'이상해.'_\n> (문이 열렸다)\n> '생각'";
+
+    expect(formatChapterContent(content).split('\n\n')).toEqual([
+      '> "안녕."',
+      "> *'이상해.'*",
+      '> [문이 열렸다]',
+      "> *'생각'*"
+    ]);
+  });
+
+  it('대사 안의 인용 따옴표는 여닫는 홑따옴표 쌍으로 바꿔야 함', () => {
+    const content = '> "그가 "인용"이라고 했어. “정말”이야."';
+    const once = formatChapterContent(content);
+
+    expect(once).toBe('> "그가 ‘인용’이라고 했어. ‘정말’이야."');
+    expect(formatChapterContent(once)).toBe(once);
+  });
+
+  it('긴 이름의 일부는 짧은 이름으로 볼드 처리하지 않아야 함', () => {
+    expect(formatChapterContent('카엘렌이 웃었다. 카엘이 다가왔다.', { names: ['카엘', '카엘렌'] }))
+      .toBe('**카엘렌**이 웃었다. **카엘**이 다가왔다.');
+  });
+
+  it('Storage가 저장하는 챕터는 마크다운 형식 검사를 통과해야 함', () => {
+    const markdown = new Storage({}).buildChapterMarkdown({ title: '1화', content: raw }, 'ice-heart-touch', 1, ['엘리아']);
+
+    expect(MarkdownValidator.validateContent(markdown).errors).toEqual([]);
+    expect(parseFrontmatter(markdown).content).toContain('\n> "늦었군."\n');
+    expect(parseFrontmatter(markdown).data.contentRating).toBe('전체');
+  });
+});
+
+describe('content:format', () => {
+  let rootDir;
+  let chapterPath;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-format-'));
+    mkdirSync(join(rootDir, 'src', 'content', 'chapters'), { recursive: true });
+    chapterPath = join(rootDir, 'src', 'content', 'chapters', 'ice-heart-touch-ch1.md');
+    writeFileSync(chapterPath, `---\ntitle: '1화'\nnovel: ice-heart-touch\nchapterNumber: 1\n---\n\n${raw}\n`);
+    writeFileSync(join(rootDir, 'src', 'content', 'chapters', 'ice-heart-touch-ch1.backup.md'), `---\ntitle: '1화'\n---\n\n${raw}\n`);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+    process.exitCode = undefined;
+  });
+
+  it('--check는 바뀔 파일만 보고하고 실패 코드를 남겨야 함', async () => {
+    const changed = await main(['node', 'format-chapters.js', '--check'], rootDir);
+
+    expect(changed).toEqual(['ice-heart-touch-ch1.md']);
+    expect(process.exitCode).toBe(1);
+    expect(readFileSync(chapterPath, 'utf-8')).toContain('“늦었군.”');
+  });
+
+  it('프론트매터를 유지하며 본문을 바꾸고, 두 번째 실행에서는 바뀌는 파일이 없어야 함', () => {
+    expect(formatChapters(rootDir)).toEqual(['ice-heart-touch-ch1.md']);
+
+    const { data, content } = parseFrontmatter(readFileSync(chapterPath, 'utf-8'));
+    expect(data).toEqual({ title: '1화', novel: 'ice-heart-touch', chapterNumber: 1 });
+    expect(content).toContain('> "늦었군."');
+    expect(formatChapters(rootDir)).toEqual([]);
+  });
+
+  it('소설 슬러그로 대상을 좁힐 수 있어야 함', () => {
+    expect(formatChapters(rootDir, { slugs: ['time-guardian-fate-thread'] })).toEqual([]);
+  });
+});
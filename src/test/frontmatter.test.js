@@ -0,0 +1,120 @@
+/**
+ * 🧪 YAML 프론트매터 직렬화 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Storage } from '../../ai-system/storage.js';
+import { parseFrontmatter, updateFrontmatter } from '../../ai-system/frontmatter.js';
+
+const trickyTitles = [
+  "1화: 그녀의 '비밀'",
+  '제목: "따옴표" 그리고 콜론',
+  '# 해시로 시작하는 제목',
+  '- 목록처럼 보이는 제목',
+  '{중괄호} [대괄호] & 앰퍼샌드 *별표*',
+  'yes',
+  '2025-08-21',
+  '  앞뒤 공백  '
+];
+
+describe('Storage 프론트매터', () => {
+  const storage = new Storage({});
+
+  it.each(trickyTitles)('챕터 제목 %j 가 그대로 왕복해야 함', title => {
+    const markdown = storage.buildChapterMarkdown(
+      { title, content: '첫 문단\n\n---\n\n둘째 문단', wordCount: 12, summary: "요약: '세린'이\n이안을 만난다" },
+      'ice-garden-contract',
+      3
+    );
+
+    const { data, content } = parseFrontmatter(markdown);
+
+    expect(data).toMatchObject({
+      title,
+      novel: 'ice-garden-contract',
+      chapterNumber: 3,
+      summary: "요약: '세린'이\n이안을 만난다"
+    });
+    expect(content.trim()).toBe('첫 문단\n\n---\n\n둘째 문단');
+  });
+
+  it('소설 제목과 여러 줄 요약이 그대로 왕복해야 함', () => {
+    const result = {
+      title: "얼음 정원의 계약: '그' 남자의 비밀",
+      slug: 'ice-garden-contract',
+      summary: '첫 줄 요약입니다.\n둘째 줄: "인용"과 #해시',
+      tropes: ['계약결혼', '적에서연인으로']
+    };
+
+    const { data } = parseFrontmatter(storage.buildNovelMarkdown(result));
+
+    expect(data).toMatchObject({
+      title: result.title,
+      summary: result.summary,
+      tropes: result.tropes,
+      totalChapters: 1
+    });
+  });
+
+  it('프론트매터 일부만 갱신하고 날짜와 본문은 유지해야 함', () => {
+    const original = "---\ntitle: '시간의 수호자'\npublishedDate: 2025-08-16\ntotalChapters: 6\n---\n\n본문: 유지\n";
+
+    const updated = updateFrontmatter(original, { totalChapters: 7 });
+
+    expect(parseFrontmatter(updated).data.publishedDate).toBe('2025-08-16');
+    expect(parseFrontmatter(updated).data.totalChapters).toBe(7);
+    expect(parseFrontmatter(updated).content).toBe(parseFrontmatter(original).content);
+  });
+});
+
+describe('Storage 소설 메타데이터 갱신', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-frontmatter-'));
+    mkdirSync(join(rootDir, 'src', 'content', 'novels'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'chapters'), { recursive: true });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('완결 처리 시 status, totalChapters, completedDate를 YAML로 갱신해야 함', async () => {
+    const storage = new Storage({}, rootDir);
+    const novelPath = join(rootDir, 'src', 'content', 'novels', 'tricky.md');
+    writeFileSync(novelPath, [
+      '---',
+      "title: '제목: 그녀의 ''비밀'''",
+      'status: 연재 중',
+      'summary: >-',
+      '  status: 가짜 줄이 요약에 들어 있어도',
+      '  totalChapters: 99 처럼 보여도 바뀌면 안 됨',
+      "publishedDate: '2025-08-01'",
+      'totalChapters: 14',
+      '---',
+      ''
+    ].join('\n'));
+
+    await storage.save({
+      type: 'completion',
+      slug: 'tricky',
+      title: "제목: 그녀의 '비밀'",
+      chapter: { number: 15, title: "최종화: '끝'", content: '끝', wordCount: 1 }
+    }, { commit: false });
+
+    const { data } = parseFrontmatter(readFileSync(novelPath, 'utf-8'));
+    expect(data).toMatchObject({
+      title: "제목: 그녀의 '비밀'",
+      status: '완결',
+      totalChapters: 15,
+      summary: 'status: 가짜 줄이 요약에 들어 있어도 totalChapters: 99 처럼 보여도 바뀌면 안 됨',
+      publishedDate: '2025-08-01'
+    });
+    expect(data.completedDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+  });
+});
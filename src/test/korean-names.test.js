@@ -0,0 +1,68 @@
+/**
+ * 🧪 한국어 인물명 탐지 테스트
+ */
+
+import { describe, it, expect } from 'vitest';
+import { splitParticle, tokenize, findUnknownNames } from '../../ai-system/korean-names.js';
+
+describe('splitParticle', () => {
+  it('긴 조사부터 떼어 내야 함', () => {
+    expect(splitParticle('카엘에게서')).toEqual({ stem: '카엘', particle: '에게서' });
+    expect(splitParticle('세린께서')).toEqual({ stem: '세린', particle: '께서' });
+    expect(splitParticle('루시안과')).toEqual({ stem: '루시안', particle: '과' });
+    expect(splitParticle('리아에게는')).toEqual({ stem: '리아', particle: '에게는' });
+  });
+
+  it('어간이 한 글자만 남으면 떼지 않아야 함', () => {
+    expect(splitParticle('그가')).toEqual({ stem: '그가', particle: '' });
+    expect(splitParticle('세린')).toEqual({ stem: '세린', particle: '' });
+  });
+});
+
+describe('tokenize', () => {
+  it('어절 위치와 호칭을 분리해야 함', () => {
+    const [first, , second] = tokenize('“카엘님께서 오셨어요.” 세린이');
+
+    expect(first).toMatchObject({ text: '카엘님께서', stem: '카엘', particle: '께서', honorific: '님', start: 1, end: 6 });
+    expect(second).toMatchObject({ text: '세린이', stem: '세린', particle: '이' });
+  });
+});
+
+describe('findUnknownNames', () => {
+  const known = ['세린', '이안 크로포드'];
+
+  it('인물 단서가 붙은 미등록 이름과 위치를 반환해야 함', () => {
+    const content = '세린은 루시안에게 다가갔다. 루시안이 말했다. “이안, 그만해.”';
+    const [candidate, ...rest] = findUnknownNames(content, known);
+
+    expect(rest).toEqual([]);
+    expect(candidate.name).toBe('루시안');
+    expect(candidate.count).toBe(2);
+    expect(candidate.cues).toEqual(["조사 '에게'", "동사 '말했'"]);
+    expect(candidate.occurrences[0]).toEqual({ start: 4, end: 9, text: '루시안에게' });
+  });
+
+  it('일반 명사는 이름으로 보지 않아야 함', () => {
+    const content = [
+      '바람이 창문을 흔들었다. 세린은 정원을 걸었다.',
+      '목소리가 물었다. 그림자가 길게 늘어졌다.',
+      '그 노파는 웃었다. 세린은 노파에게 꽃을 건넸다.',
+      '위험한 포식자에게 맞서려면 용기가 필요했다. 사람들은 황제에게 고개를 숙였다.'
+    ].join('\n');
+
+    expect(findUnknownNames(content, known)).toEqual([]);
+  });
+
+  it('단서가 한 번뿐이면 여러 번 나와도 후보가 아니어야 함', () => {
+    const content = '정원사에게 물었다. 정원사는 대답 대신 꽃을 가리켰다. 정원사의 손은 거칠었다.';
+
+    expect(findUnknownNames(content, known)).toEqual([]);
+    expect(findUnknownNames(content, known, { minOccurrences: 1 }).map(c => c.name)).toEqual(['정원사']);
+  });
+
+  it('알려진 이름은 성을 빼고 불러도 인정하되 비슷한 다른 이름은 잡아야 함', () => {
+    const content = '이안에게 세린이 말했다. 이안께서는 웃었다. 세리나에게 편지를 쓰고 세리나가 말했다.';
+
+    expect(findUnknownNames(content, known).map(c => c.name)).toEqual(['세리나']);
+  });
+});
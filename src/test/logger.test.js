@@ -0,0 +1,104 @@
+/**
+ * 🧪 공용 로거 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Logger, createLogger } from '../../ai-system/logger.js';
+import { RoFanAI } from '../../ai-system/index.js';
+
+function capture(options = {}) {
+  const lines = [];
+  const logger = new Logger({ ...options, write: (level, line) => lines.push([level, line]) });
+  return { logger, lines };
+}
+
+describe('Logger', () => {
+  it('레벨보다 낮은 로그는 남기지 않고, pretty는 메시지만 출력해야 함', () => {
+    const { logger, lines } = capture({ level: 'warn' });
+
+    logger.info('📝 작성 중...');
+    logger.success('✅ 완료');
+    logger.warn('⚠️  경고', { novel: 'ice-garden' });
+    logger.error('💥 오류');
+
+    expect(lines).toEqual([['warn', '⚠️  경고'], ['error', '💥 오류']]);
+  });
+
+  it('json은 runId와 필드, 오류 스택을 한 줄로 남겨야 함', () => {
+    const { logger, lines } = capture({ format: 'json', runId: 'run-1' });
+
+    logger.child({ novel: 'ice-garden' }).error('💥 저장 실패', { chapter: 3, error: new Error('디스크 가득 참') });
+    const entry = JSON.parse(lines[0][1]);
+
+    expect(entry).toMatchObject({ level: 'error', runId: 'run-1', msg: '💥 저장 실패', novel: 'ice-garden', chapter: 3 });
+    expect(entry.error.message).toBe('디스크 가득 참');
+    expect(entry.error.stack).toContain('logger.test.js');
+  });
+
+  it('silent는 아무것도 출력하지 않고, 환경 변수가 설정보다 우선해야 함', () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    new Logger({ level: 'silent' }).error('💥 오류');
+    const logger = createLogger({ level: 'info', format: 'pretty' }, { LOG_LEVEL: 'error', LOG_FORMAT: 'json' });
+
+    expect(error).not.toHaveBeenCalled();
+    expect(log).not.toHaveBeenCalled();
+    expect(logger).toMatchObject({ level: 'error', format: 'json' });
+    expect(() => new Logger({ level: 'verbose' })).toThrow('알 수 없는 로그 레벨: verbose');
+    expect(() => new Logger({ format: 'xml' })).toThrow('알 수 없는 로그 형식: xml');
+  });
+});
+
+describe('RoFanAI 로거', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-logger-'));
+    mkdirSync(join(rootDir, 'ai-system'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'novels'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'chapters'), { recursive: true });
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({
+      maxActiveNovels: 1,
+      chapterLength: { min: 100, target: 300, max: 5000 },
+      summaries: { enabled: false },
+      outline: { enabled: false },
+      provider: {
+        type: 'fixture',
+        fixtures: [{
+          match: '트로프',
+          response: JSON.stringify({
+            novel: { title: '얼음 정원의 계약', slug: 'ice-garden-contract', summary: '계약으로 시작된 사랑' },
+            characters: [{ name: '세린', role: '주인공' }, { name: '이안', role: '상대역' }],
+            chapter: { title: '1화', content: Array(30).fill('세린 이안').join('\n') }
+          })
+        }]
+      }
+    }));
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('주입한 로거를 모든 엔진에 넘기고, 사용량 장부와 같은 runId를 써야 함', async () => {
+    const log = vi.spyOn(console, 'log');
+    const { logger, lines } = capture({ format: 'json', runId: 'run-42' });
+    const ai = new RoFanAI({ rootDir, autoCommit: false, logger });
+    ai.config.maxActionsPerRun = 1;
+
+    await ai.run();
+    const entries = lines.map(([, line]) => JSON.parse(line));
+
+    expect(log).not.toHaveBeenCalled();
+    expect([ai.generator, ai.validator, ai.storage, ai.database].every(engine => engine.logger === logger)).toBe(true);
+    expect(ai.ledger.runId).toBe('run-42');
+    expect(entries.every(entry => entry.runId === 'run-42')).toBe(true);
+    expect(entries.map(entry => entry.msg)).toContain('🔍 품질 검증 시작...');
+    expect(entries.find(entry => entry.level === 'success' && entry.msg.startsWith('✅ 성공적으로 완료')))
+      .toMatchObject({ action: 'new_novel', novel: 'ice-garden-contract', chapter: 1, attempts: 1 });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * 🧪 연재 계획(아웃라인) 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { existsSync, mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RoFanAI } from '../../ai-system/index.js';
+import { PLAN_OUTPUT, OUTLINE_OUTPUT, parseOutput } from '../../ai-system/schemas.js';
+import { formatOutlineForPrompt, isFinalChapter } from '../../ai-system/outline.js';
+
+const outline = {
+  targetChapters: 4,
+  acts: [
+    { title: '1막: 계약', fromChapter: 1, toChapter: 2, goal: '계약 결혼 성립' },
+    { title: '2막: 진실', fromChapter: 3, toChapter: 4 }
+  ],
+  chapters: [
+    { number: 1, beats: ['얼음 정원에서의 첫 만남', '계약 제안'] },
+    { number: 2, beats: ['계약 결혼식'], romance: '첫 번째 손잡기' },
+    { number: 3, beats: ['이안의 저주가 드러남'], reveal: '이안은 얼음 정령의 후예' },
+    { number: 4, beats: ['저주를 풀고 진짜 결혼'] }
+  ]
+};
+
+const plan = {
+  novel: { title: '얼음 정원의 계약', slug: 'ice-garden-contract', summary: '계약으로 시작된 사랑' },
+  characters: [{ name: '세린', role: '주인공' }, { name: '이안', role: '상대역' }],
+  outline
+};
+
+const validContent = Array(30).fill('세린 이안').join('\n');
+
+describe('연재 계획 형식', () => {
+  it('1화부터 목표 화수까지 빠짐없는 계획만 받아야 함', () => {
+    expect(parseOutput(JSON.stringify(plan), PLAN_OUTPUT).outline.targetChapters).toBe(4);
+
+    const missing = { outline: { ...outline, chapters: outline.chapters.slice(0, 3) } };
+    expect(() => parseOutput(JSON.stringify(missing), OUTLINE_OUTPUT)).toThrow('화별 전개는 1화부터 목표 화수까지');
+  });
+
+  it('이번 화 전개, 로맨스, 공개할 비밀과 다음 화 예고를 프롬프트에 넣어야 함', () => {
+    expect(formatOutlineForPrompt(outline, 2).split('\n')).toEqual([
+      '## 연재 계획 (전체 4화)',
+      '현재 막: 1막: 계약 (1~2화) - 계약 결혼 성립',
+      '2화에서 다룰 전개:',
+      '- 계약 결혼식',
+      '로맨스 진전: 첫 번째 손잡기',
+      '이후 전개 (이번 화에서 앞당기지 말 것):',
+      '- 3화: 이안의 저주가 드러남',
+      '- 4화: 저주를 풀고 진짜 결혼'
+    ]);
+    expect(formatOutlineForPrompt(outline, 4)).toContain('이번 화가 계획의 마지막 화입니다.');
+    expect(formatOutlineForPrompt(outline, 5)).toBe('');
+    expect(isFinalChapter(outline, 4)).toBe(true);
+    expect(isFinalChapter(null, 20)).toBe(false);
+  });
+});
+
+describe('RoFanAI 연재 계획', () => {
+  let rootDir;
+
+  function writeConfig(fixtures) {
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({
+      maxActiveNovels: 1,
+      chapterLength: { min: 100, target: 300, max: 5000 },
+      summaries: { enabled: false },
+      provider: { type: 'fixture', fixtures }
+    }));
+  }
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-outline-'));
+    mkdirSync(join(rootDir, 'ai-system'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'novels'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'chapters'), { recursive: true });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('신작은 계획을 먼저 세우고 계획대로 1화를 쓴 뒤 계획을 함께 저장해야 함', async () => {
+    writeConfig([
+      { match: '본문은 아직 쓰지 않습니다', response: JSON.stringify(plan) },
+      { match: '1화를 작성해주세요', response: JSON.stringify({ chapter: { title: '1화: 계약의 밤', content: validContent } }) },
+      { match: '.', response: '{}' }
+    ]);
+    const ai = new RoFanAI({ rootDir, autoCommit: false });
+    const spy = vi.spyOn(ai.generator.model, 'generateContent');
+
+    const [outcome] = await ai.run();
+
+    expect(outcome.outcome).toBe('success');
+    expect(outcome.result.chapter.promptVersion).toBe('romance-fantasy/first-chapter.v1');
+    expect(spy.mock.calls[1][0]).toContain('1화에서 다룰 전개:\n- 얼음 정원에서의 첫 만남\n- 계약 제안');
+    expect(spy.mock.calls[1][0]).toContain('제목: 얼음 정원의 계약');
+
+    const saved = JSON.parse(readFileSync(join(rootDir, 'data', 'outlines', 'ice-garden-contract.json'), 'utf-8'));
+    expect(saved).toMatchObject({ novel: 'ice-garden-contract', ...outline });
+  });
+
+  it('계획이 없는 연재 중 소설은 계획을 세우고 연재 프롬프트에 이번 화 계획을 넣어야 함', async () => {
+    writeConfig([
+      { match: '전체 연재 계획을 세워주세요', response: JSON.stringify({ outline }) },
+      { match: '다음 화', response: JSON.stringify({ chapter: { title: '2화', content: validContent } }) }
+    ]);
+    const ai = new RoFanAI({ rootDir, dryRun: true });
+    const spy = vi.spyOn(ai.generator.model, 'generateContent');
+    ai.state.novels['ice-garden-contract'] = { title: '얼음 정원의 계약', status: '연재 중', chapterCount: 1, characters: { 세린: '주인공', 이안: '상대역' } };
+
+    const outcome = await ai.execute(ai.decideNextAction(new Set(['new_novel'])));
+
+    expect(outcome.outcome).toBe('dry_run');
+    expect(spy.mock.calls[1][0]).toContain('2화에서 다룰 전개:\n- 계약 결혼식');
+    expect(existsSync(join(rootDir, 'data', 'outlines', 'ice-garden-contract.json'))).toBe(false);
+  });
+
+  it('새로 세운 계획은 챕터가 검증을 통과해 저장될 때만 함께 저장해야 함', async () => {
+    const outlinePath = join(rootDir, 'data', 'outlines', 'ice-garden-contract.json');
+    const novel = { title: '얼음 정원의 계약', status: '연재 중', chapterCount: 1, characters: { 세린: '주인공', 이안: '상대역' } };
+    writeFileSync(join(rootDir, 'src', 'content', 'novels', 'ice-garden-contract.md'), '---\ntitle: 얼음 정원의 계약\nstatus: 연재 중\ntotalChapters: 1\n---\n');
+
+    writeConfig([
+      { match: '전체 연재 계획을 세워주세요', response: JSON.stringify({ outline }) },
+      { match: '.', response: JSON.stringify({ chapter: { title: '2화', content: '짧은 본문' } }) }
+    ]);
+    const rejected = new RoFanAI({ rootDir, autoCommit: false });
+    rejected.config.revision.maxAttempts = 1;
+    rejected.state.novels['ice-garden-contract'] = { ...novel };
+
+    expect((await rejected.execute(rejected.decideNextAction(new Set(['new_novel'])))).outcome).toBe('rejected');
+    expect(existsSync(outlinePath)).toBe(false);
+
+    writeConfig([
+      { match: '전체 연재 계획을 세워주세요', response: JSON.stringify({ outline }) },
+      { match: '다음 화', response: JSON.stringify({ chapter: { title: '2화', content: validContent } }) },
+      { match: '.', response: '{}' }
+    ]);
+    const ai = new RoFanAI({ rootDir, autoCommit: false });
+    ai.state.novels['ice-garden-contract'] = { ...novel };
+
+    expect((await ai.execute(ai.decideNextAction(new Set(['new_novel'])))).outcome).toBe('success');
+    expect(JSON.parse(readFileSync(outlinePath, 'utf-8'))).toMatchObject({ novel: 'ice-garden-contract', ...outline });
+  });
+
+  it('계획의 마지막 화에 이르면 completionChapter와 관계없이 완결해야 함', () => {
+    writeConfig([]);
+    const ai = new RoFanAI({ rootDir });
+    ai.outlines.save('ice-garden-contract', outline);
+    ai.state.novels = {
+      'ice-garden-contract': { status: '연재 중', chapterCount: 2 },
+      'legacy-novel': { status: '연재 중', chapterCount: 3 }
+    };
+
+    expect(ai.decideNextAction(new Set(['new_novel']))).toMatchObject({ action: 'continue' });
+
+    ai.state.novels['ice-garden-contract'].chapterCount = 3;
+    expect(ai.decideNextAction(new Set(['new_novel']))).toMatchObject({ action: 'complete', slug: 'ice-garden-contract' });
+    expect(ai.isCompletionDue('legacy-novel', ai.state.novels['legacy-novel'])).toBe(false);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * 🧪 프롬프트 템플릿 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PromptTemplates } from '../../ai-system/prompt-templates.js';
+import { FixtureProvider } from '../../ai-system/providers.js';
+import { Generator } from '../../ai-system/generator.js';
+import { Storage } from '../../ai-system/storage.js';
+import { DEFAULT_CONFIG } from '../../ai-system/config.js';
+import { parseFrontmatter } from '../../ai-system/frontmatter.js';
+import { NOVEL_OUTPUT } from '../../ai-system/schemas.js';
+
+describe('PromptTemplates', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ro-fi-prompts-'));
+    mkdirSync(join(dir, 'romance-fantasy', 'partials'), { recursive: true });
+    mkdirSync(join(dir, 'partials'), { recursive: true });
+    writeFileSync(join(dir, 'partials', 'role.md'), '공용 작가\n');
+    writeFileSync(join(dir, 'partials', 'footer.md'), '분량: {{length}}자\n');
+    writeFileSync(join(dir, 'romance-fantasy', 'partials', 'role.md'), '로판 작가\n');
+    writeFileSync(join(dir, 'romance-fantasy', 'continue.v1.md'), '---\ndescription: 1판\n---\n{{> role}} / {{title}}\n');
+    writeFileSync(join(dir, 'romance-fantasy', 'continue.v2.md'), '{{> role}}: {{ title }} {{nextChapter}}화\n{{> footer}}\n');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('최신 버전을 쓰고 장르 partial을 공용 partial보다 우선해야 함', () => {
+    const templates = new PromptTemplates({ dir });
+
+    expect(templates.render('continue', { title: '얼음 정원', nextChapter: 4, length: 4000 })).toEqual({
+      id: 'romance-fantasy/continue.v2',
+      text: '로판 작가: 얼음 정원 4화\n분량: 4000자'
+    });
+  });
+
+  it('설정으로 버전을 고정할 수 있어야 함', () => {
+    const templates = new PromptTemplates({ dir, versions: { continue: 1 } });
+
+    expect(templates.render('continue', { title: '얼음 정원' })).toEqual({
+      id: 'romance-fantasy/continue.v1',
+      text: '로판 작가 / 얼음 정원'
+    });
+    expect(() => new PromptTemplates({ dir, versions: { continue: 3 } }).resolve('continue'))
+      .toThrow('프롬프트 템플릿 버전 없음: romance-fantasy/continue.v3');
+  });
+
+  it('변수나 템플릿이 없으면 실패해야 함', () => {
+    const templates = new PromptTemplates({ dir });
+
+    expect(() => templates.render('continue', { title: '얼음 정원' })).toThrow('프롬프트 변수 누락: nextChapter');
+    expect(() => templates.render('completion')).toThrow('프롬프트 템플릿 없음: romance-fantasy/completion');
+    expect(() => new PromptTemplates({ dir, genre: 'modern' }).resolve('continue')).toThrow('프롬프트 템플릿 없음');
+  });
+});
+
+describe('Generator 프롬프트 버전 기록', () => {
+  it('기본 템플릿으로 생성한 챕터에 promptVersion을 남겨야 함', async () => {
+    const provider = new FixtureProvider({
+      fixtures: [{ match: '다음 화', response: JSON.stringify({ chapter: { title: "5화: '약속'", content: '본문' } }) }]
+    });
+    const generator = new Generator(DEFAULT_CONFIG, provider);
+    const novel = { title: '시간의 수호자', chapterCount: 4, characters: { 레오나: '주인공', 카엘: '상대역' } };
+
+    const result = await generator.continueNovel('time-guardian-fate-thread', novel);
+    const { data } = parseFrontmatter(new Storage({}).buildChapterMarkdown(result.chapter, 'time-guardian-fate-thread', 5));
+
+    expect(result.chapter.promptVersion).toBe('romance-fantasy/continue.v1');
+    expect(data.promptVersion).toBe('romance-fantasy/continue.v1');
+  });
+
+  it('기본 템플릿이 모든 변수를 채워야 함', () => {
+    const generator = new Generator(DEFAULT_CONFIG, new FixtureProvider({ fixtures: [] }));
+    const novel = { title: '시간의 수호자', chapterCount: 14, characters: { 레오나: '주인공' } };
+
+    expect(generator.buildNewNovelPrompt(['회귀', '빙의'])).toContain('트로프: 회귀, 빙의');
+    expect(generator.buildContinuePrompt('slug', novel)).toContain('다음 화(15화)를 작성해주세요.');
+    expect(generator.buildCompletionPrompt('slug', novel)).toContain(`${Math.floor(DEFAULT_CONFIG.chapterLength.target * 1.2)}자 내외`);
+    expect(generator.buildCompletionPrompt('slug', novel)).not.toMatch(/\{\{/);
+  });
+
+  it('요약, 스토리 상태, 형식 수정 프롬프트도 기본 템플릿으로 만들어야 함', () => {
+    const generator = new Generator(DEFAULT_CONFIG, new FixtureProvider({ fixtures: [] }));
+    const result = { title: '시간의 수호자', chapter: { number: 4, title: '4화', content: '레오나가 시계탑에 올랐다.' } };
+    const chapters = [{ number: 1, title: '1화', summary: '만남' }, { number: 2, title: '2화', summary: '계약' }];
+    const prompts = [
+      generator.buildRepairPrompt('{"chapter": {}', NOVEL_OUTPUT, new Error('필드 누락: chapter.content')),
+      generator.buildStoryStatePrompt({ plotProgress: {} }, result),
+      generator.buildChapterSummaryPrompt(result.title, result.chapter),
+      generator.buildArcSummaryPrompt(result.title, chapters)
+    ];
+
+    expect(['repair-output', 'story-state', 'chapter-summary', 'arc-summary'].map(name => generator.prompts.resolve(name).id))
+      .toEqual(['romance-fantasy/repair-output.v1', 'romance-fantasy/story-state.v1', 'romance-fantasy/chapter-summary.v1', 'romance-fantasy/arc-summary.v1']);
+    expect(prompts[0]).toContain('오류: 필드 누락: chapter.content');
+    expect(prompts[1]).toContain('nextChapterRequirements는 5화가 반드시 이어받아야 할 내용으로 작성');
+    expect(prompts[2]).toContain(`${DEFAULT_CONFIG.summaries.chapterSummaryLength}자 내외`);
+    expect(prompts[3]).toMatch(/1화 1화: 만남\n2화 2화: 계약$/);
+    prompts.forEach(prompt => expect(prompt).not.toMatch(/\{\{/));
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * 🧪 실행 기록 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RunHistory, summarizeOutcome } from '../../ai-system/run-history.js';
+import { RoFanAI } from '../../ai-system/index.js';
+import { main } from '../../scripts/run-history.js';
+
+function runEntry(startedAt, outcome, actions, novels) {
+  return { runId: startedAt, startedAt, finishedAt: startedAt, durationMs: 1000, now: null, outcome, stopReason: null, budget: { level: 'ok' }, released: [], actions, novels, error: null };
+}
+
+function action(novel, outcome) {
+  return { action: 'continue', novel, chapter: 4, releaseAt: null, outcome, attempts: 2, durationMs: 500, report: { passed: outcome === 'success', score: 70, errors: outcome === 'success' ? [] : ['분량 부족'], warnings: [] }, error: null };
+}
+
+function novelState(slug, nextReleaseAt) {
+  return { slug, status: '연재 중', chapterCount: 3, lastUpdate: '2025-09-01T02:00:00.000Z', scheduled: 0, nextReleaseAt, hiatus: null };
+}
+
+describe('실행 기록', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-history-'));
+    mkdirSync(join(rootDir, 'ai-system'), { recursive: true });
+    mkdirSync(join(rootDir, 'data'), { recursive: true });
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  function writeHistory(entries) {
+    writeFileSync(join(rootDir, 'data', 'run-history.jsonl'), entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+  }
+
+  it('작업 결과를 합쳐 실행 결과를 정해야 함', () => {
+    expect(summarizeOutcome([])).toBe('idle');
+    expect(summarizeOutcome([], 'budget')).toBe('budget');
+    expect(summarizeOutcome([action('a', 'success')])).toBe('success');
+    expect(summarizeOutcome([action('a', 'success'), action('b', 'rejected')])).toBe('partial');
+    expect(summarizeOutcome([action('a', 'rejected')])).toBe('rejected');
+    expect(summarizeOutcome([action('a', 'success'), action('b', 'error')])).toBe('error');
+  });
+
+  it('소설, 설정 시간대 기준 날짜, 결과로 걸러야 함', () => {
+    writeHistory([
+      runEntry('2025-09-01T15:30:00.000Z', 'partial', [action('a', 'success'), action('b', 'rejected')], [novelState('a'), novelState('b')]), // KST 9월 2일
+      runEntry('2025-09-02T15:30:00.000Z', 'success', [action('a', 'success')], [novelState('a'), novelState('b')])
+    ]);
+    const history = new RunHistory(rootDir);
+
+    expect(history.find({ date: '2025-09-02' })).toHaveLength(1);
+    expect(history.find({ outcome: 'rejected' }).map(entry => entry.startedAt)).toEqual(['2025-09-01T15:30:00.000Z']);
+
+    const [entry] = history.find({ novel: 'b', date: '2025-09-02' });
+    expect(entry.actions.map(item => item.novel)).toEqual(['b']);
+    expect(entry.novels.map(item => item.slug)).toEqual(['b']);
+    expect(history.findLastBefore('2025-09-03', 'b').startedAt).toBe('2025-09-01T15:30:00.000Z');
+  });
+
+  it('ai:history는 그날 기록이 없으면 직전 기록의 다음 연재 시각을 보여줘야 함', async () => {
+    writeHistory([runEntry('2025-09-01T02:00:00.000Z', 'success', [action('ice-heart-touch', 'success')], [novelState('ice-heart-touch', '2025-09-03T02:00:00.000Z')])]);
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const entries = await main(['node', 'run-history.js', 'ice-heart-touch', '--date=2025-09-02'], rootDir);
+
+    expect(entries).toEqual([]);
+    expect(log.mock.calls.map(call => call[0])).toEqual([
+      '📭 ice-heart-touch / 2025-09-02 실행 기록 없음',
+      '\n🕰️  직전 기록 2025-09-01 11:00 기준 연재 상태:',
+      '  · ice-heart-touch: 3화, 다음 연재 2025-09-03 11:00'
+    ]);
+  });
+});
+
+describe('RoFanAI 실행 기록', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-run-'));
+    mkdirSync(join(rootDir, 'ai-system'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'novels'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'chapters'), { recursive: true });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({
+      maxActiveNovels: 1,
+      chapterLength: { min: 100, target: 300, max: 5000 },
+      summaries: { enabled: false },
+      outline: { enabled: false },
+      provider: {
+        type: 'fixture',
+        fixtures: [{
+          match: '트로프',
+          response: JSON.stringify({
+            novel: { title: '얼음 정원의 계약', slug: 'ice-garden-contract', summary: '계약으로 시작된 사랑' },
+            characters: [{ name: '세린', role: '주인공' }, { name: '이안', role: '상대역' }],
+            chapter: { title: '1화', content: Array(30).fill('세린 이안').join('\n') }
+          })
+        }]
+      }
+    }));
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  const loadHistory = () => new RunHistory(rootDir).load();
+
+  it('작업한 실행은 결정, 시도 횟수, 검증 결과, 다음 연재 시각과 함께 기록해야 함', async () => {
+    const ai = new RoFanAI({ rootDir, autoCommit: false, now: '2025-09-01T02:00:00Z' });
+    ai.config.maxActionsPerRun = 1;
+
+    await ai.run();
+    const [entry] = loadHistory();
+
+    expect(entry).toMatchObject({ runId: ai.ledger.runId, now: '2025-09-01T02:00:00.000Z', outcome: 'success', error: null });
+    expect(entry.actions).toEqual([expect.objectContaining({
+      action: 'new_novel', novel: 'ice-garden-contract', chapter: 1, outcome: 'success', attempts: 1,
+      report: expect.objectContaining({ passed: true })
+    })]);
+    expect(entry.actions[0].durationMs).toBeGreaterThanOrEqual(0);
+    expect(entry.novels).toEqual([expect.objectContaining({
+      slug: 'ice-garden-contract', chapterCount: 1, nextReleaseAt: '2025-09-02T02:00:00.000Z'
+    })]);
+  });
+
+  it('연재할 회차가 없는 실행은 기록하지 않아야 함', async () => {
+    const ai = new RoFanAI({ rootDir, autoCommit: false, now: '2025-09-01T02:00:00Z' });
+    ai.config.maxActiveNovels = 0;
+
+    expect(await ai.run()).toEqual([]);
+    expect(loadHistory()).toEqual([]);
+  });
+
+  it('실행 중 오류도 스택과 함께 기록해야 함', async () => {
+    const ai = new RoFanAI({ rootDir, autoCommit: false });
+    ai.syncState = async () => { throw new Error('콘텐츠 폴더 읽기 실패'); };
+
+    await expect(ai.run()).rejects.toThrow('콘텐츠 폴더 읽기 실패');
+    const [entry] = loadHistory();
+
+    expect(entry.outcome).toBe('error');
+    expect(entry.error.message).toBe('콘텐츠 폴더 읽기 실패');
+    expect(entry.error.stack).toContain('run-history.test.js');
+    expect(readFileSync(join(rootDir, 'data', 'run-history.jsonl'), 'utf-8').trim().split('\n')).toHaveLength(1);
+  });
+});
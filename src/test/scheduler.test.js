@@ -0,0 +1,222 @@
+/**
+ * 🧪 연재 스케줄러 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Scheduler, normalizeCadence } from '../../ai-system/scheduler.js';
+import { RoFanAI, main } from '../../ai-system/index.js';
+import { parseFrontmatter } from '../../ai-system/frontmatter.js';
+import { filterPublished } from '../../src/content/publication.js';
+
+// 2025-09-01은 월요일
+const kst = time => new Date(`${time}+09:00`);
+
+describe('연재 주기', () => {
+  const scheduler = new Scheduler({
+    minUpdateIntervalHours: 24,
+    schedule: {
+      utcOffsetHours: 9,
+      novels: {
+        'mwf-novel': { days: ['mon', 'wed', 'fri'], time: '11:00' },
+        'weekend-novel': { days: ['토', '일'], time: '21:30' },
+        'twice-weekly': { perWeek: 2 },
+        'resting-novel': { intervalHours: 24, hiatus: [{ from: '2025-09-01', to: '2025-09-07' }] }
+      }
+    }
+  });
+
+  it('요일 주기는 마지막 연재 이후 첫 연재 요일의 시각을 돌려줘야 함', () => {
+    expect(scheduler.nextReleaseAt('mwf-novel', kst('2025-09-01T11:05:00'))).toEqual(kst('2025-09-03T11:00:00'));
+    expect(scheduler.nextReleaseAt('mwf-novel', kst('2025-09-01T09:00:00'))).toEqual(kst('2025-09-01T11:00:00'));
+    expect(scheduler.nextReleaseAt('mwf-novel', kst('2025-09-05T12:00:00'))).toEqual(kst('2025-09-08T11:00:00'));
+    expect(scheduler.nextReleaseAt('weekend-novel', kst('2025-09-06T22:00:00'))).toEqual(kst('2025-09-07T21:30:00'));
+    // UTC로는 화요일이어도 KST 기준 요일로 계산
+    expect(scheduler.nextReleaseAt('mwf-novel', kst('2025-09-03T08:00:00'))).toEqual(kst('2025-09-03T11:00:00'));
+  });
+
+  it('주 N회와 시간 간격 주기는 마지막 연재 시각에 간격을 더해야 함', () => {
+    expect(scheduler.nextReleaseAt('twice-weekly', kst('2025-09-01T00:00:00'))).toEqual(kst('2025-09-04T12:00:00'));
+    expect(scheduler.nextReleaseAt('unknown-novel', kst('2025-09-01T00:00:00'))).toEqual(kst('2025-09-02T00:00:00'));
+    expect(scheduler.nextReleaseAt('unknown-novel', null)).toBeNull();
+  });
+
+  it('휴재 중이 아니고 연재 시각이 지난 소설만 오래 밀린 순으로 돌려줘야 함', () => {
+    const novels = [
+      ['mwf-novel', { chapterCount: 3, lastUpdate: kst('2025-09-01T11:00:00').toISOString() }],
+      ['twice-weekly', { chapterCount: 7, lastUpdate: kst('2025-08-30T06:00:00').toISOString() }],
+      ['resting-novel', { chapterCount: 2, lastUpdate: kst('2025-08-20T00:00:00').toISOString() }],
+      ['new-novel', { chapterCount: 0, lastUpdate: null }]
+    ];
+
+    expect(scheduler.getDue(novels, kst('2025-09-02T12:00:00')).map(({ slug, chapter }) => [slug, chapter]))
+      .toEqual([['new-novel', 1]]);
+    expect(scheduler.getDue(novels, kst('2025-09-03T12:00:00')).map(({ slug }) => slug))
+      .toEqual(['new-novel', 'twice-weekly', 'mwf-novel']);
+    expect(scheduler.getHiatus('resting-novel', kst('2025-09-07T23:59:00'))).toMatchObject({ from: '2025-09-01' });
+    expect(scheduler.getDue(novels, kst('2025-09-08T00:00:00')).map(({ slug }) => slug)).toContain('resting-novel');
+  });
+
+  it('연재 시각 전이면 버퍼가 찰 때까지 다음 연재 시각으로 예약해야 함', () => {
+    const buffered = new Scheduler({ minUpdateIntervalHours: 24, schedule: { buffer: 2, novels: { 'mwf-novel': { days: ['mon', 'wed', 'fri'], time: '11:00', buffer: 1 } } } });
+    const novels = [
+      ['daily-novel', { chapterCount: 3, scheduled: 1, lastUpdate: kst('2025-09-02T11:00:00').toISOString() }],
+      ['mwf-novel', { chapterCount: 5, scheduled: 1, lastUpdate: kst('2025-09-03T11:00:00').toISOString() }],
+      ['late-novel', { chapterCount: 8, scheduled: 0, lastUpdate: kst('2025-08-31T11:00:00').toISOString() }]
+    ];
+
+    expect(buffered.getDue(novels, kst('2025-09-01T12:00:00'))).toMatchObject([
+      { slug: 'late-novel', chapter: 9, releaseAt: null },
+      { slug: 'daily-novel', chapter: 4, releaseAt: kst('2025-09-03T11:00:00') }
+    ]);
+  });
+
+  it('잘못된 주기 설정은 거부해야 함', () => {
+    expect(() => normalizeCadence({ days: ['mon'], time: '25:00' })).toThrow('연재 시각은 HH:MM');
+    expect(() => normalizeCadence({ days: ['someday'] })).toThrow('알 수 없는 연재 요일: someday');
+    expect(() => normalizeCadence({ intervalHours: 0 })).toThrow('연재 간격이 올바르지 않습니다');
+    expect(() => normalizeCadence({ hiatus: [{ from: '9월 1일' }] })).toThrow('휴재 기간은 YYYY-MM-DD');
+    expect(() => normalizeCadence({ buffer: -1 })).toThrow('예약 공개 버퍼는 0 이상의 정수');
+  });
+});
+
+describe('RoFanAI 연재 스케줄', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-scheduler-'));
+    mkdirSync(join(rootDir, 'ai-system'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'novels'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'chapters'), { recursive: true });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('--now 기준 시각으로 소설별 연재 요일을 판단해야 함', () => {
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({
+      maxActiveNovels: 2,
+      schedule: { novels: { 'mwf-novel': { days: ['월', '수', '금'], time: '11:00' } } }
+    }));
+    const state = {
+      'mwf-novel': { status: '연재 중', chapterCount: 3, lastUpdate: kst('2025-09-01T11:00:00').toISOString() },
+      'daily-novel': { status: '연재 중', chapterCount: 3, lastUpdate: kst('2025-09-02T10:00:00').toISOString() }
+    };
+
+    const tuesday = new RoFanAI({ rootDir, now: kst('2025-09-02T12:00:00') });
+    tuesday.state.novels = state;
+    expect(tuesday.decideNextAction()).toEqual({ action: 'none' });
+
+    const wednesday = new RoFanAI({ rootDir, now: '2025-09-03T02:00:00Z' });
+    wednesday.state.novels = state;
+    expect(wednesday.decideNextAction()).toMatchObject({ action: 'continue', slug: 'daily-novel' });
+    expect(wednesday.decideNextAction(new Set(['daily-novel']))).toMatchObject({ action: 'continue', slug: 'mwf-novel' });
+  });
+
+  it('state 기록이 없으면 파일 수정 시간 대신 마지막 챕터의 생성 시각을 써야 함', async () => {
+    writeFileSync(join(rootDir, 'src', 'content', 'novels', 'ice-garden.md'), '---\ntitle: 얼음 정원\nstatus: 연재 중\n---\n');
+    const chapterPath = join(rootDir, 'src', 'content', 'chapters', 'ice-garden-ch2.md');
+    writeFileSync(chapterPath, "---\ntitle: '2화'\npublicationDate: '2025-09-01'\nlastGenerated: '2025-09-01T02:00:00.000Z'\n---\n본문");
+
+    const ai = new RoFanAI({ rootDir });
+    await ai.syncState();
+
+    expect(ai.state.novels['ice-garden'].lastUpdate).toBe('2025-09-01T02:00:00.000Z');
+  });
+
+  it('버퍼만큼 미리 쓴 챕터는 예약 공개하고 공개 시각이 지나면 화수에 반영해야 함', async () => {
+    vi.useFakeTimers({ toFake: ['Date'], now: kst('2025-09-01T12:00:00') });
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({
+      maxActiveNovels: 1,
+      chapterLength: { min: 100, target: 300, max: 5000 },
+      summaries: { enabled: false },
+      outline: { enabled: false },
+      schedule: { buffer: 1 },
+      provider: { type: 'fixture', fixtures: [{ match: '다음 화', response: JSON.stringify({ chapter: { title: '2화', content: Array(30).fill('세린 이안').join('\n') } }) }] }
+    }));
+    writeFileSync(join(rootDir, 'ai-system', 'state.json'), JSON.stringify({
+      novels: { 'ice-garden': { characters: { 세린: '주인공', 이안: '상대역' }, lastUpdate: kst('2025-09-01T11:00:00').toISOString() } },
+      lastRun: null,
+      totalChaptersGenerated: 1
+    }));
+    const novelPath = join(rootDir, 'src', 'content', 'novels', 'ice-garden.md');
+    writeFileSync(novelPath, '---\ntitle: 얼음 정원\nstatus: 연재 중\ntotalChapters: 1\n---\n');
+    writeFileSync(join(rootDir, 'src', 'content', 'chapters', 'ice-garden-ch1.md'),
+      "---\ntitle: '1화'\nnovel: ice-garden\nchapterNumber: 1\npublicationDate: '2025-09-01'\nlastGenerated: '2025-09-01T02:00:00.000Z'\n---\n본문");
+
+    const [outcome] = await new RoFanAI({ rootDir, autoCommit: false }).run();
+    const chapter = parseFrontmatter(readFileSync(join(rootDir, 'src', 'content', 'chapters', 'ice-garden-ch2.md'), 'utf-8')).data;
+
+    expect(outcome).toMatchObject({ outcome: 'success', decision: { action: 'continue', releaseAt: kst('2025-09-02T11:00:00') } });
+    expect(chapter.publicationDate).toBe(kst('2025-09-02T11:00:00').toISOString());
+    expect(parseFrontmatter(readFileSync(novelPath, 'utf-8')).data.totalChapters).toBe(1);
+    expect(filterPublished([{ data: chapter }])).toEqual([]);
+
+    // 공개 시각이 지난 뒤 실행: 화수 반영 후 다음 회차를 다시 예약
+    vi.setSystemTime(kst('2025-09-02T11:30:00'));
+    const ai = new RoFanAI({ rootDir, autoCommit: false });
+    await ai.syncState();
+    expect(ai.state.novels['ice-garden']).toMatchObject({ scheduled: 0, lastUpdate: kst('2025-09-02T11:00:00').toISOString() });
+
+    expect(await ai.releaseScheduledChapters()).toEqual([{ slug: 'ice-garden', title: '얼음 정원', chapterCount: 2 }]);
+    expect(parseFrontmatter(readFileSync(novelPath, 'utf-8')).data.totalChapters).toBe(2);
+    expect(ai.decideNextAction()).toMatchObject({ action: 'continue', releaseAt: kst('2025-09-03T11:00:00') });
+  });
+
+  it('반려되거나 오류가 난 소설은 retryBackoffHours가 지나야 다시 시도해야 함', async () => {
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({
+      maxActiveNovels: 1,
+      chapterLength: { min: 100, target: 300, max: 5000 },
+      summaries: { enabled: false },
+      outline: { enabled: false },
+      revision: { maxAttempts: 1 },
+      schedule: { retryBackoffHours: 6 },
+      provider: { type: 'fixture', fixtures: [{ match: '.', response: JSON.stringify({ chapter: { title: '2화', content: '짧은 본문' } }) }] }
+    }));
+    writeFileSync(join(rootDir, 'ai-system', 'state.json'), JSON.stringify({
+      novels: { 'ice-garden': { characters: { 세린: '주인공', 이안: '상대역' }, lastUpdate: kst('2025-09-01T11:00:00').toISOString() } },
+      lastRun: null,
+      totalChaptersGenerated: 1
+    }));
+    writeFileSync(join(rootDir, 'src', 'content', 'novels', 'ice-garden.md'), '---\ntitle: 얼음 정원\nstatus: 연재 중\ntotalChapters: 1\n---\n');
+    writeFileSync(join(rootDir, 'src', 'content', 'chapters', 'ice-garden-ch1.md'),
+      "---\ntitle: '1화'\nnovel: ice-garden\nchapterNumber: 1\npublicationDate: '2025-09-01'\nlastGenerated: '2025-09-01T02:00:00.000Z'\n---\n본문");
+
+    const [outcome] = await new RoFanAI({ rootDir, autoCommit: false, now: kst('2025-09-02T12:00:00') }).run();
+    const state = JSON.parse(readFileSync(join(rootDir, 'ai-system', 'state.json'), 'utf-8'));
+
+    expect(outcome.outcome).toBe('rejected');
+    expect(state.novels['ice-garden']).toMatchObject({ lastUpdate: kst('2025-09-01T11:00:00').toISOString(), lastFailedAt: kst('2025-09-02T12:00:00').toISOString() });
+
+    const waiting = new RoFanAI({ rootDir, now: kst('2025-09-02T17:00:00') });
+    await waiting.syncState();
+    expect(waiting.decideNextAction()).toEqual({ action: 'none' });
+
+    const retrying = new RoFanAI({ rootDir, now: kst('2025-09-02T18:00:00') });
+    await retrying.syncState();
+    expect(retrying.decideNextAction()).toMatchObject({ action: 'continue', slug: 'ice-garden' });
+  });
+
+  it('slug가 다른 소설 slug의 앞부분이어도 그 소설의 챕터를 세지 않아야 함', async () => {
+    const chapters = join(rootDir, 'src', 'content', 'chapters');
+    writeFileSync(join(chapters, 'ice-ch1.md'), "---\ntitle: '1화'\npublicationDate: '2025-09-01'\n---\n본문");
+    writeFileSync(join(chapters, 'ice-chronicle-ch1.md'), "---\ntitle: '1화'\npublicationDate: '2025-09-01'\n---\n본문");
+    writeFileSync(join(chapters, 'ice-chronicle-ch2.md'), "---\ntitle: '2화'\npublicationDate: '2999-01-01'\n---\n본문");
+
+    const { database } = new RoFanAI({ rootDir });
+
+    expect(await database.getReleaseStatus('ice', kst('2025-09-02T00:00:00'))).toEqual({ published: 1, scheduled: 0, lastReleased: 0 });
+    expect(await database.getLastChapterNumber('ice')).toBe(1);
+    expect(await database.getLastChapterNumber('ice-chronicle')).toBe(2);
+  });
+
+  it('올바르지 않은 --now 값은 실행 전에 거부해야 함', async () => {
+    await expect(main(['node', 'index.js', '--dry-run', '--now', '어제'])).rejects.toThrow('--now 값이 올바른 시각이 아닙니다: 어제');
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * 🧪 유사 문단 검사 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { existsSync, mkdtempSync, mkdirSync, readFileSync, rmSync, utimesSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SimilarityIndex, fingerprint, splitParagraphs } from '../../ai-system/similarity.js';
+
+const library = '엘리아는 먼지 쌓인 황실 도서관의 가장 깊은 서가 사이를 걸었다. 오래된 양피지 냄새와 희미한 촛불 냄새가 뒤섞여 코끝을 간질였고, 그녀는 금지된 마법서가 꽂혀 있다는 북쪽 벽을 향해 조심스럽게 발걸음을 옮겼다.';
+const shelf = '책장 맨 위 칸에는 은색 자물쇠가 채워진 검은 표지의 책이 한 권 놓여 있었다. 엘리아가 손을 뻗자 자물쇠가 스스로 풀리며 차가운 빛이 손끝을 타고 올라왔고, 누군가 그녀의 이름을 부르는 듯한 속삭임이 들려왔다.';
+const garden = '카엘렌은 얼어붙은 정원 한가운데에 서서 하얗게 질린 장미 덩굴을 내려다보았다. 그의 숨결마다 서리가 피어올랐고, 정원사들은 멀리서 숨죽인 채 대공의 다음 명령을 기다리고 있었다.';
+
+function chapter(title, ...paragraphs) {
+  return `---\ntitle: '${title}'\n---\n\n${paragraphs.join('\n\n')}\n`;
+}
+
+describe('fingerprint', () => {
+  it('띄어쓰기와 문장부호가 달라도 같은 표본이 나와야 함', () => {
+    expect(fingerprint(library)).toEqual(fingerprint(library.replace(/ /g, '  ').replace(/,/g, '')));
+    expect(fingerprint(library).length).toBeGreaterThan(0);
+  });
+
+  it('짧은 문단은 비교 대상에서 빼야 함', () => {
+    const content = `> "늦었군."\n\n${garden}`;
+    const paragraphs = splitParagraphs(content);
+
+    expect(paragraphs).toHaveLength(1);
+    expect(content.slice(paragraphs[0].start, paragraphs[0].end)).toBe(garden);
+  });
+});
+
+describe('SimilarityIndex', () => {
+  let rootDir;
+  let chaptersDir;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-similarity-'));
+    chaptersDir = join(rootDir, 'src', 'content', 'chapters');
+    mkdirSync(chaptersDir, { recursive: true });
+    writeFileSync(join(chaptersDir, 'ice-heart-touch-ch1.md'), chapter('1화', garden, library, shelf));
+    writeFileSync(join(chaptersDir, 'ice-heart-touch-ch1.backup.md'), chapter('1화', library, shelf));
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('이전 챕터의 장면을 재활용하면 일치 구간과 원본 위치를 반환해야 함', () => {
+    const index = new SimilarityIndex(rootDir).refresh();
+    const content = `새로운 아침이 밝았다.\n\n${library.replace('걸었다', '거닐었다')}\n\n${shelf}`;
+    const { similarity, source, matches } = index.findSimilar(content);
+
+    expect(similarity).toBe(1);
+    expect(source).toEqual({ novel: 'ice-heart-touch', chapter: 1 });
+    expect(matches).toHaveLength(1);
+    expect(matches[0].text).toBe(content.slice(content.indexOf('엘리아는')));
+    expect(matches[0].similarity).toBeGreaterThan(0.8);
+    expect(matches[0].source).toMatchObject({ novel: 'ice-heart-touch', chapter: 1, excerpt: library.slice(0, 80) });
+  });
+
+  it('자기 자신은 제외하고, 겹치지 않는 챕터는 유사도 0이어야 함', () => {
+    const index = new SimilarityIndex(rootDir).refresh();
+
+    expect(index.findSimilar(library, { exclude: ['ice-heart-touch-ch1'] }).matches).toEqual([]);
+    expect(index.findSimilar('전혀 다른 이야기. '.repeat(10))).toEqual({ similarity: 0, source: null, matches: [] });
+  });
+
+  it('색인을 캐시하고 내용이 바뀐 챕터만 다시 계산해야 함', () => {
+    new SimilarityIndex(rootDir).refresh();
+    const indexPath = join(rootDir, 'data', 'similarity-index.json');
+    const saved = readFileSync(indexPath, 'utf-8');
+    const cached = JSON.parse(saved);
+
+    expect(Object.keys(cached.chapters)).toEqual(['ice-heart-touch-ch1']);
+
+    // 체크아웃처럼 수정 시각만 바뀐 챕터는 캐시를 그대로 씀
+    const chapterPath = join(chaptersDir, 'ice-heart-touch-ch1.md');
+    utimesSync(chapterPath, new Date(), new Date(Date.now() + 1000));
+    expect(new SimilarityIndex(rootDir).refresh().chapters).toEqual(cached.chapters);
+    expect(readFileSync(indexPath, 'utf-8')).toBe(saved);
+
+    writeFileSync(chapterPath, chapter('1화', garden));
+    writeFileSync(join(chaptersDir, 'ice-heart-touch-ch2.md'), chapter('2화', library));
+
+    const index = new SimilarityIndex(rootDir).refresh();
+    expect(index.findSimilar(library).source).toEqual({ novel: 'ice-heart-touch', chapter: 2 });
+    expect(index.findSimilar(shelf).matches).toEqual([]);
+    expect(existsSync(indexPath)).toBe(true);
+  });
+
+  it('save: false면 색인을 계산만 하고 캐시 파일을 쓰지 않아야 함', () => {
+    const index = new SimilarityIndex(rootDir).refresh({ save: false });
+
+    expect(index.findSimilar(library).source).toEqual({ novel: 'ice-heart-touch', chapter: 1 });
+    expect(existsSync(join(rootDir, 'data', 'similarity-index.json'))).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * 🧪 스토리 상태 장부 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { StoryStateStore, formatStoryStateForPrompt } from '../../ai-system/story-state.js';
+import { Generator } from '../../ai-system/generator.js';
+import { FixtureProvider } from '../../ai-system/providers.js';
+
+const config = {
+  chapterLength: { min: 10, target: 3000, max: 5000 },
+  tropes: ['회귀', '계약결혼', '마법학원']
+};
+
+const storyState = {
+  novel: 'time-guardian-fate-thread',
+  title: '시간의 수호자와 운명의 실',
+  currentChapter: 4,
+  currentSituation: { time: '다음 날 정오 예정', location: '병원 중환자실', activeScene: '미스터리 전화 직후' },
+  characterStates: {
+    카엘: { condition: '혼수상태', location: '병원 중환자실' }
+  },
+  cliffhangers: [
+    { description: '정오에 시계탑으로 오라는 전화', mustResolveInNextChapter: true },
+    { description: '검은 그림자의 정체', mustResolveInNextChapter: false }
+  ],
+  nextChapterRequirements: {
+    mustStartWith: '레오나가 시계탑 광장에 도착하는 장면',
+    mustInclude: ['미스터리 인물과의 만남'],
+    mustNotForget: ['카엘은 여전히 혼수상태']
+  }
+};
+
+const novel = {
+  title: '시간의 수호자와 운명의 실',
+  chapterCount: 4,
+  characters: { 레오나: '주인공', 카엘: '상대역' }
+};
+
+describe('formatStoryStateForPrompt', () => {
+  it('캐릭터 상태, 클리프행어, 다음 화 요구사항을 담아야 함', () => {
+    const section = formatStoryStateForPrompt(storyState);
+
+    expect(section).toContain('4화 종료 시점');
+    expect(section).toContain('카엘: condition: 혼수상태 / location: 병원 중환자실');
+    expect(section).toContain('정오에 시계탑으로 오라는 전화 (이번 화에서 반드시 해결)');
+    expect(section).toContain('시작 장면: 레오나가 시계탑 광장에 도착하는 장면');
+    expect(section).toContain('잊지 말 것: 카엘은 여전히 혼수상태');
+  });
+
+  it('장부가 없으면 빈 문자열이어야 함', () => {
+    expect(formatStoryStateForPrompt(null)).toBe('');
+  });
+});
+
+describe('Generator 스토리 상태 연동', () => {
+  it('연재 프롬프트에 스토리 상태를 넣어야 함', () => {
+    const generator = new Generator(config, new FixtureProvider({ fixtures: [] }));
+
+    const withState = generator.buildContinuePrompt('time-guardian-fate-thread', novel, { storyState });
+    const withoutState = generator.buildContinuePrompt('time-guardian-fate-thread', novel);
+
+    expect(withState).toContain('카엘은 여전히 혼수상태');
+    expect(withoutState).not.toContain('스토리 상태');
+  });
+
+  it('추출 응답을 기존 장부에 병합해야 함', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const provider = new FixtureProvider({
+      fixtures: [{
+        match: '스토리 상태 장부',
+        response: '```json\n{"characterStates": {"카엘": {"condition": "의식 회복"}}, "cliffhangers": []}\n```'
+      }]
+    });
+    const generator = new Generator(config, provider);
+    const result = {
+      slug: 'time-guardian-fate-thread',
+      title: novel.title,
+      chapter: { number: 5, title: '5화', content: '카엘이 눈을 떴다.' }
+    };
+
+    const updated = await generator.extractStoryState(storyState, result);
+
+    expect(updated.currentChapter).toBe(5);
+    expect(updated.characterStates).toEqual({ 카엘: { condition: '의식 회복' } });
+    expect(updated.cliffhangers).toEqual([]);
+    expect(updated.nextChapterRequirements).toEqual(storyState.nextChapterRequirements);
+  });
+
+  it('JSON이 아닌 추출 응답은 거부해야 함', () => {
+    const generator = new Generator(config, new FixtureProvider({ fixtures: [] }));
+
+    expect(() => generator.parseStoryStateResponse('장부 없음', storyState, {})).toThrow('스토리 상태 파싱 실패');
+  });
+});
+
+describe('StoryStateStore', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-story-state-'));
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('소설별 파일로 저장하고 읽어야 함', () => {
+    const store = new StoryStateStore(rootDir);
+
+    expect(store.load('time-guardian-fate-thread')).toBeNull();
+    store.save('time-guardian-fate-thread', storyState);
+
+    const saved = readFileSync(join(rootDir, 'data', 'story-states', 'time-guardian-fate-thread.json'), 'utf-8');
+    expect(JSON.parse(saved)).toEqual(storyState);
+    expect(store.load('time-guardian-fate-thread')).toEqual(storyState);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * 🧪 챕터/아크 요약 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import matter from 'gray-matter';
+import { SummaryStore, buildSummaryContext } from '../../ai-system/summaries.js';
+import { RoFanAI } from '../../ai-system/index.js';
+import { estimateTokens } from '../../ai-system/tokens.js';
+
+const chapters = Array.from({ length: 10 }, (_, i) => ({
+  number: i + 1,
+  title: `${i + 1}화`,
+  summary: `${i + 1}화에서 레오나와 카엘이 시간의 균열을 마주한다.`
+}));
+
+describe('buildSummaryContext', () => {
+  it('예산 안에서는 모든 챕터 요약을 순서대로 넣어야 함', () => {
+    const context = buildSummaryContext({ chapters: chapters.slice(0, 3), budget: 1000 });
+
+    expect(context.split('\n')).toEqual([
+      '이전 스토리 요약:',
+      `- 1화 1화: ${chapters[0].summary}`,
+      `- 2화 2화: ${chapters[1].summary}`,
+      `- 3화 3화: ${chapters[2].summary}`
+    ]);
+  });
+
+  it('예산이 부족하면 최근 챕터를 우선하고 이전 구간은 아크 요약으로 채워야 함', () => {
+    const arcs = [
+      { fromChapter: 1, toChapter: 5, summary: '첫 만남과 계약' },
+      { fromChapter: 6, toChapter: 10, summary: '시계탑의 비밀' }
+    ];
+    const lineCost = estimateTokens(`- 10화 10화: ${chapters[9].summary}`);
+
+    // 8~10화 요약만 들어가는 예산: 최근 구간에 걸친 6~10화 아크로 6~7화가 빠지지 않아야 함
+    const context = buildSummaryContext({ chapters, arcs, budget: lineCost * 3 + 20 });
+
+    expect(context).toContain('[6~10화 줄거리] 시계탑의 비밀');
+    expect(context).not.toContain('첫 만남과 계약');
+    expect(context).toContain('- 8화');
+    expect(context).not.toContain('- 7화');
+    expect(estimateTokens(context)).toBeLessThanOrEqual(lineCost * 3 + 20);
+  });
+
+  it('요약할 내용이 없으면 빈 문자열이어야 함', () => {
+    expect(buildSummaryContext({ chapters: [], budget: 100 })).toBe('');
+  });
+
+  it('아크 구간을 계산해야 함', () => {
+    expect(SummaryStore.getArcRange(7, 5)).toEqual({ fromChapter: 6, toChapter: 10 });
+    expect(SummaryStore.getArcRange(5, 5)).toEqual({ fromChapter: 1, toChapter: 5 });
+  });
+});
+
+describe('요약 저장과 생성', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-summaries-'));
+    mkdirSync(join(rootDir, 'ai-system'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'chapters'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'novels'), { recursive: true });
+    for (let i = 1; i <= 4; i++) {
+      writeFileSync(
+        join(rootDir, 'src', 'content', 'chapters', `test-novel-ch${i}.md`),
+        `---\ntitle: '${i}화'\nnovel: test-novel\nchapterNumber: ${i}\n${i < 4 ? `summary: ${i}화 요약\n` : ''}---\n\n${i}화 본문`
+      );
+    }
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('챕터 summary frontmatter를 갱신해도 본문을 유지해야 함', () => {
+    const store = new SummaryStore(rootDir);
+
+    store.setChapterSummary('test-novel', 4, '4화 요약: 카엘이 쓰러진다');
+
+    const { data, content } = matter(readFileSync(join(rootDir, 'src', 'content', 'chapters', 'test-novel-ch4.md'), 'utf-8'));
+    expect(data.summary).toBe('4화 요약: 카엘이 쓰러진다');
+    expect(content.trim()).toBe('4화 본문');
+    expect(store.getChapterSummaries('test-novel').map(c => c.summary)).toEqual([
+      '1화 요약', '2화 요약', '3화 요약', '4화 요약: 카엘이 쓰러진다'
+    ]);
+  });
+
+  it('아크 마지막 챕터가 확정되면 아크 요약을 저장해야 함', async () => {
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({
+      summaries: { arcSize: 5 },
+      provider: {
+        type: 'fixture',
+        fixtures: [
+          { match: '5화 "', response: '5화 요약' },
+          { match: '챕터별 요약', response: '1~5화 아크 요약' }
+        ]
+      }
+    }));
+    const ai = new RoFanAI({ rootDir });
+    const result = {
+      type: 'chapter',
+      slug: 'test-novel',
+      title: '테스트 소설',
+      chapter: { number: 5, title: '5화', content: '5화 본문' }
+    };
+
+    await ai.summarizeResult(result);
+
+    expect(result.chapter.summary).toBe('5화 요약');
+    expect(ai.summaries.loadArcs('test-novel')).toEqual([
+      { fromChapter: 1, toChapter: 5, summary: '1~5화 아크 요약' }
+    ]);
+  });
+
+  it('아크 요약 없이 연재된 지난 아크는 요약을 채워 넣어야 함', async () => {
+    writeFileSync(join(rootDir, 'src', 'content', 'chapters', 'test-novel-ch4.md'),
+      "---\ntitle: '4화'\nnovel: test-novel\nchapterNumber: 4\nsummary: 4화 요약\n---\n\n4화 본문");
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({
+      summaries: { arcSize: 2 },
+      provider: { type: 'fixture', fixtures: [{ match: '챕터별 요약', response: ['3~4화 아크 요약', '1~2화 아크 요약'] }] }
+    }));
+    const ai = new RoFanAI({ rootDir });
+
+    await ai.buildSummaryContext('test-novel');
+
+    expect(ai.summaries.loadArcs('test-novel')).toEqual([
+      { fromChapter: 1, toChapter: 2, summary: '1~2화 아크 요약' },
+      { fromChapter: 3, toChapter: 4, summary: '3~4화 아크 요약' }
+    ]);
+  });
+
+  it('요약이 없는 챕터를 채운 뒤 프롬프트용 요약을 만들어야 함', async () => {
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({
+      provider: { type: 'fixture', fixtures: [{ match: '4화 "', response: '요약: 4화 새 요약' }] }
+    }));
+    const ai = new RoFanAI({ rootDir });
+
+    const context = await ai.buildSummaryContext('test-novel');
+
+    expect(context).toContain('- 4화 4화: 4화 새 요약');
+    expect(ai.summaries.getChapterSummaries('test-novel')[3].summary).toBe('4화 새 요약');
+  });
+});
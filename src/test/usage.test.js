@@ -0,0 +1,160 @@
+/**
+ * 🧪 사용량 장부와 예산 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { UsageLedger, MeteredProvider, getBudgetStatus, summarizeUsage } from '../../ai-system/usage.js';
+import { FixtureProvider } from '../../ai-system/providers.js';
+import { RoFanAI } from '../../ai-system/index.js';
+import { main } from '../../scripts/usage-report.js';
+
+const pricing = { 'test-model': { input: 1, output: 4 } };
+
+function ledgerEntry(at, novel, chapter, cost) {
+  return { at, runId: 'run', action: 'continue', novel, chapter, provider: 'test', model: 'test-model', inputTokens: 100, outputTokens: 50, estimated: false, latencyMs: 10, cost };
+}
+
+describe('사용량 장부', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-usage-'));
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('프로바이더가 알려준 토큰 수로, 없으면 추정해서 비용과 함께 기록해야 함', async () => {
+    const ledger = new UsageLedger(rootDir, { usage: { pricing } });
+    const reporting = { name: 'test', model: 'test-model', generateContent: async () => ({
+      response: { text: () => '응답', usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 500 } }
+    }) };
+    ledger.setContext({ action: 'continue', novel: 'ice-garden', chapter: 3 });
+
+    await new MeteredProvider(reporting, ledger).generateContent('프롬프트');
+    await new MeteredProvider(new FixtureProvider({ fixtures: [{ match: '', response: '세린이 웃었다' }] }), ledger).generateContent('다음 화');
+    ledger.flush();
+
+    const entries = readFileSync(join(rootDir, 'data', 'usage-ledger.jsonl'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    expect(entries[0]).toMatchObject({ novel: 'ice-garden', chapter: 3, model: 'test-model', inputTokens: 1000, outputTokens: 500, estimated: false, cost: 0.003 });
+    expect(entries[1]).toMatchObject({ provider: 'fixture', inputTokens: 4, outputTokens: 7, estimated: true, cost: 0 });
+    expect(entries[1].latencyMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it('설정 시간대 기준으로 오늘/이번 달 비용을 합산하고 예산 단계를 정해야 함', () => {
+    const ledger = new UsageLedger(rootDir, { usage: { pricing } });
+    ledger.pending = [
+      ledgerEntry('2025-08-31T14:59:00.000Z', 'a', 1, 5), // KST 8월 31일
+      ledgerEntry('2025-08-31T15:00:00.000Z', 'a', 2, 1), // KST 9월 1일
+      ledgerEntry('2025-09-02T01:00:00.000Z', 'b', 1, 2)
+    ];
+    const spent = ledger.getSpent(new Date('2025-09-02T03:00:00Z'));
+
+    expect(spent).toEqual({ daily: 2, monthly: 3 });
+    expect(getBudgetStatus({ dailyBudget: 10 }, spent).level).toBe('ok');
+    expect(getBudgetStatus({ dailyBudget: 2.4 }, spent)).toMatchObject({ level: 'reduced', reason: '오늘 $2.00 / $2.4' });
+    expect(getBudgetStatus({ dailyBudget: 10, monthlyBudget: 3 }, spent)).toMatchObject({ level: 'exhausted', reason: '이번 달 $3.00 / $3' });
+  });
+
+  it('소설별, 챕터별로 집계해야 함', () => {
+    const summary = summarizeUsage([
+      ledgerEntry('2025-09-01T00:00:00Z', 'a', 1, 1),
+      ledgerEntry('2025-09-01T00:00:00Z', 'a', 1, 2),
+      ledgerEntry('2025-09-01T00:00:00Z', 'b', 4, 5),
+      { ...ledgerEntry('2025-09-01T00:00:00Z', 'a', 2, null), estimated: true }
+    ]);
+
+    expect(summary.total).toMatchObject({ calls: 4, inputTokens: 400, cost: 8, unpriced: 1, estimatedCalls: 1 });
+    expect(summary.novels.map(novel => [novel.novel, novel.cost])).toEqual([['b', 5], ['a', 3]]);
+    expect(summary.novels[1].chapters.map(chapter => [chapter.chapter, chapter.calls])).toEqual([[1, 2], [2, 1]]);
+  });
+
+  it('ai:usage는 소설과 달로 걸러서 보고해야 함', async () => {
+    mkdirSync(join(rootDir, 'ai-system'), { recursive: true });
+    mkdirSync(join(rootDir, 'data'), { recursive: true });
+    writeFileSync(join(rootDir, 'data', 'usage-ledger.jsonl'), [
+      ledgerEntry('2025-08-20T00:00:00Z', 'a', 1, 1),
+      ledgerEntry('2025-09-01T00:00:00Z', 'a', 2, 2),
+      ledgerEntry('2025-09-01T00:00:00Z', 'b', 1, 4)
+    ].map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const summary = await main(['node', 'usage-report.js', 'a', '--month=2025-09'], rootDir);
+
+    expect(summary.total).toMatchObject({ calls: 1, cost: 2 });
+    expect(log.mock.calls[0][0]).toBe('💸 모델 사용량 (2025-09): 1회, 입력 100 / 출력 50 토큰, $2.0000');
+    expect(log.mock.calls[2][0]).toBe('  - 2화: 1회, 입력 100 / 출력 50 토큰, $2.0000');
+  });
+});
+
+describe('RoFanAI 예산', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'ro-fi-budget-'));
+    mkdirSync(join(rootDir, 'ai-system'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'novels'), { recursive: true });
+    mkdirSync(join(rootDir, 'src', 'content', 'chapters'), { recursive: true });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  function writeConfig(usage) {
+    writeFileSync(join(rootDir, 'ai-system', 'config.json'), JSON.stringify({
+      maxActiveNovels: 2,
+      chapterLength: { min: 100, target: 300, max: 5000 },
+      summaries: { enabled: false },
+      outline: { enabled: false },
+      usage,
+      provider: {
+        type: 'fixture',
+        fixtures: [{
+          match: '트로프',
+          response: JSON.stringify({
+            novel: { title: '얼음 정원의 계약', slug: 'ice-garden-contract', summary: '계약으로 시작된 사랑' },
+            characters: [{ name: '세린', role: '주인공' }, { name: '이안', role: '상대역' }],
+            chapter: { title: '1화', content: Array(30).fill('세린 이안').join('\n') }
+          })
+        }]
+      }
+    }));
+  }
+
+  it('모든 호출을 신작 slug와 함께 장부에 남겨야 함', async () => {
+    writeConfig({});
+    const ai = new RoFanAI({ rootDir, autoCommit: false });
+    ai.config.maxActionsPerRun = 1;
+
+    const [outcome] = await ai.run();
+    const entries = readFileSync(join(rootDir, 'data', 'usage-ledger.jsonl'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+
+    expect(outcome.outcome).toBe('success');
+    expect(entries.length).toBeGreaterThan(0);
+    expect(entries[0]).toMatchObject({ action: 'new_novel', novel: 'ice-garden-contract', chapter: 1, provider: 'fixture', estimated: true, cost: 0 });
+    expect(entries[0].inputTokens).toBeGreaterThan(0);
+  });
+
+  it('예산을 넘으면 작업하지 않고, softLimit을 넘으면 신작과 수정 요청을 건너뛰어야 함', () => {
+    writeConfig({ dailyBudget: 10 });
+    const ai = new RoFanAI({ rootDir, now: '2025-09-01T03:00:00Z' });
+    ai.state.novels = { 'old-novel': { status: '연재 중', chapterCount: 3, lastUpdate: '2025-08-30T00:00:00Z' } };
+
+    expect(ai.decideNextAction()).toEqual({ action: 'new_novel' });
+    expect(ai.getAttemptBudget('old-novel')).toBe(3);
+
+    ai.ledger.pending = [ledgerEntry('2025-09-01T01:00:00Z', 'old-novel', 3, 8.5)];
+    expect(ai.decideNextAction()).toMatchObject({ action: 'continue', slug: 'old-novel' });
+    expect(ai.getAttemptBudget('old-novel')).toBe(1);
+
+    ai.ledger.pending.push(ledgerEntry('2025-09-01T02:00:00Z', 'old-novel', 3, 2));
+    expect(ai.decideNextAction()).toEqual({ action: 'none', reason: 'budget' });
+  });
+});